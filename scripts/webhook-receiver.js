@@ -0,0 +1,47 @@
+// A local receiver for testing outgoing webhooks. Start it with the secret
+// shown by /webhook add:
+//
+//   WEBHOOK_SECRET=whsec_... npm run webhook-receiver -- 8787
+//
+// then, with the bot started with WEBHOOKS_ALLOW_LOCALHOST=true, add
+// http://localhost:8787/ with /webhook add (or pass the secret of an existing
+// webhook) and run /webhook test. Every delivery is printed with
+// whether its signature is valid; invalid ones are answered with 401.
+import http from 'node:http';
+import { verifySignature } from '../src/webhooks.js';
+
+const port = Number(process.argv[2] || process.env.PORT || 8787);
+const secret = process.env.WEBHOOK_SECRET;
+
+if (!secret) {
+  console.error('Set WEBHOOK_SECRET to the secret shown by /webhook add');
+  process.exit(1);
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const valid = verifySignature(secret, {
+      timestamp: req.headers['x-invitebot-timestamp'],
+      body,
+      signature: req.headers['x-invitebot-signature'],
+    });
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      payload = body;
+    }
+    console.log(`${valid ? '✅' : '❌ invalid signature'} ${req.method} ${req.url} ${req.headers['x-invitebot-event'] || ''}`);
+    console.log(JSON.stringify(payload, null, 2));
+
+    res.writeHead(valid ? 204 : 401).end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Listening for webhooks on http://localhost:${port}/`);
+});
@@ -0,0 +1,63 @@
+import { fileURLToPath } from 'node:url';
+import { ShardingManager } from 'discord.js';
+import dotenv from 'dotenv';
+import { logger } from './src/logger.js';
+
+// Runs index.js as one process per shard, for bots in more guilds than a
+// single gateway connection may serve. TOTAL_SHARDS sets the shard count
+// (default: what Discord recommends). Each shard keeps its own data file and
+// listens on PORT + its shard ID; see src/sharding.js.
+
+dotenv.config();
+
+if (!process.env.DISCORD_TOKEN) {
+  logger.error('DISCORD_TOKEN is not set in the environment variables');
+  process.exit(1);
+}
+
+const log = logger.child({ module: 'sharding' });
+
+// Time given to the shards to shut down before they are killed
+const SHUTDOWN_TIMEOUT = Number(process.env.SHUTDOWN_TIMEOUT || 15 * 1000) + 5 * 1000;
+
+const manager = new ShardingManager(fileURLToPath(new URL('./index.js', import.meta.url)), {
+  token: process.env.DISCORD_TOKEN,
+  totalShards: process.env.TOTAL_SHARDS ? Number(process.env.TOTAL_SHARDS) : 'auto',
+});
+
+manager.on('shardCreate', shard => {
+  log.info('Launched shard', { shardId: shard.id });
+  shard.on('death', () => log.warn('Shard exited', { shardId: shard.id }));
+});
+
+// Pass the signal on to every shard and wait for them to shut down on their own
+async function shutdown(signal) {
+  log.info('Shutting down shards', { signal });
+  manager.respawn = false;
+
+  await Promise.all([...manager.shards.values()].map(shard => {
+    const child = shard.process;
+    if (!child || child.exitCode !== null) return null;
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        log.warn('Shard did not shut down in time, killing it', { shardId: shard.id });
+        child.kill('SIGKILL');
+      }, SHUTDOWN_TIMEOUT);
+      child.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      child.kill(signal);
+    });
+  }));
+
+  process.exit(0);
+}
+
+process.once('SIGTERM', shutdown);
+process.once('SIGINT', shutdown);
+
+manager.spawn().catch(error => {
+  log.error('Failed to spawn shards', { error });
+  process.exit(1);
+});
@@ -0,0 +1,225 @@
+import { createHash, randomBytes } from 'node:crypto';
+import express from 'express';
+import { LEADERBOARD_SORTS, rankInviters } from './leaderboard.js';
+import { getInviteCodeStats } from './inviteCodes.js';
+import { logger } from './logger.js';
+import { shardForGuild } from './sharding.js';
+
+const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
+const RATE_LIMIT_PER_KEY = Number(process.env.API_RATE_LIMIT ?? 60);
+const RATE_LIMIT_PER_IP = RATE_LIMIT_PER_KEY * 2;
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+// The plain key is only ever shown once, to the admin who created it
+export function generateApiKey() {
+  const id = randomBytes(4).toString('hex');
+  const key = `ib_${id}_${randomBytes(24).toString('base64url')}`;
+  return { id, key, hash: hashApiKey(key) };
+}
+
+// Every error response has the same shape: { error: { code, message } }
+function sendError(res, status, code, message) {
+  res.status(status).json({ error: { code, message } });
+}
+
+// Fixed-window rate limiter keyed by keyFor(req)
+export function createRateLimiter({ windowMs, max, keyFor }) {
+  const hits = new Map();
+
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = keyFor(req);
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+
+    res.set('X-RateLimit-Limit', String(max));
+    res.set('X-RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+    res.set('X-RateLimit-Reset', String(Math.ceil(entry.resetAt / 1000)));
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      sendError(res, 429, 'rate_limited', 'Too many requests, slow down.');
+      return;
+    }
+    next();
+  };
+}
+
+// Read ?page= and ?limit=, or return null after sending a 400
+function parsePagination(req, res) {
+  const page = req.query.page === undefined ? 1 : Number(req.query.page);
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+
+  if (!Number.isInteger(page) || page < 1) {
+    sendError(res, 400, 'invalid_request', 'page must be a positive integer.');
+    return null;
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    sendError(res, 400, 'invalid_request', `limit must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+    return null;
+  }
+  return { page, limit };
+}
+
+function paginate(items, { page, limit }) {
+  return {
+    data: items.slice((page - 1) * limit, page * limit),
+    pagination: { page, limit, total: items.length, totalPages: Math.max(1, Math.ceil(items.length / limit)) },
+  };
+}
+
+function serializeJoin(join) {
+  return {
+    userId: join.memberId,
+    inviterId: join.inviterId,
+    code: join.code,
+    source: join.source,
+    joinedAt: join.joinedAt ? new Date(join.joinedAt).toISOString() : null,
+    fake: join.fake,
+    left: join.left,
+    estimated: Boolean(join.estimated),
+  };
+}
+
+function serializeInviteCode(stats) {
+  return {
+    ...stats,
+    expiresAt: stats.expiresAt ? new Date(stats.expiresAt).toISOString() : null,
+    lastJoinAt: stats.lastJoinAt ? new Date(stats.lastJoinAt).toISOString() : null,
+  };
+}
+
+// JSON API under /api/guilds/:guildId. Requests must send a key created with
+// /apikey, as "Authorization: Bearer <key>" or "X-API-Key: <key>".
+export function createApiRouter(storage, { client }) {
+  const router = express.Router();
+  const guildRouter = express.Router({ mergeParams: true });
+
+  // Guards key guessing. req.ip is only the client's address when TRUST_PROXY
+  // describes the proxies in front of the server (see server.js); the limit
+  // that matters for real use is the per-key one below.
+  router.use(createRateLimiter({ windowMs: RATE_LIMIT_WINDOW, max: RATE_LIMIT_PER_IP, keyFor: req => req.ip }));
+  router.use('/guilds/:guildId', guildRouter);
+
+  // Under the ShardingManager a shard only has the keys and data of its own
+  // guilds; each shard listens on PORT + its ID
+  guildRouter.use((req, res, next) => {
+    const shardId = /^\d{17,20}$/.test(req.params.guildId) ? shardForGuild(client, req.params.guildId) : null;
+    if (shardId !== null && !client.shard.ids.includes(shardId)) {
+      sendError(res, 421, 'wrong_shard', `This guild is served by shard ${shardId}, which listens on the base port plus ${shardId}.`);
+      return;
+    }
+    next();
+  });
+
+  guildRouter.use((req, res, next) => {
+    const header = req.get('authorization');
+    const key = header?.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : req.get('x-api-key');
+    if (!key) {
+      sendError(res, 401, 'unauthorized', 'An API key is required.');
+      return;
+    }
+
+    const apiKey = storage.findApiKeyByHash(hashApiKey(key));
+    if (!apiKey) {
+      sendError(res, 401, 'unauthorized', 'Invalid API key.');
+      return;
+    }
+    if (apiKey.guildId !== req.params.guildId) {
+      sendError(res, 403, 'forbidden', 'This API key does not belong to this guild.');
+      return;
+    }
+    if (!client.guilds.cache.has(req.params.guildId)) {
+      sendError(res, 404, 'not_found', 'The bot is not in this guild.');
+      return;
+    }
+
+    req.apiKey = apiKey;
+    next();
+  });
+
+  guildRouter.use(createRateLimiter({ windowMs: RATE_LIMIT_WINDOW, max: RATE_LIMIT_PER_KEY, keyFor: req => req.apiKey.id }));
+
+  guildRouter.get('/leaderboard', (req, res) => {
+    const sort = req.query.sort || 'total';
+    if (!LEADERBOARD_SORTS.includes(sort)) {
+      sendError(res, 400, 'invalid_request', `sort must be one of: ${LEADERBOARD_SORTS.join(', ')}.`);
+      return;
+    }
+    const pagination = parsePagination(req, res);
+    if (!pagination) return;
+
+    const ranking = rankInviters(storage, req.params.guildId, sort)
+      .map((entry, index) => ({ rank: index + 1, userId: entry.userId, score: entry.score, ...entry.stats }));
+    res.json({ sort, ...paginate(ranking, pagination) });
+  });
+
+  guildRouter.get('/members/:userId', (req, res) => {
+    const { guildId, userId } = req.params;
+    const stats = storage.getInviteStats(guildId, userId);
+    const rankIndex = rankInviters(storage, guildId, 'total').findIndex(entry => entry.userId === userId);
+
+    res.json({
+      data: {
+        userId,
+        ...stats,
+        rank: rankIndex === -1 ? null : rankIndex + 1,
+        inviterId: storage.getInviter(guildId, userId),
+      },
+    });
+  });
+
+  guildRouter.get('/members/:userId/invitees', (req, res) => {
+    const pagination = parsePagination(req, res);
+    if (!pagination) return;
+
+    const invitees = storage.getInvitees(req.params.guildId, req.params.userId)
+      .sort((a, b) => (b.joinedAt || 0) - (a.joinedAt || 0))
+      .map(serializeJoin);
+    res.json(paginate(invitees, pagination));
+  });
+
+  guildRouter.get('/invites', (req, res) => {
+    const pagination = parsePagination(req, res);
+    if (!pagination) return;
+
+    res.json(paginate(getInviteCodeStats(storage, req.params.guildId).map(serializeInviteCode), pagination));
+  });
+
+  guildRouter.get('/invites/:code', (req, res) => {
+    const stats = getInviteCodeStats(storage, req.params.guildId).find(entry => entry.code === req.params.code);
+    if (!stats) {
+      sendError(res, 404, 'not_found', 'Unknown invite code.');
+      return;
+    }
+    res.json({ data: serializeInviteCode(stats) });
+  });
+
+  router.use((req, res) => {
+    sendError(res, 404, 'not_found', 'Unknown API route.');
+  });
+
+  router.use((error, req, res, next) => {
+    logger.error('Error handling API request', { module: 'api', method: req.method, url: req.originalUrl, error });
+    sendError(res, 500, 'internal_error', 'An unexpected error occurred.');
+  });
+
+  return router;
+}
@@ -0,0 +1,152 @@
+// Works out which invite a new member used by diffing invite uses against the
+// cached snapshot of the guild's invites.
+
+import { logger } from './logger.js';
+
+// Cached data kept for each invite code
+export function snapshotInvite(invite) {
+  return {
+    uses: invite.uses || 0,
+    inviterId: invite.inviterId || invite.inviter?.id || null,
+    channelId: invite.channelId || invite.channel?.id || null,
+    maxUses: invite.maxUses || 0,
+    expiresAt: invite.expiresTimestamp || null,
+  };
+}
+
+// Runs tasks one at a time per guild, so joins arriving together are
+// attributed in order instead of racing on the same invite snapshot
+export function createGuildQueue() {
+  const tails = new Map();
+  const counts = new Map();
+
+  return {
+    run(guildId, task) {
+      counts.set(guildId, (counts.get(guildId) || 0) + 1);
+      const previous = tails.get(guildId) || Promise.resolve();
+      const result = previous.then(task);
+
+      const done = () => {
+        counts.set(guildId, counts.get(guildId) - 1);
+        if (counts.get(guildId) === 0) counts.delete(guildId);
+        if (tails.get(guildId) === tail) tails.delete(guildId);
+      };
+      // The tail never rejects so one failed task does not block the queue
+      const tail = result.then(done, done);
+      tails.set(guildId, tail);
+      return result;
+    },
+
+    // Number of queued or running tasks for a guild
+    pending(guildId) {
+      return counts.get(guildId) || 0;
+    },
+
+    // Resolves once every guild's queue is empty, including tasks queued meanwhile
+    async idle() {
+      while (tails.size > 0) await Promise.all(tails.values());
+    },
+  };
+}
+
+// How long an invite reported deleted by Discord can still be matched to a join
+const DELETED_INVITE_GRACE = 60 * 1000;
+
+// An invite that disappeared since the last snapshot was most likely used up
+// if it had a use limit it was about to reach. Expired invites vanish unused.
+function vanishedCandidates(cached, fetched, now) {
+  const likely = [];
+  const possible = [];
+  for (const [code, entry] of cached) {
+    if (fetched.has(code)) continue;
+    if (entry.expiresAt && entry.expiresAt <= now) continue;
+    if (entry.deletedAt && now - entry.deletedAt > DELETED_INVITE_GRACE) continue;
+    if (entry.maxUses > 0 && entry.uses + 1 >= entry.maxUses) {
+      likely.push(code);
+    } else {
+      possible.push(code);
+    }
+  }
+  return { likely, possible };
+}
+
+// Resolve the source of a join and return the invite snapshot to cache next.
+//
+// When more joins of the same guild are still queued, only the use consumed by
+// this join is applied to the cache; the remaining increases are left for the
+// next joins to claim. Otherwise the cache is replaced by the fresh snapshot.
+//
+// Returns { source, code, inviterId, cache, vanityUses } where source is one of
+// 'invite', 'inferred' (from a vanished invite), 'vanity' or 'unknown'.
+export async function resolveJoinSource(guild, cached, cachedVanityUses, { morePending = false } = {}) {
+  const invites = await guild.invites.fetch();
+  const fetched = new Map(invites.map(invite => [invite.code, snapshotInvite(invite)]));
+  const now = Date.now();
+
+  const increased = [...fetched]
+    .filter(([code, entry]) => entry.uses > (cached.get(code)?.uses || 0))
+    .map(([code]) => code);
+  const { likely, possible } = vanishedCandidates(cached, fetched, now);
+
+  let source = 'unknown';
+  let code = null;
+  if (increased.length > 0) {
+    source = 'invite';
+    code = increased[0];
+  } else if (likely.length > 0) {
+    source = 'inferred';
+    code = likely[0];
+  } else if (possible.length === 1) {
+    source = 'inferred';
+    code = possible[0];
+  }
+
+  let cache;
+  if (morePending) {
+    cache = new Map(cached);
+    // Invites created since the last snapshot that nobody used yet can be cached right away
+    for (const [newCode, entry] of fetched) {
+      if (!cache.has(newCode) && entry.uses === 0) cache.set(newCode, entry);
+    }
+    if (code && fetched.has(code)) {
+      const consumed = (cached.get(code)?.uses || 0) + 1;
+      cache.set(code, { ...fetched.get(code), uses: consumed });
+    } else if (code) {
+      cache.delete(code);
+    }
+  } else {
+    cache = fetched;
+  }
+
+  const inviterId = code ? (fetched.get(code) || cached.get(code)).inviterId : null;
+  let vanityUses = cachedVanityUses;
+
+  // Nothing matched a regular invite: check whether the vanity URL was used.
+  // The vanity snapshot is also refreshed once no more joins are waiting.
+  if (guild.vanityURLCode && (!code || !morePending)) {
+    const uses = await fetchVanityUses(guild);
+    if (uses !== null) {
+      if (!code && cachedVanityUses !== null && uses > cachedVanityUses) {
+        source = 'vanity';
+        code = guild.vanityURLCode;
+        vanityUses = morePending ? cachedVanityUses + 1 : uses;
+      } else if (!morePending) {
+        vanityUses = uses;
+      }
+    }
+  }
+
+  return { source, code, inviterId, cache, vanityUses };
+}
+
+// Current vanity URL uses, or null when the guild has none or it cannot be read
+export async function fetchVanityUses(guild) {
+  if (!guild.vanityURLCode) return null;
+  try {
+    const vanity = await guild.fetchVanityData();
+    return vanity.uses;
+  } catch (error) {
+    logger.warn('Could not fetch vanity data', { module: 'attribution', guildId: guild.id, error: error.message });
+    return null;
+  }
+}
@@ -0,0 +1,288 @@
+import { AuditLogEvent, PermissionsBitField } from 'discord.js';
+import { reconcileRewardsFor } from './rewards.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'backfill' });
+
+// Rebuilds inviter attribution for members who joined before the bot was
+// tracking the guild, from the audit log (INVITE_CREATE / INVITE_DELETE) and
+// the current invite list. Discord does not record which invite a member used,
+// so a member is only attributed when exactly one invite with unclaimed uses
+// was alive when they joined. Every record and count produced here is marked
+// as estimated.
+//
+// Progress is saved after every step, and every step is written in one
+// synchronous block, so an interrupted backfill resumes where it stopped
+// without counting anything twice.
+
+const AUDIT_LOG_PAGE_SIZE = 100;
+const MEMBER_BATCH_SIZE = 100;
+
+export class BackfillError extends Error {}
+
+function changeValue(entry, key) {
+  const change = entry.changes.find(change => change.key === key);
+  return change ? (change.new ?? change.old) : undefined;
+}
+
+// Fetch one page of invite audit log entries older than the saved cursor
+// and merge it into the known invite history
+async function fetchAuditPage(guild, backfill, type) {
+  const cursorKey = type === AuditLogEvent.InviteCreate ? 'create' : 'delete';
+  const cursor = backfill.audit[cursorKey];
+  const logs = await guild.fetchAuditLogs({ type, limit: AUDIT_LOG_PAGE_SIZE, before: cursor.before ?? undefined });
+
+  const invites = { ...backfill.invites };
+  for (const entry of logs.entries.values()) {
+    const code = changeValue(entry, 'code');
+    if (!code) continue;
+
+    const known = invites[code] || { inviterId: null, createdAt: null, deletedAt: null, expiresAt: null, uses: 0 };
+    const maxAge = changeValue(entry, 'max_age');
+    // The executor of INVITE_DELETE is whoever deleted the invite, often a
+    // moderator, so only the creation names the inviter
+    const creatorId = type === AuditLogEvent.InviteCreate ? entry.executorId : null;
+    invites[code] = {
+      ...known,
+      inviterId: known.inviterId || changeValue(entry, 'inviter_id') || creatorId || null,
+      createdAt: type === AuditLogEvent.InviteCreate ? entry.createdTimestamp : known.createdAt,
+      deletedAt: type === AuditLogEvent.InviteDelete ? entry.createdTimestamp : known.deletedAt,
+      uses: Math.max(known.uses, changeValue(entry, 'uses') || 0),
+    };
+    if (type === AuditLogEvent.InviteCreate && maxAge) {
+      invites[code].expiresAt = entry.createdTimestamp + maxAge * 1000;
+    }
+  }
+
+  const last = logs.entries.last();
+  return {
+    ...backfill,
+    invites,
+    audit: {
+      ...backfill.audit,
+      [cursorKey]: { before: last ? last.id : cursor.before, done: logs.entries.size < AUDIT_LOG_PAGE_SIZE },
+    },
+  };
+}
+
+// Uses of each invite that happened before tracking started: the total uses
+// minus the joins the bot recorded itself
+function untrackedUses(storage, guildId, invites) {
+  const tracked = new Map();
+  for (const event of storage.getJoinEvents(guildId)) {
+    if (event.code) tracked.set(event.code, (tracked.get(event.code) || 0) + 1);
+  }
+
+  const remaining = {};
+  for (const [code, invite] of Object.entries(invites)) {
+    const uses = invite.uses - (tracked.get(code) || 0);
+    if (invite.inviterId && uses > 0) remaining[code] = uses;
+  }
+  return remaining;
+}
+
+const memberOrder = (a, b) => a.joinedAt - b.joinedAt || a.id.localeCompare(b.id);
+
+// Attribute one batch of members, oldest joins first
+function processMemberBatch(storage, guildId, backfill, members) {
+  const next = { ...backfill, remaining: { ...backfill.remaining }, estimated: { ...backfill.estimated } };
+
+  for (const member of members) {
+    const existing = storage.getMemberJoin(guildId, member.id);
+    if (existing) {
+      next.skipped++;
+    } else {
+      const candidates = Object.keys(next.remaining).filter(code => {
+        const invite = next.invites[code];
+        return next.remaining[code] > 0
+          && (invite.createdAt === null || invite.createdAt <= member.joinedAt)
+          && (invite.deletedAt === null || invite.deletedAt >= member.joinedAt)
+          && (invite.expiresAt === null || invite.expiresAt >= member.joinedAt);
+      });
+
+      if (candidates.length === 1) {
+        const code = candidates[0];
+        const inviterId = next.invites[code].inviterId;
+        storage.setMemberJoin(guildId, member.id, {
+          inviterId,
+          code,
+          source: 'invite',
+          joinedAt: member.joinedAt,
+          fake: false,
+          left: false,
+          estimated: true,
+        });
+        storage.updateInviteStats(guildId, inviterId, { regular: 1 });
+        next.remaining[code]--;
+        next.estimated[inviterId] = (next.estimated[inviterId] || 0) + 1;
+        next.attributed++;
+      } else {
+        next.ambiguous++;
+      }
+    }
+    next.cursor = { joinedAt: member.joinedAt, id: member.id };
+  }
+
+  return next;
+}
+
+// Credit the uses that could not be matched to a current member (mostly
+// members who already left) to the invite's creator
+function creditRemainingUses(storage, guildId, backfill) {
+  const estimated = { ...backfill.estimated };
+  let credited = 0;
+  for (const [code, uses] of Object.entries(backfill.remaining)) {
+    if (uses <= 0) continue;
+    const inviterId = backfill.invites[code].inviterId;
+    storage.updateInviteStats(guildId, inviterId, { regular: uses });
+    estimated[inviterId] = (estimated[inviterId] || 0) + uses;
+    credited += uses;
+  }
+  return { ...backfill, estimated, unmatchedUses: credited, remaining: {} };
+}
+
+export function createBackfill(startedBy) {
+  return {
+    status: 'running',
+    phase: 'history',
+    startedBy,
+    startedAt: Date.now(),
+    completedAt: null,
+    error: null,
+    audit: { create: { before: null, done: false }, delete: { before: null, done: false } },
+    invites: {},
+    remaining: {},
+    cursor: null,
+    attributed: 0,
+    ambiguous: 0,
+    skipped: 0,
+    unmatchedUses: 0,
+    // Estimated invites credited per inviter
+    estimated: {},
+  };
+}
+
+// Run (or resume) the backfill of a guild. Member writes go through run(), the
+// guild's join queue, so they never interleave with live join attribution.
+// Aborting signal stops the backfill between two steps.
+export async function runBackfill(guild, storage, { run, signal }) {
+  let backfill = storage.getBackfill(guild.id);
+  if (!backfill || backfill.status !== 'running') throw new BackfillError('No backfill is in progress for this guild.');
+
+  if (!guild.members.me.permissions.has(PermissionsBitField.Flags.ViewAuditLog)) {
+    throw new BackfillError('I need the View Audit Log permission to backfill invites.');
+  }
+
+  const save = (next) => {
+    backfill = next;
+    storage.saveBackfill(guild.id, backfill);
+  };
+
+  if (backfill.phase === 'history') {
+    for (const type of [AuditLogEvent.InviteCreate, AuditLogEvent.InviteDelete]) {
+      const cursorKey = type === AuditLogEvent.InviteCreate ? 'create' : 'delete';
+      while (!backfill.audit[cursorKey].done) {
+        signal?.throwIfAborted();
+        save(await fetchAuditPage(guild, backfill, type));
+      }
+    }
+
+    // Current invites have exact metadata and uses
+    const invites = { ...backfill.invites };
+    for (const invite of (await guild.invites.fetch()).values()) {
+      invites[invite.code] = {
+        inviterId: invite.inviterId || invites[invite.code]?.inviterId || null,
+        createdAt: invite.createdTimestamp ?? invites[invite.code]?.createdAt ?? null,
+        deletedAt: null,
+        expiresAt: invite.expiresTimestamp ?? null,
+        uses: invite.uses || 0,
+      };
+    }
+
+    save({ ...backfill, invites, remaining: untrackedUses(storage, guild.id, invites), phase: 'members' });
+  }
+
+  if (backfill.phase === 'members') {
+    // Only members who joined before the backfill started; later joins are tracked live
+    const members = [...(await guild.members.fetch()).values()]
+      .filter(member => !member.user.bot && member.joinedTimestamp && member.joinedTimestamp < backfill.startedAt)
+      .map(member => ({ id: member.id, joinedAt: member.joinedTimestamp }))
+      .sort(memberOrder)
+      .filter(member => !backfill.cursor || memberOrder(member, backfill.cursor) > 0);
+
+    for (let i = 0; i < members.length; i += MEMBER_BATCH_SIZE) {
+      signal?.throwIfAborted();
+      const batch = members.slice(i, i + MEMBER_BATCH_SIZE);
+      await run(() => save(processMemberBatch(storage, guild.id, backfill, batch)));
+    }
+
+    save({ ...backfill, phase: 'credit' });
+  }
+
+  if (backfill.phase === 'credit') {
+    await run(() => save({ ...creditRemainingUses(storage, guild.id, backfill), phase: 'done' }));
+  }
+
+  save({ ...backfill, status: 'completed', completedAt: Date.now() });
+  return backfill;
+}
+
+// Runs backfills in the background, at most one per guild in this process
+export function createBackfillRunner(storage, joinQueue) {
+  const running = new Map(); // guildId -> promise of the running backfill
+  const shutdown = new AbortController();
+
+  async function run(guild) {
+    try {
+      log.info('Backfilling invites', { guildId: guild.id });
+      const backfill = await runBackfill(guild, storage, { run: (task) => joinQueue.run(guild.id, task), signal: shutdown.signal });
+      log.info('Finished backfill', { guildId: guild.id, attributed: backfill.attributed, ambiguous: backfill.ambiguous, unmatchedUses: backfill.unmatchedUses });
+      // Inviters credited by the backfill may now qualify for reward roles
+      for (const inviterId of Object.keys(backfill.estimated)) {
+        await reconcileRewardsFor(guild, inviterId, storage);
+      }
+      return backfill;
+    } catch (error) {
+      if (shutdown.signal.aborted) {
+        log.info('Backfill paused until the next start', { guildId: guild.id });
+        return null;
+      }
+
+      log.error('Backfill stopped', { guildId: guild.id, error: error instanceof BackfillError ? error.message : error });
+      const backfill = storage.getBackfill(guild.id);
+      if (backfill) {
+        // Permission problems need an admin; anything else is retried on the next start
+        storage.saveBackfill(guild.id, { ...backfill, status: error instanceof BackfillError ? 'failed' : backfill.status, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  return {
+    isRunning(guildId) {
+      return running.has(guildId);
+    },
+
+    // Run or resume the backfill of a guild. Resolves with the finished
+    // backfill, or null if it failed (the error is saved for /backfill status).
+    start(guild) {
+      if (running.has(guild.id) || shutdown.signal.aborted) return Promise.resolve(null);
+
+      const backfill = run(guild).finally(() => running.delete(guild.id));
+      running.set(guild.id, backfill);
+      return backfill;
+    },
+
+    // Stop running backfills after their current step, for a shutdown. Their
+    // progress is saved, so they resume on the next start.
+    async stop() {
+      shutdown.abort();
+      await Promise.all(running.values());
+    },
+  };
+}
+
+// Invites of a member that were estimated by the backfill
+export function estimatedInvites(storage, guildId, userId) {
+  return storage.getBackfill(guildId)?.estimated[userId] || 0;
+}
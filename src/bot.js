@@ -0,0 +1,249 @@
+import { Events } from 'discord.js';
+import { getGuildConfig } from './config.js';
+import { createGuildQueue } from './attribution.js';
+import {
+  cacheGuildInvites,
+  cacheCreatedInvite,
+  markCachedInviteDeleted,
+  reconcileInviteCache,
+  prefetchInviteCaches
+} from './inviteCache.js';
+import { BUMP_COOLDOWN, detectBump, createBumpReminders } from './bumps.js';
+import { createBackfillRunner } from './backfill.js';
+import { endExpiredCompetitions } from './competitions.js';
+import { guildTranslator } from './i18n/index.js';
+import { createMemberEvents } from './memberEvents.js';
+import { logger } from './logger.js';
+import { createMetrics } from './metrics.js';
+import { createWebhookDispatcher } from './webhooks.js';
+import { commandModules, createCommandRegistry } from './commands/index.js';
+
+// How often cached invites are compared against Discord
+const INVITE_RECONCILE_INTERVAL = 15 * 60 * 1000; // 15 minutes
+
+// How often competitions past their end time are closed
+const COMPETITION_CHECK_INTERVAL = 60 * 1000; // 1 minute
+
+// Attach the bot's event handlers to a discord.js client. Nothing here logs in,
+// registers commands or opens a port, so tests can drive it with a fake client
+// by emitting events. The returned services are the ones handlers share, and
+// shutdown() to stop the bot. Under the ShardingManager the client only sees
+// the guilds of its shard, so everything here is per shard.
+export function createBot(client, storage) {
+  const metrics = createMetrics(client);
+
+  // Set once the startup snapshot of every guild's invites was taken, since
+  // joins cannot be attributed before that
+  let inviteCachesLoaded = false;
+
+  // Periodic tasks started on ready, cleared on shutdown
+  const intervals = [];
+  const stopping = new AbortController();
+
+  // Joins are attributed one at a time per guild so concurrent joins do not
+  // claim the same invite use. Invite cache updates share the same queue.
+  const joinQueue = createGuildQueue();
+
+  // Audit log backfills running in this process
+  const backfills = createBackfillRunner(storage, joinQueue);
+
+  // Disboard bump reminders (the bump channel and role are configured per guild with /config)
+  const bumpReminders = createBumpReminders(client, storage);
+
+  // Outgoing webhooks for invite events (managed per guild with /webhook)
+  const webhooks = createWebhookDispatcher(storage, { metrics });
+
+  const memberEvents = createMemberEvents(storage, { joinQueue, metrics, webhooks });
+
+  // Slash commands, their permissions and cooldowns, and button handlers
+  const commandRegistry = createCommandRegistry(commandModules, { client, storage, joinQueue, bumpReminders, backfills, metrics, webhooks });
+
+  client.once(Events.ClientReady, async () => {
+    // Snapshot current invite uses as the baseline for join attribution.
+    // Invite counts are loaded from storage and are not re-seeded from Discord.
+    const startedAt = Date.now();
+    await prefetchInviteCaches(client.guilds.cache.values(), async (guild) => {
+      try {
+        const size = await joinQueue.run(guild.id, () => cacheGuildInvites(guild, storage));
+        logger.debug('Cached existing invites', { guildId: guild.id, invites: size });
+      } catch (error) {
+        metrics.inviteFetchFailures.inc({ operation: 'startup' });
+        logger.error('Could not fetch invites', { guildId: guild.id, error: error.message });
+      }
+    }, { rest: client.rest, signal: stopping.signal });
+    if (stopping.signal.aborted) return;
+
+    inviteCachesLoaded = true;
+    logger.info('Cached existing invites', { guilds: client.guilds.cache.size, seconds: (Date.now() - startedAt) / 1000 });
+
+    // Periodically re-fetch invites to catch changes missed while disconnected.
+    // The gateway connection keeps the process alive, not these timers.
+    intervals.push(setInterval(reconcileAllInviteCaches, INVITE_RECONCILE_INTERVAL));
+    logger.info('Scheduled invite cache reconciliation', { intervalMinutes: INVITE_RECONCILE_INTERVAL / 1000 / 60 });
+
+    // End competitions whose end time passed, including while the bot was offline
+    const checkCompetitions = () => endExpiredCompetitions(client, storage).catch(error => {
+      logger.error('Error ending expired competitions', { error });
+    });
+    await checkCompetitions();
+    intervals.push(setInterval(checkCompetitions, COMPETITION_CHECK_INTERVAL));
+    for (const interval of intervals) interval.unref?.();
+
+    // Re-arm bump reminders that were pending before the restart
+    bumpReminders.restore();
+
+    // Resume audit log backfills interrupted by a restart
+    for (const guildId of storage.getUnfinishedBackfills()) {
+      const guild = client.guilds.cache.get(guildId);
+      if (guild) backfills.start(guild);
+    }
+  });
+
+  // Track new members to update invite counts
+  client.on(Events.GuildMemberAdd, (member) => joinQueue.run(member.guild.id, () => memberEvents.handleJoin(member)));
+
+  // Keep the invite cache in sync between joins. Cache updates go through the
+  // join queue so they never interleave with a join being attributed.
+  client.on(Events.InviteCreate, (invite) => {
+    if (!invite.guild) return;
+    joinQueue.run(invite.guild.id, async () => {
+      cacheCreatedInvite(invite, storage);
+      logger.info('Cached created invite', { event: 'inviteCreate', guildId: invite.guild.id, code: invite.code, inviterId: invite.inviterId, maxUses: invite.maxUses || null });
+    }).catch(error => {
+      logger.error('Error in inviteCreate', { guildId: invite.guild.id, error });
+    });
+  });
+
+  client.on(Events.InviteDelete, (invite) => {
+    if (!invite.guild) return;
+    joinQueue.run(invite.guild.id, async () => {
+      markCachedInviteDeleted(invite, storage);
+      logger.info('Marked deleted invite', { event: 'inviteDelete', guildId: invite.guild.id, code: invite.code });
+    }).catch(error => {
+      logger.error('Error in inviteDelete', { guildId: invite.guild.id, error });
+    });
+  });
+
+  client.on(Events.GuildCreate, (guild) => {
+    joinQueue.run(guild.id, async () => {
+      const size = await cacheGuildInvites(guild, storage);
+      logger.info('Joined guild', { event: 'guildCreate', guildId: guild.id, guild: guild.name, invites: size });
+    }).catch(error => {
+      metrics.inviteFetchFailures.inc({ operation: 'guildCreate' });
+      logger.warn('Could not fetch invites', { event: 'guildCreate', guildId: guild.id, error: error.message });
+    });
+  });
+
+  // Invite counts are kept in case the bot is added back; only the snapshot goes
+  client.on(Events.GuildDelete, (guild) => {
+    storage.deleteInviteCache(guild.id);
+    bumpReminders.cancel(guild.id);
+    logger.info('Removed from guild, dropped its invite cache', { event: 'guildDelete', guildId: guild.id });
+  });
+
+  async function reconcileAllInviteCaches() {
+    for (const guild of client.guilds.cache.values()) {
+      // Joins waiting in the queue still need the current snapshot to be attributed
+      if (joinQueue.pending(guild.id) > 0) continue;
+
+      try {
+        const drift = await joinQueue.run(guild.id, () => reconcileInviteCache(guild, storage));
+        if (drift.added.length > 0 || drift.removed.length > 0 || drift.uses.length > 0) {
+          logger.warn('Invite cache drift', { guildId: guild.id, untracked: drift.added, vanished: drift.removed, changedUses: drift.uses });
+        }
+      } catch (error) {
+        metrics.inviteFetchFailures.inc({ operation: 'reconcile' });
+        logger.warn('Could not reconcile invites', { guildId: guild.id, error: error.message });
+      }
+    }
+  }
+
+  // Disboard replies to /bump in the bump channel. A deferred reply is first
+  // posted empty and then edited into the result, so edits are checked as well.
+  async function handleBumpMessage(message) {
+    try {
+      if (!message.guildId) return;
+      const config = getGuildConfig(storage, message.guildId);
+      const { bumpChannelId } = config;
+      if (!bumpChannelId || message.channelId !== bumpChannelId) return;
+
+      const bump = detectBump(message);
+      if (!bump) return;
+
+      // The same reply can be seen twice (create and edit)
+      if (storage.getBumpState(message.guildId)?.lastBumpAt === bump.bumpedAt) return;
+
+      const remindAt = bump.bumpedAt + BUMP_COOLDOWN;
+      const count = storage.recordBump(message.guildId, bump.userId, { bumpedAt: bump.bumpedAt, remindAt });
+      bumpReminders.schedule(message.guildId, remindAt);
+      logger.info('Recorded Disboard bump', { guildId: message.guildId, userId: bump.userId, bumps: count });
+
+      await message.channel.send({
+        content: guildTranslator(config, message.guild)('bumps.thanks', {
+          user: `<@${bump.userId}>`,
+          number: count,
+          time: `<t:${Math.floor(remindAt / 1000)}:R>`,
+        }),
+        allowedMentions: { users: [] }
+      });
+    } catch (error) {
+      logger.error('Error handling Disboard bump message', { guildId: message.guildId, error });
+    }
+  }
+
+  client.on(Events.MessageCreate, handleBumpMessage);
+  client.on(Events.MessageUpdate, (oldMessage, newMessage) => handleBumpMessage(newMessage));
+
+  // Leaves share the join queue, so a member leaving right after joining is
+  // only handled once their join is recorded
+  client.on(Events.GuildMemberRemove, (member) => joinQueue.run(member.guild.id, () => memberEvents.handleLeave(member)));
+
+  // Slash commands and buttons are dispatched through the command registry (src/commands)
+  client.on(Events.InteractionCreate, (interaction) => commandRegistry.handleInteraction(interaction));
+
+  client.on(Events.Error, error => {
+    logger.error('Discord client error', { error });
+  });
+
+  // Gateway status; discord.js reconnects by itself
+  client.on(Events.ShardDisconnect, (event, shardId) => {
+    metrics.gatewayDisconnects.inc();
+    logger.warn('Gateway disconnected', { shardId, code: event.code });
+  });
+  client.on(Events.ShardReconnecting, (shardId) => logger.info('Gateway reconnecting', { shardId }));
+  client.on(Events.ShardResume, (shardId, replayedEvents) => logger.info('Gateway resumed', { shardId, replayedEvents }));
+
+  return {
+    commands: commandRegistry.commands,
+    joinQueue,
+    backfills,
+    bumpReminders,
+    metrics,
+    webhooks,
+
+    // Readiness for /health: logged in to the gateway and able to attribute
+    // joins, and not shutting down
+    readiness() {
+      const checks = { gateway: client.isReady(), inviteCaches: inviteCachesLoaded };
+      return { ready: !stopping.signal.aborted && Object.values(checks).every(Boolean), checks };
+    },
+
+    // Stop taking interactions, clear the timers, disconnect from the gateway
+    // and wait for the work in progress: commands, backfill steps, joins and
+    // leaves already received, and webhook requests. Flushing storage and
+    // closing the HTTP server are left to the caller.
+    async shutdown() {
+      if (stopping.signal.aborted) return;
+      stopping.abort();
+
+      commandRegistry.close();
+      for (const interval of intervals) clearInterval(interval);
+      bumpReminders.stop();
+      await Promise.all([commandRegistry.idle(), backfills.stop()]);
+
+      await client.destroy();
+      await joinQueue.idle();
+      await webhooks.close();
+    },
+  };
+}
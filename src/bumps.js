@@ -0,0 +1,86 @@
+import { getGuildConfig } from './config.js';
+import { guildTranslator } from './i18n/index.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'bumps' });
+
+export const DISBOARD_BOT_ID = '302050872383242240';
+export const BUMP_COOLDOWN = 2 * 60 * 60 * 1000; // 2 hours
+
+// Disboard answers /bump with an embed. A successful bump shows the bump
+// image and "Bump done!"; a bump during the cooldown shows "Please wait...".
+function isSuccessfulBump(embed) {
+  return Boolean(embed.image?.url?.includes('bot-command-image-bump'))
+    || /bump done/i.test(embed.description || '');
+}
+
+// The member who bumped, if the message is Disboard confirming a bump.
+// The bumper is the user who ran the /bump interaction Disboard replied to.
+export function detectBump(message) {
+  if (message.author?.id !== DISBOARD_BOT_ID) return null;
+  if (!message.embeds.some(isSuccessfulBump)) return null;
+
+  const user = message.interactionMetadata?.user || message.interaction?.user;
+  return user ? { userId: user.id, bumpedAt: message.createdTimestamp } : null;
+}
+
+// Reminder pings for when the bump cooldown of a guild expires. Timers live in
+// memory and are restored from storage on startup, so a restart does not lose
+// (or repeat) a reminder.
+export function createBumpReminders(client, storage) {
+  const timers = new Map();
+
+  async function remind(guildId) {
+    timers.delete(guildId);
+    storage.markBumpReminded(guildId);
+
+    const config = getGuildConfig(storage, guildId);
+    const { bumpChannelId, bumpRoleId } = config;
+    if (!bumpChannelId) return;
+
+    try {
+      const channel = await client.channels.fetch(bumpChannelId).catch(() => null);
+      if (!channel || !channel.isTextBased()) {
+        log.warn('Reminder channel not found', { guildId, channelId: bumpChannelId });
+        return;
+      }
+
+      const t = guildTranslator(config, client.guilds.cache.get(guildId));
+      await channel.send({
+        content: `${bumpRoleId ? `<@&${bumpRoleId}> ` : ''}${t('bumps.reminder')}`,
+        allowedMentions: { roles: bumpRoleId ? [bumpRoleId] : [] }
+      });
+      log.info('Sent bump reminder', { guildId });
+    } catch (error) {
+      log.error('Error sending bump reminder', { guildId, error });
+    }
+  }
+
+  function schedule(guildId, remindAt) {
+    clearTimeout(timers.get(guildId));
+    const timer = setTimeout(() => remind(guildId), Math.max(0, remindAt - Date.now()));
+    timers.set(guildId, timer);
+  }
+
+  return {
+    schedule,
+
+    // Re-arm reminders that were pending when the bot stopped. Overdue ones are sent right away.
+    restore() {
+      for (const { guildId, remindAt } of storage.getPendingBumpReminders()) {
+        if (client.guilds.cache.has(guildId)) schedule(guildId, remindAt);
+      }
+    },
+
+    cancel(guildId) {
+      clearTimeout(timers.get(guildId));
+      timers.delete(guildId);
+    },
+
+    // Drop every timer on shutdown; pending reminders are restored on the next start
+    stop() {
+      for (const timer of timers.values()) clearTimeout(timer);
+      timers.clear();
+    },
+  };
+}
@@ -0,0 +1,84 @@
+import { EmbedBuilder, PermissionsBitField, SlashCommandBuilder } from 'discord.js';
+import { generateApiKey } from '../api.js';
+import { CommandError } from './registry.js';
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('apikey')
+    .setDescription('Manage API keys for the invite stats API (Admin only)')
+    .addSubcommand(subcommand =>
+      subcommand.setName('create')
+        .setDescription('Create a new API key for this server')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('What the key is used for, e.g. "website"')
+            .setMaxLength(50)
+            .setRequired(true)))
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription('List the API keys of this server'))
+    .addSubcommand(subcommand =>
+      subcommand.setName('revoke')
+        .setDescription('Revoke an API key')
+        .addStringOption(option =>
+          option.setName('id')
+            .setDescription('The key ID shown by /apikey list')
+            .setRequired(true))),
+  permissions: PermissionsBitField.Flags.ManageGuild,
+  ephemeral: true,
+
+  async execute(interaction, { storage, t, reply, log }) {
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+
+    switch (subcommand) {
+      case 'create': {
+        const name = interaction.options.getString('name');
+        const { id, key, hash } = generateApiKey();
+        storage.addApiKey(guildId, { id, name, hash, createdBy: interaction.user.id });
+
+        const embed = new EmbedBuilder()
+          .setColor(0x00ff99)
+          .setTitle(t('apikey.createdTitle'))
+          .setDescription(t('apikey.created', { key }))
+          .addFields(
+            { name: t('apikey.id'), value: `\`${id}\``, inline: true },
+            { name: t('apikey.name'), value: name, inline: true },
+            { name: t('apikey.usage'), value: t('apikey.usageValue', { guildId }) },
+          )
+          .setTimestamp();
+
+        await reply({ embeds: [embed] });
+        log.info('Created API key', { keyId: id, name });
+        break;
+      }
+      case 'list': {
+        const keys = storage.getApiKeys(guildId);
+        const lines = keys.map(apiKey => t('apikey.line', {
+          id: apiKey.id,
+          name: apiKey.name,
+          user: `<@${apiKey.createdBy}>`,
+          time: `<t:${Math.floor(apiKey.createdAt / 1000)}:R>`,
+        }));
+
+        const embed = new EmbedBuilder()
+          .setColor(0x5865f2)
+          .setTitle(t('apikey.title'))
+          .setDescription(lines.length > 0 ? lines.join('\n') : t('apikey.empty'))
+          .setTimestamp();
+
+        await reply({ embeds: [embed] });
+        break;
+      }
+      case 'revoke': {
+        const id = interaction.options.getString('id').trim();
+        if (!storage.removeApiKey(guildId, id)) {
+          throw new CommandError(t('apikey.notFound', { id }));
+        }
+        await reply({ content: t('apikey.revoked', { id }) });
+        log.info('Revoked API key', { keyId: id });
+        break;
+      }
+    }
+  },
+};
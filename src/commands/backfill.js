@@ -0,0 +1,96 @@
+import { EmbedBuilder, PermissionsBitField, SlashCommandBuilder } from 'discord.js';
+import { createBackfill } from '../backfill.js';
+import { CommandError } from './registry.js';
+
+function describeBackfill(t, backfill, running) {
+  const embed = new EmbedBuilder()
+    .setTimestamp()
+    .addFields(
+      { name: t('backfill.attributed'), value: `${backfill.attributed}`, inline: true },
+      { name: t('backfill.ambiguous'), value: `${backfill.ambiguous}`, inline: true },
+      { name: t('backfill.skipped'), value: `${backfill.skipped}`, inline: true },
+      { name: t('backfill.invites'), value: `${Object.keys(backfill.invites).length}`, inline: true },
+      { name: t('backfill.unmatchedUses'), value: `${backfill.unmatchedUses}`, inline: true },
+      { name: t('backfill.started'), value: t('backfill.startedValue', { time: `<t:${Math.floor(backfill.startedAt / 1000)}:R>`, user: `<@${backfill.startedBy}>` }), inline: true },
+    );
+
+  switch (backfill.status) {
+    case 'completed':
+      return embed
+        .setColor(0x00ff99)
+        .setTitle(t('backfill.completedTitle'))
+        .setDescription(t('backfill.completed', { time: `<t:${Math.floor(backfill.completedAt / 1000)}:R>` }));
+    case 'failed':
+      return embed
+        .setColor(0xff6b6b)
+        .setTitle(t('backfill.failedTitle'))
+        .setDescription(t('backfill.failed', { error: backfill.error }));
+    default: {
+      const lines = [t('backfill.phase', { phase: t(`backfill.phases.${backfill.phase}`) })];
+      if (backfill.error) lines.push(t('backfill.lastError', { error: backfill.error }));
+      if (!running) lines.push(t('backfill.resume'));
+      return embed
+        .setColor(0xffa500)
+        .setTitle(t(running ? 'backfill.runningTitle' : 'backfill.interruptedTitle'))
+        .setDescription(lines.join('\n'));
+    }
+  }
+}
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('backfill')
+    .setDescription('Estimate who invited members that joined before the bot (Admin only)')
+    .addSubcommand(subcommand =>
+      subcommand.setName('start')
+        .setDescription('Rebuild inviter history from the audit log and current invites'))
+    .addSubcommand(subcommand =>
+      subcommand.setName('status')
+        .setDescription('Show the progress or result of the backfill')),
+  permissions: PermissionsBitField.Flags.Administrator,
+  cooldown: 10,
+  ephemeral: true,
+
+  async execute(interaction, { storage, backfills, t, reply }) {
+    const guild = interaction.guild;
+    const backfill = storage.getBackfill(guild.id);
+
+    if (interaction.options.getSubcommand() === 'status') {
+      await reply({
+        ...(backfill ? { embeds: [describeBackfill(t, backfill, backfills.isRunning(guild.id))] } : { content: t('backfill.none') }),
+        allowedMentions: { parse: [] }
+      });
+      return;
+    }
+
+    // start
+    if (backfills.isRunning(guild.id)) {
+      await reply({ content: t('backfill.alreadyRunning') });
+      return;
+    }
+    if (backfill?.status === 'completed') {
+      throw new CommandError(t('backfill.alreadyCompleted', { time: `<t:${Math.floor(backfill.completedAt / 1000)}:R>` }));
+    }
+
+    // A stopped or interrupted backfill is resumed rather than restarted
+    const resuming = Boolean(backfill);
+    if (resuming) {
+      storage.saveBackfill(guild.id, { ...backfill, status: 'running', error: null });
+    } else {
+      storage.saveBackfill(guild.id, createBackfill(interaction.user.id));
+    }
+
+    await reply({
+      content: t(resuming ? 'backfill.resuming' : 'backfill.starting')
+    });
+
+    const finished = await backfills.start(guild);
+    await interaction.editReply({
+      content: '',
+      embeds: [describeBackfill(t, finished || storage.getBackfill(guild.id), false)],
+      allowedMentions: { parse: [] }
+    }).catch(() => {
+      // The interaction token expires after 15 minutes; /backfill status still works
+    });
+  },
+};
@@ -0,0 +1,61 @@
+import { EmbedBuilder, SlashCommandBuilder } from 'discord.js';
+import { paginationRow, statsEphemeral } from './helpers.js';
+
+const BUMP_LEADERBOARD_PAGE_SIZE = 10;
+
+function buildBumpLeaderboardPage(interaction, t, storage, page) {
+  const ranking = storage.getBumpCounts(interaction.guildId);
+  const totalPages = Math.max(1, Math.ceil(ranking.length / BUMP_LEADERBOARD_PAGE_SIZE));
+  const currentPage = Math.min(Math.max(page, 1), totalPages);
+  const start = (currentPage - 1) * BUMP_LEADERBOARD_PAGE_SIZE;
+  const callerId = interaction.user.id;
+  const callerIndex = ranking.findIndex(entry => entry.userId === callerId);
+  const state = storage.getBumpState(interaction.guildId);
+
+  const lines = ranking.slice(start, start + BUMP_LEADERBOARD_PAGE_SIZE).map((entry, i) => {
+    const line = t('bumpleaderboard.line', { rank: start + i + 1, user: `<@${entry.userId}>`, count: entry.count });
+    return entry.userId === callerId ? `➡️ ${line} ⬅️` : line;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865f2)
+    .setTitle(t('bumpleaderboard.title', { guild: interaction.guild.name }))
+    .setDescription(lines.length > 0 ? lines.join('\n') : t('bumpleaderboard.empty'))
+    .setThumbnail(interaction.guild.iconURL({ dynamic: true }))
+    .setFooter({ text: t('bumpleaderboard.footer', { page: currentPage, pages: totalPages }) })
+    .setTimestamp();
+
+  if (state) {
+    const next = Math.floor(state.remindAt / 1000);
+    embed.addFields(
+      { name: t('bumpleaderboard.lastBump'), value: `<@${state.lastBumperId}> <t:${Math.floor(state.lastBumpAt / 1000)}:R>`, inline: true },
+      { name: t('bumpleaderboard.nextBump'), value: state.remindAt > Date.now() ? `<t:${next}:R>` : t('bumpleaderboard.availableNow'), inline: true }
+    );
+  }
+  if (callerIndex >= 0 && (callerIndex < start || callerIndex >= start + BUMP_LEADERBOARD_PAGE_SIZE)) {
+    embed.addFields({ name: t('bumpleaderboard.yourRank'), value: t('bumpleaderboard.rankValue', { rank: callerIndex + 1, count: ranking[callerIndex].count }) });
+  }
+
+  return { embeds: [embed], components: [paginationRow(t, 'bumpleaderboard', currentPage, totalPages)] };
+}
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('bumpleaderboard')
+    .setDescription('Show who bumped this server on Disboard the most')
+    .addIntegerOption(option =>
+      option.setName('page')
+        .setDescription('Page to start on')
+        .setMinValue(1)),
+  cooldown: 5,
+  ephemeral: statsEphemeral,
+  deleteReply: true,
+
+  async execute(interaction, { storage, t, reply }) {
+    await reply(buildBumpLeaderboardPage(interaction, t, storage, interaction.options.getInteger('page') || 1));
+  },
+
+  async button(interaction, [page], { storage, t }) {
+    await interaction.update(buildBumpLeaderboardPage(interaction, t, storage, parseInt(page, 10) || 1));
+  },
+};
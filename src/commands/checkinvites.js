@@ -0,0 +1,145 @@
+import { EmbedBuilder, SlashCommandBuilder } from 'discord.js';
+import { getWindowStats } from '../periods.js';
+import { estimatedInvites } from '../backfill.js';
+import { rankInviters } from '../leaderboard.js';
+import { CommandError } from './registry.js';
+import { addPeriodOptions, readPeriodOptions, inviteBreakdownFields, periodLabel, statsEphemeral } from './helpers.js';
+
+const USER_ID_PATTERN = /^\d{17,20}$/;
+const MENTION_PATTERN = /^<@!?(\d{17,20})>$/;
+
+// Discord allows at most 25 autocomplete choices
+const AUTOCOMPLETE_LIMIT = 25;
+
+// The user ID for what was typed in the user option: an autocomplete choice or
+// raw ID (which also works for members who left), a mention, or a username,
+// display name or tag of a current member
+async function resolveUserId(guild, input) {
+  const query = input.trim();
+  if (USER_ID_PATTERN.test(query)) return query;
+
+  const mention = MENTION_PATTERN.exec(query);
+  if (mention) return mention[1];
+
+  const name = query.replace(/^@/, '').toLowerCase();
+  if (!name) return null;
+  const matches = (member) => [member.user.username, member.user.tag, member.displayName]
+    .some(value => value?.toLowerCase() === name);
+
+  const cached = guild.members.cache.find(matches);
+  if (cached) return cached.id;
+
+  // Otherwise a name prefix is enough when it matches a single member
+  const found = await guild.members.search({ query: name, limit: 10 }).catch(() => null);
+  const member = found?.find(matches) ?? (found?.size === 1 ? found.first() : null);
+  return member?.id ?? null;
+}
+
+// Time of the inviter's most recent join that was credited to them
+function lastInviteAt(storage, guildId, userId) {
+  return storage.getJoinEvents(guildId)
+    .filter(event => event.inviterId === userId && !event.fake && !event.pending)
+    .reduce((latest, event) => Math.max(latest ?? 0, event.joinedAt), null);
+}
+
+// The invite summary of a user, shared with the "View invites" context menu
+export async function buildInviteSummary(interaction, { client, storage, t, log }, userId, window = null) {
+  const guildId = interaction.guildId;
+  const stats = window ? getWindowStats(storage, guildId, userId, window) : storage.getInviteStats(guildId, userId);
+
+  // Try to fetch the user to get their tag and avatar
+  let targetUser;
+  try {
+    targetUser = await client.users.fetch(userId);
+  } catch (error) {
+    log.warn('Could not fetch user', { targetId: userId, error: error.message });
+  }
+
+  const ranking = rankInviters(storage, guildId, 'total', window);
+  const rank = ranking.findIndex(entry => entry.userId === userId);
+  const join = storage.getMemberJoin(guildId, userId);
+  const lastInvite = lastInviteAt(storage, guildId, userId);
+
+  let invitedBy = t('checkinvites.noJoin');
+  if (join) invitedBy = join.inviterId ? `<@${join.inviterId}>` : t('checkinvites.inviterUnknown');
+
+  const titleUser = targetUser ? targetUser.tag : t('checkinvites.unknownUserTitle', { id: userId });
+  const embed = new EmbedBuilder()
+    .setColor(0x00ff99)
+    .setTitle(window ? t('checkinvites.titlePeriod', { user: titleUser, period: periodLabel(t, window) }) : t('checkinvites.title', { user: titleUser }))
+    .setDescription(t('checkinvites.description', {
+      user: targetUser ? `**${targetUser.tag}**` : t('checkinvites.unknownUserDescription', { id: userId }),
+      count: stats.total
+    }))
+    .addFields(inviteBreakdownFields(t, stats, window ? 0 : estimatedInvites(storage, guildId, userId)))
+    .addFields(
+      {
+        name: t('checkinvites.rank'),
+        value: rank === -1 ? t('checkinvites.notRanked') : t('checkinvites.rankValue', { rank: rank + 1, count: ranking.length }),
+        inline: true
+      },
+      { name: t('checkinvites.invitedBy'), value: invitedBy, inline: true },
+      {
+        name: t('checkinvites.lastInvite'),
+        value: lastInvite ? `<t:${Math.floor(lastInvite / 1000)}:f>` : t('checkinvites.never'),
+        inline: true
+      },
+    )
+    .setThumbnail(targetUser ? targetUser.displayAvatarURL({ dynamic: true }) : null)
+    .setFooter({
+      text: t('checkinvites.footer'),
+      iconURL: interaction.guild.iconURL({ dynamic: true })
+    })
+    .setTimestamp();
+
+  return { embeds: [embed], allowedMentions: { parse: [] } };
+}
+
+export default {
+  data: addPeriodOptions(new SlashCommandBuilder()
+    .setName('checkinvites')
+    .setDescription('Check the invite count of a member')
+    .addStringOption(option =>
+      option.setName('user')
+        .setDescription('The member to check (pick one, or paste the User ID of someone who left)')
+        .setAutocomplete(true)
+        .setRequired(true))),
+  ephemeral: statsEphemeral,
+  deleteReply: true,
+
+  async execute(interaction, ctx) {
+    const input = interaction.options.getString('user');
+    const userId = await resolveUserId(interaction.guild, input);
+    if (!userId) {
+      throw new CommandError(ctx.t('checkinvites.userNotFound', { query: input.replace(/`/g, '') }));
+    }
+
+    const window = readPeriodOptions(interaction, ctx.t);
+    await ctx.reply(await buildInviteSummary(interaction, ctx, userId, window));
+  },
+
+  // Suggest members of the guild matching what was typed so far
+  async autocomplete(interaction, { t }) {
+    const query = interaction.options.getFocused().trim();
+    const guild = interaction.guild;
+
+    const members = query
+      ? await guild.members.search({ query: query.replace(/^@/, ''), limit: AUTOCOMPLETE_LIMIT }).catch(() => guild.members.cache)
+      : guild.members.cache;
+
+    const choices = [...members.values()]
+      .filter(member => !member.user.bot)
+      .slice(0, AUTOCOMPLETE_LIMIT)
+      .map(member => ({
+        name: (member.displayName !== member.user.username ? `${member.displayName} (@${member.user.username})` : `@${member.user.username}`).slice(0, 100),
+        value: member.id
+      }));
+
+    // A pasted ID is offered as is, for members who already left
+    if (USER_ID_PATTERN.test(query) && !choices.some(choice => choice.value === query)) {
+      choices.unshift({ name: t('checkinvites.userIdChoice', { id: query }), value: query });
+    }
+
+    await interaction.respond(choices.slice(0, AUTOCOMPLETE_LIMIT));
+  },
+};
@@ -0,0 +1,120 @@
+import { EmbedBuilder, PermissionsBitField, SlashCommandBuilder, ChannelType } from 'discord.js';
+import {
+  startCompetition,
+  endCompetition,
+  competitionStandings,
+  buildCompetitionEmbed,
+  announceCompetitionResults
+} from '../competitions.js';
+import { CommandError } from './registry.js';
+import { canPostIn } from './helpers.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('competition')
+    .setDescription('Run an invite competition over a period of time (Admin only)')
+    .addSubcommand(subcommand =>
+      subcommand.setName('start')
+        .setDescription('Start counting invites for a new competition')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('Name of the competition, e.g. "October contest"')
+            .setRequired(true)
+            .setMaxLength(100))
+        .addIntegerOption(option =>
+          option.setName('ends_in_days')
+            .setDescription('End automatically after this many days (default: end it with /competition end)')
+            .setMinValue(1)
+            .setMaxValue(365))
+        .addChannelOption(option =>
+          option.setName('channel')
+            .setDescription('Channel to announce the results in (default: this channel)')
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)))
+    .addSubcommand(subcommand =>
+      subcommand.setName('end')
+        .setDescription('End the running competition and announce the winners'))
+    .addSubcommand(subcommand =>
+      subcommand.setName('status')
+        .setDescription('Show the standings of the running competition'))
+    .addSubcommand(subcommand =>
+      subcommand.setName('history')
+        .setDescription('Show the winners of past competitions')),
+  permissions: PermissionsBitField.Flags.ManageGuild,
+  ephemeral: true,
+
+  async execute(interaction, { client, storage, t, reply }) {
+    const guildId = interaction.guildId;
+    const active = storage.getActiveCompetition(guildId);
+
+    switch (interaction.options.getSubcommand()) {
+      case 'start': {
+        if (active) {
+          throw new CommandError(t('competition.alreadyRunning', { name: active.name }));
+        }
+
+        const channel = interaction.options.getChannel('channel') || interaction.channel;
+        if (!canPostIn(channel)) {
+          throw new CommandError(t('competition.cannotPost', { channel: `${channel}` }));
+        }
+
+        const days = interaction.options.getInteger('ends_in_days');
+        const competition = startCompetition(storage, guildId, {
+          name: interaction.options.getString('name'),
+          channelId: channel.id,
+          startedBy: interaction.user.id,
+          endsAt: days ? Date.now() + days * DAY : null,
+        });
+
+        const embed = new EmbedBuilder()
+          .setColor(0x00ff99)
+          .setTitle(t('competition.startedTitle', { name: competition.name }))
+          .setDescription(t('competition.started', { channel: `${channel}` }))
+          .addFields({
+            name: t('competition.ends'),
+            value: competition.endsAt ? `<t:${Math.floor(competition.endsAt / 1000)}:f> (<t:${Math.floor(competition.endsAt / 1000)}:R>)` : t('competition.endsManually')
+          })
+          .setTimestamp();
+
+        await reply({ embeds: [embed], ephemeral: false });
+        return;
+      }
+      case 'end': {
+        if (!active) {
+          throw new CommandError(t('competition.notRunning'));
+        }
+
+        const ended = endCompetition(storage, active, { endedBy: interaction.user.id });
+        await reply({ content: t('competition.ended', { name: ended.name }) });
+        await announceCompetitionResults(client, storage, ended);
+        return;
+      }
+      case 'status': {
+        if (!active) {
+          await reply({ content: t('competition.none') });
+          return;
+        }
+
+        await reply({ embeds: [buildCompetitionEmbed(t, active, competitionStandings(storage, active))] });
+        return;
+      }
+      case 'history': {
+        const past = storage.getCompetitions(guildId).filter(competition => competition.status === 'ended').slice(0, 10);
+        const lines = past.map(competition => {
+          const winners = competition.winners.map((winner, index) => `${index + 1}. <@${winner.userId}> (${winner.score})`).join(' ');
+          return `**${competition.name}** — <t:${Math.floor(competition.endedAt / 1000)}:d>\n${winners || t('competition.noWinners')}`;
+        });
+
+        const embed = new EmbedBuilder()
+          .setColor(0xffd700)
+          .setTitle(t('competition.historyTitle'))
+          .setDescription(lines.length > 0 ? lines.join('\n\n') : t('competition.historyEmpty'))
+          .setTimestamp();
+
+        await reply({ embeds: [embed] });
+        return;
+      }
+    }
+  },
+};
@@ -0,0 +1,222 @@
+import { EmbedBuilder, PermissionsBitField, SlashCommandBuilder, ChannelType } from 'discord.js';
+import {
+  CONFIG_KEYS,
+  getGuildConfig,
+  setGuildConfigValue,
+  resetGuildConfigValue,
+  formatConfigValue
+} from '../config.js';
+import { DEFAULT_LOCALE, LOCALE_NAMES, t as translate } from '../i18n/index.js';
+import { CommandError } from './registry.js';
+import { canPostIn } from './helpers.js';
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('config')
+    .setDescription('View or change the bot configuration for this server (Admin only)')
+    .addSubcommand(subcommand =>
+      subcommand.setName('view')
+        .setDescription('Show the current configuration'))
+    .addSubcommandGroup(group =>
+      group.setName('set')
+        .setDescription('Change a setting')
+        .addSubcommand(subcommand =>
+          subcommand.setName('bump_channel')
+            .setDescription('Channel where Disboard bumps are tracked and reminders are sent')
+            .addChannelOption(option =>
+              option.setName('channel')
+                .setDescription('The bump channel')
+                .addChannelTypes(ChannelType.GuildText)
+                .setRequired(true)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('bump_role')
+            .setDescription('Role pinged when the server can be bumped again')
+            .addRoleOption(option =>
+              option.setName('role')
+                .setDescription('The bump reminder role')
+                .setRequired(true)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('log_channel')
+            .setDescription('Channel for join and leave logs')
+            .addChannelOption(option =>
+              option.setName('channel')
+                .setDescription('The log channel')
+                .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+                .setRequired(true)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('fake_account_age')
+            .setDescription('Count invites of accounts younger than this as fake')
+            .addIntegerOption(option =>
+              option.setName('value')
+                .setDescription('Minimum account age in days (0 disables the check)')
+                .setMinValue(0)
+                .setMaxValue(365)
+                .setRequired(true)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('reply_delete_delay')
+            .setDescription('Delete stat replies after this many seconds')
+            .addIntegerOption(option =>
+              option.setName('value')
+                .setDescription('Delay in seconds (0 keeps replies)')
+                .setMinValue(0)
+                .setMaxValue(86400)
+                .setRequired(true)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('public_stats')
+            .setDescription('Show /invite, /checkinvites and /leaderboard replies to everyone')
+            .addBooleanOption(option =>
+              option.setName('value')
+                .setDescription('True for public replies, false for private ones')
+                .setRequired(true)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('language')
+            .setDescription('Language of replies for members whose Discord language is not translated')
+            .addStringOption(option =>
+              option.setName('value')
+                .setDescription('The default language')
+                .addChoices(...Object.entries(LOCALE_NAMES).map(([value, name]) => ({ name, value })))
+                .setRequired(true)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('review_channel')
+            .setDescription('Moderator channel for the join review queue (enables reviews)')
+            .addChannelOption(option =>
+              option.setName('channel')
+                .setDescription('The review channel')
+                .addChannelTypes(ChannelType.GuildText)
+                .setRequired(true)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('review_threshold')
+            .setDescription('Number of suspicious signals that hold a join for review')
+            .addIntegerOption(option =>
+              option.setName('value')
+                .setDescription('Signals needed (1 holds any suspicious join)')
+                .setMinValue(1)
+                .setMaxValue(4)
+                .setRequired(true)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('review_account_age')
+            .setDescription('Flag accounts younger than this')
+            .addIntegerOption(option =>
+              option.setName('value')
+                .setDescription('Account age in days (0 disables the signal)')
+                .setMinValue(0)
+                .setMaxValue(365)
+                .setRequired(true)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('review_default_avatar')
+            .setDescription('Flag accounts that still use the default avatar')
+            .addBooleanOption(option =>
+              option.setName('value')
+                .setDescription('True to flag them')
+                .setRequired(true)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('review_rejoins')
+            .setDescription('Send rejoins to review instead of counting them as fake')
+            .addBooleanOption(option =>
+              option.setName('value')
+                .setDescription('True to review rejoins')
+                .setRequired(true)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('review_burst_joins')
+            .setDescription('Flag joins once this many used one code within the burst window')
+            .addIntegerOption(option =>
+              option.setName('value')
+                .setDescription('Number of joins (0 disables the signal)')
+                .setMinValue(0)
+                .setMaxValue(1000)
+                .setRequired(true)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('review_burst_minutes')
+            .setDescription('Length of the burst window for joins via one code')
+            .addIntegerOption(option =>
+              option.setName('value')
+                .setDescription('Window in minutes')
+                .setMinValue(1)
+                .setMaxValue(1440)
+                .setRequired(true)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('review_quick_leave_hours')
+            .setDescription('Send invitees who leave within this many hours to review')
+            .addIntegerOption(option =>
+              option.setName('value')
+                .setDescription('Hours after joining (0 disables the signal)')
+                .setMinValue(0)
+                .setMaxValue(720)
+                .setRequired(true))))
+    .addSubcommand(subcommand =>
+      subcommand.setName('reset')
+        .setDescription('Restore a setting to its default')
+        .addStringOption(option =>
+          option.setName('key')
+            .setDescription('The setting to reset')
+            .setRequired(true)
+            .addChoices(...Object.keys(CONFIG_KEYS).map(key => ({ name: translate(DEFAULT_LOCALE, `config.labels.${key}`), value: key }))))),
+  permissions: PermissionsBitField.Flags.ManageGuild,
+  ephemeral: true,
+
+  async execute(interaction, { storage, t, reply, log }) {
+    const guildId = interaction.guildId;
+    const group = interaction.options.getSubcommandGroup(false);
+    const subcommand = interaction.options.getSubcommand();
+
+    if (group === 'set') {
+      const key = subcommand;
+      let value;
+
+      switch (CONFIG_KEYS[key].type) {
+        case 'channel': {
+          const channel = interaction.options.getChannel('channel');
+          if (!canPostIn(channel)) {
+            throw new CommandError(t('errors.cannotPost', { channel: `${channel}` }));
+          }
+          value = channel.id;
+          break;
+        }
+        case 'role':
+          value = interaction.options.getRole('role').id;
+          break;
+        case 'integer':
+          value = interaction.options.getInteger('value');
+          break;
+        case 'boolean':
+          value = interaction.options.getBoolean('value');
+          break;
+        case 'locale':
+          value = interaction.options.getString('value');
+          break;
+      }
+
+      setGuildConfigValue(storage, guildId, key, value);
+      await reply({ content: t('config.set', { label: t(`config.labels.${key}`), value: formatConfigValue(t, key, value) }) });
+      log.info('Set config value', { key, value });
+      return;
+    }
+
+    if (subcommand === 'reset') {
+      const key = interaction.options.getString('key');
+      resetGuildConfigValue(storage, guildId, key);
+      await reply({ content: t('config.reset', { label: t(`config.labels.${key}`), value: formatConfigValue(t, key, CONFIG_KEYS[key].default) }) });
+      log.info('Reset config value', { key });
+      return;
+    }
+
+    // view
+    const config = getGuildConfig(storage, guildId);
+    const overrides = storage.getConfigOverrides(guildId);
+    const embed = new EmbedBuilder()
+      .setColor(0x5865f2)
+      .setTitle(t('config.title', { guild: interaction.guild.name }))
+      .addFields(Object.entries(CONFIG_KEYS).map(([key, { field }]) => {
+        const value = formatConfigValue(t, key, config[field]);
+        return {
+          name: t(`config.labels.${key}`),
+          value: overrides[field] === undefined ? t('config.default', { value }) : value,
+          inline: true
+        };
+      }))
+      .setFooter({ text: t('config.footer') })
+      .setTimestamp();
+
+    await reply({ embeds: [embed] });
+  },
+};
@@ -0,0 +1,89 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionsBitField } from 'discord.js';
+import { PERIOD_CHOICES, PeriodError, resolvePeriod } from '../periods.js';
+import { CommandError } from './registry.js';
+
+// Options shared by commands that can show stats for a period instead of all time
+export function addPeriodOptions(builder) {
+  return builder
+    .addStringOption(option =>
+      option.setName('period')
+        .setDescription('Only count invites from this period (default: all time)')
+        .addChoices(...PERIOD_CHOICES))
+    .addStringOption(option =>
+      option.setName('from')
+        .setDescription('Start of a custom period, as YYYY-MM-DD (UTC)')
+        .setMinLength(10)
+        .setMaxLength(10))
+    .addStringOption(option =>
+      option.setName('to')
+        .setDescription('End of a custom period (inclusive), as YYYY-MM-DD (UTC)')
+        .setMinLength(10)
+        .setMaxLength(10));
+}
+
+export function periodOptionsOf(interaction) {
+  return {
+    period: interaction.options.getString('period'),
+    from: interaction.options.getString('from'),
+    to: interaction.options.getString('to'),
+  };
+}
+
+// Resolve the period options of a command into a window (null for all time)
+export function readPeriodOptions(interaction, t) {
+  try {
+    return resolvePeriod(periodOptionsOf(interaction));
+  } catch (error) {
+    if (error instanceof PeriodError) throw new CommandError(t(`periods.errors.${error.key}`, error.values));
+    throw error;
+  }
+}
+
+// Embed fields showing how an invite total is made up
+export function inviteBreakdownFields(t, stats, estimated = 0) {
+  const fields = [
+    { name: t('breakdown.regular'), value: `${stats.regular}`, inline: true },
+    { name: t('breakdown.left'), value: `${stats.left}`, inline: true },
+    { name: t('breakdown.fake'), value: `${stats.fake}`, inline: true },
+    { name: t('breakdown.bonus'), value: `${stats.bonus}`, inline: true },
+  ];
+  if (estimated > 0) {
+    fields.push({ name: t('breakdown.estimatedName'), value: t('breakdown.estimated', { count: estimated }), inline: true });
+  }
+  return fields;
+}
+
+// Name of a period window in the reader's language
+export function periodLabel(t, window) {
+  if (window.period === 'custom') {
+    return t('periods.custom', { from: window.from || t('periods.start'), to: window.to || t('periods.now') });
+  }
+  return t(`periods.${window.period}`);
+}
+
+// Whether the bot can post embeds in a channel
+export function canPostIn(channel) {
+  const permissions = channel.permissionsFor(channel.guild.members.me);
+  return Boolean(permissions?.has([PermissionsBitField.Flags.ViewChannel, PermissionsBitField.Flags.SendMessages, PermissionsBitField.Flags.EmbedLinks]));
+}
+
+// Previous/Next buttons whose custom IDs are `${prefix}:${page}`
+export function paginationRow(t, prefix, currentPage, totalPages) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${prefix}:${currentPage - 1}`)
+      .setLabel(t('pagination.previous'))
+      .setEmoji('◀️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(currentPage <= 1),
+    new ButtonBuilder()
+      .setCustomId(`${prefix}:${currentPage + 1}`)
+      .setLabel(t('pagination.next'))
+      .setEmoji('▶️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(currentPage >= totalPages)
+  );
+}
+
+// Stat commands follow the guild's public_stats setting
+export const statsEphemeral = config => !config.publicStats;
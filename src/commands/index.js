@@ -0,0 +1,44 @@
+import invite from './invite.js';
+import checkinvites from './checkinvites.js';
+import resetinvites from './resetinvites.js';
+import invites from './invites.js';
+import rewards from './rewards.js';
+import config from './config.js';
+import logs from './logs.js';
+import apikey from './apikey.js';
+import leaderboard from './leaderboard.js';
+import competition from './competition.js';
+import inviter from './inviter.js';
+import invitees from './invitees.js';
+import invitecodes from './invitecodes.js';
+import invitedata from './invitedata.js';
+import backfill from './backfill.js';
+import bumpleaderboard from './bumpleaderboard.js';
+import viewinvites from './viewinvites.js';
+import webhook from './webhook.js';
+import review from './review.js';
+
+// Command modules in registration order. Button-only modules (review) come last.
+export const commandModules = [
+  invite,
+  checkinvites,
+  resetinvites,
+  invites,
+  rewards,
+  config,
+  logs,
+  apikey,
+  leaderboard,
+  competition,
+  inviter,
+  invitees,
+  invitecodes,
+  invitedata,
+  backfill,
+  bumpleaderboard,
+  viewinvites,
+  webhook,
+  review,
+];
+
+export { createCommandRegistry, CommandError } from './registry.js';
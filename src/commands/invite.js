@@ -0,0 +1,34 @@
+import { EmbedBuilder, SlashCommandBuilder } from 'discord.js';
+import { getWindowStats } from '../periods.js';
+import { estimatedInvites } from '../backfill.js';
+import { addPeriodOptions, readPeriodOptions, inviteBreakdownFields, periodLabel, statsEphemeral } from './helpers.js';
+
+export default {
+  data: addPeriodOptions(new SlashCommandBuilder()
+    .setName('invite')
+    .setDescription('Check your current invite count')),
+  ephemeral: statsEphemeral,
+  deleteReply: true,
+
+  async execute(interaction, { storage, t, reply }) {
+    const userId = interaction.user.id;
+    const guildId = interaction.guildId;
+    const window = readPeriodOptions(interaction, t);
+
+    const stats = window ? getWindowStats(storage, guildId, userId, window) : storage.getInviteStats(guildId, userId);
+
+    const embed = new EmbedBuilder()
+      .setColor(0x00ff99)
+      .setTitle(window ? t('invite.titlePeriod', { period: periodLabel(t, window) }) : t('invite.title'))
+      .setDescription(t('invite.description', { count: stats.total }))
+      .addFields(inviteBreakdownFields(t, stats, window ? 0 : estimatedInvites(storage, guildId, userId)))
+      .setThumbnail(interaction.user.displayAvatarURL({ dynamic: true }))
+      .setFooter({ 
+        text: t('invite.footer'),
+        iconURL: interaction.guild.iconURL({ dynamic: true })
+      })
+      .setTimestamp();
+
+    await reply({ embeds: [embed] });
+  },
+};
@@ -0,0 +1,95 @@
+import { EmbedBuilder, PermissionsBitField, SlashCommandBuilder } from 'discord.js';
+import { getInviteCodeStats, RETENTION_DAYS } from '../inviteCodes.js';
+import { CommandError } from './registry.js';
+import { paginationRow } from './helpers.js';
+
+const INVITE_CODES_PAGE_SIZE = 8;
+
+function buildInviteCodesPage(interaction, t, storage, page) {
+  const codes = getInviteCodeStats(storage, interaction.guildId);
+  const totalPages = Math.max(1, Math.ceil(codes.length / INVITE_CODES_PAGE_SIZE));
+  const currentPage = Math.min(Math.max(page, 1), totalPages);
+  const start = (currentPage - 1) * INVITE_CODES_PAGE_SIZE;
+
+  const fields = codes.slice(start, start + INVITE_CODES_PAGE_SIZE).map(stats => {
+    const retention = RETENTION_DAYS.map(days => {
+      const { eligible, retained } = stats.retention[`${days}d`];
+      return `${days}d ${eligible > 0 ? `${retained}/${eligible}` : '—'}`;
+    }).join(' · ');
+    const uses = stats.uses === null ? t('invitecodes.notAvailable') : `${stats.uses}${stats.maxUses ? `/${stats.maxUses}` : ''}`;
+    const inviter = stats.inviterId ? `<@${stats.inviterId}>` : t('invitecodes.unknownInviter');
+
+    return {
+      name: `\`${stats.code}\`${stats.label ? ` — ${stats.label}` : ''}${stats.active ? '' : t('invitecodes.inactive')}`,
+      value: [
+        stats.channelId ? t('invitecodes.byIn', { user: inviter, channel: `<#${stats.channelId}>` }) : t('invitecodes.by', { user: inviter }),
+        t('invitecodes.counts', { uses, joins: stats.joins, members: stats.members }),
+        t('invitecodes.retention', { retention }),
+      ].join('\n')
+    };
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865f2)
+    .setTitle(t('invitecodes.title', { guild: interaction.guild.name }))
+    .setDescription(t(fields.length > 0 ? 'invitecodes.description' : 'invitecodes.empty'))
+    .addFields(fields)
+    .setFooter({ text: t('invitecodes.footer', { page: currentPage, pages: totalPages }) })
+    .setTimestamp();
+
+  return {
+    embeds: [embed],
+    components: [paginationRow(t, 'invitecodes', currentPage, totalPages)]
+  };
+}
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('invitecodes')
+    .setDescription('Per-invite-code analytics (Admin only)')
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription('List invite codes with their uses and retention')
+        .addIntegerOption(option =>
+          option.setName('page')
+            .setDescription('Page to start on')
+            .setMinValue(1)))
+    .addSubcommand(subcommand =>
+      subcommand.setName('label')
+        .setDescription('Attach a label to an invite code (leave the label empty to remove it)')
+        .addStringOption(option =>
+          option.setName('code')
+            .setDescription('The invite code, e.g. abc123')
+            .setRequired(true))
+        .addStringOption(option =>
+          option.setName('label')
+            .setDescription('A label such as "partner: XYZ" or "twitter"')
+            .setMaxLength(100))),
+  permissions: PermissionsBitField.Flags.ManageGuild,
+  ephemeral: true,
+
+  async execute(interaction, { storage, t, reply }) {
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'label') {
+      const code = interaction.options.getString('code').trim().replace(/^(https?:\/\/)?(discord\.gg|discord\.com\/invite)\//, '');
+      const label = interaction.options.getString('label');
+
+      if (!getInviteCodeStats(storage, interaction.guildId).some(stats => stats.code === code)) {
+        throw new CommandError(t('invitecodes.notTracked', { code }));
+      }
+
+      storage.setInviteLabel(interaction.guildId, code, label);
+      await reply({
+        content: label ? t('invitecodes.labelled', { code, label }) : t('invitecodes.unlabelled', { code })
+      });
+      return;
+    }
+
+    await reply(buildInviteCodesPage(interaction, t, storage, interaction.options.getInteger('page') || 1));
+  },
+
+  async button(interaction, [page], { storage, t }) {
+    await interaction.update(buildInviteCodesPage(interaction, t, storage, parseInt(page, 10) || 1));
+  },
+};
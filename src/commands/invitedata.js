@@ -0,0 +1,130 @@
+import { AttachmentBuilder, EmbedBuilder, PermissionsBitField, SlashCommandBuilder } from 'discord.js';
+import {
+  IMPORT_MODES,
+  MAX_IMPORT_SIZE,
+  ImportError,
+  buildExport,
+  exportToJson,
+  exportToCsv,
+  parseImportFile,
+  importInviteData
+} from '../inviteData.js';
+import { DEFAULT_LOCALE, t as translate } from '../i18n/index.js';
+import { CommandError } from './registry.js';
+
+// Row errors shown in the import reply; all of them are attached as a file
+const IMPORT_ERRORS_SHOWN = 10;
+
+// One invalid row of an import, as "row: problem; problem"
+function describeRowError(t, { row, problems }) {
+  const messages = problems.map(({ key, values }) => t(`invitedata.rowErrors.${key}`, values));
+  return { row: t(`invitedata.rows.${row.key}`, row.values), message: messages.join('; ') };
+}
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('invitedata')
+    .setDescription('Export or import invite data (Admin only)')
+    .addSubcommand(subcommand =>
+      subcommand.setName('export')
+        .setDescription('Download member counts, inviter mappings and join events')
+        .addStringOption(option =>
+          option.setName('format')
+            .setDescription('File format (default: csv)')
+            .addChoices(
+              { name: 'CSV (one file per section)', value: 'csv' },
+              { name: 'JSON (single file)', value: 'json' },
+            )))
+    .addSubcommand(subcommand =>
+      subcommand.setName('import')
+        .setDescription('Import invite data from a CSV or JSON export')
+        .addAttachmentOption(option =>
+          option.setName('file')
+            .setDescription('A .csv or .json file in the /invitedata export format')
+            .setRequired(true))
+        .addStringOption(option =>
+          option.setName('mode')
+            .setDescription('How to combine the file with the current data (default: merge)')
+            .addChoices(...IMPORT_MODES.map(value => ({ name: translate(DEFAULT_LOCALE, `invitedata.modes.${value}`), value }))))),
+  permissions: PermissionsBitField.Flags.Administrator,
+  cooldown: 10,
+  ephemeral: true,
+
+  async execute(interaction, { storage, t, reply, defer, log }) {
+    const guildId = interaction.guildId;
+
+    if (interaction.options.getSubcommand() === 'export') {
+      const format = interaction.options.getString('format') || 'csv';
+      const data = buildExport(storage, guildId);
+      const files = format === 'json'
+        ? [new AttachmentBuilder(Buffer.from(exportToJson(guildId, data)), { name: `invites-${guildId}.json` })]
+        : Object.entries(exportToCsv(data)).map(([section, csv]) =>
+          new AttachmentBuilder(Buffer.from(csv), { name: `invites-${guildId}-${section}.csv` }));
+
+      await reply({
+        content: t('invitedata.exported', { members: data.members.length, joins: data.joins.length, events: data.events.length }),
+        files
+      });
+      log.info('Exported invite data', { format });
+      return;
+    }
+
+    // import
+    const attachment = interaction.options.getAttachment('file');
+    const mode = interaction.options.getString('mode') || 'merge';
+    if (attachment.size > MAX_IMPORT_SIZE) {
+      throw new CommandError(t('invitedata.tooLarge', { limit: MAX_IMPORT_SIZE / 1024 / 1024 }));
+    }
+
+    await defer();
+
+    let parsed;
+    try {
+      const response = await fetch(attachment.url);
+      if (!response.ok) throw new ImportError(`Could not download the file (HTTP ${response.status}).`, 'download', { status: response.status });
+      parsed = parseImportFile(attachment.name, await response.text());
+    } catch (error) {
+      if (error instanceof ImportError) throw new CommandError(t(`invitedata.errors.${error.key}`, error.values));
+      throw error;
+    }
+
+    // Nothing is imported unless every row is valid
+    if (parsed.errors.length > 0) {
+      const rowErrors = parsed.errors.map(error => describeRowError(t, error));
+      const lines = rowErrors.slice(0, IMPORT_ERRORS_SHOWN).map(({ row, message }) => `• **${row}**: ${message}`);
+      if (parsed.errors.length > IMPORT_ERRORS_SHOWN) {
+        lines.push(t('invitedata.moreErrors', { count: parsed.errors.length - IMPORT_ERRORS_SHOWN }));
+      }
+
+      const embed = new EmbedBuilder()
+        .setColor(0xff6b6b)
+        .setTitle(t('invitedata.failedTitle'))
+        .setDescription(`${t('invitedata.invalidRows', { count: parsed.errors.length })}\n\n${lines.join('\n')}`)
+        .setTimestamp();
+
+      const report = rowErrors.map(({ row, message }) => `${row}: ${message.replace(/`/g, '')}`).join('\n');
+      await interaction.editReply({
+        embeds: [embed],
+        files: [new AttachmentBuilder(Buffer.from(report), { name: 'import-errors.txt' })]
+      });
+      return;
+    }
+
+    const summary = importInviteData(storage, guildId, parsed.data, mode);
+    const embed = new EmbedBuilder()
+      .setColor(0x00ff99)
+      .setTitle(t('invitedata.importedTitle'))
+      .setDescription(t('invitedata.mode', { mode: t(`invitedata.modes.${mode}`) }))
+      .addFields(
+        { name: t('invitedata.members'), value: `${summary.members}`, inline: true },
+        { name: t('invitedata.joins'), value: `${summary.joins}`, inline: true },
+        { name: t('invitedata.events'), value: `${summary.events}`, inline: true },
+        { name: t('invitedata.skipped'), value: `${summary.skipped}`, inline: true }
+      )
+      .setFooter({ text: t('invitedata.importedFooter') })
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+    log.info('Imported invite data', { file: attachment.name, mode, ...summary });
+  },
+};
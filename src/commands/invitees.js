@@ -0,0 +1,58 @@
+import { EmbedBuilder, SlashCommandBuilder } from 'discord.js';
+import { paginationRow, statsEphemeral } from './helpers.js';
+
+const INVITEES_PAGE_SIZE = 15;
+
+function buildInviteesPage(interaction, t, storage, target, page) {
+  const invitees = storage.getInvitees(interaction.guildId, target.id)
+    .sort((a, b) => (b.joinedAt || 0) - (a.joinedAt || 0));
+  const totalPages = Math.max(1, Math.ceil(invitees.length / INVITEES_PAGE_SIZE));
+  const currentPage = Math.min(Math.max(page, 1), totalPages);
+  const start = (currentPage - 1) * INVITEES_PAGE_SIZE;
+
+  const lines = invitees.slice(start, start + INVITEES_PAGE_SIZE).map(join => {
+    const status = t(`invitees.statuses.${join.fake ? 'fake' : join.left ? 'left' : 'member'}`);
+    const joined = join.joinedAt ? ` <t:${Math.floor(join.joinedAt / 1000)}:R>` : '';
+    return `<@${join.memberId}> — ${status}${join.code ? ` · \`${join.code}\`` : ''}${joined}`;
+  });
+
+  const inServer = invitees.filter(join => !join.left && !join.fake).length;
+  const left = invitees.filter(join => join.left && !join.fake).length;
+  const fake = invitees.filter(join => join.fake).length;
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865f2)
+    .setTitle(t('invitees.title', { user: target.tag }))
+    .setDescription(lines.length > 0 ? lines.join('\n') : t('invitees.empty', { user: `${target}` }))
+    .setThumbnail(target.displayAvatarURL({ dynamic: true }))
+    .setFooter({ text: t('invitees.footer', { page: currentPage, pages: totalPages, members: inServer, left, fake }) })
+    .setTimestamp();
+
+  return {
+    embeds: [embed],
+    components: [paginationRow(t, `invitees:${target.id}`, currentPage, totalPages)],
+    allowedMentions: { parse: [] }
+  };
+}
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('invitees')
+    .setDescription('List the members someone invited')
+    .addUserOption(option =>
+      option.setName('user')
+        .setDescription('The inviter to look up')
+        .setRequired(true)),
+  ephemeral: statsEphemeral,
+  deleteReply: true,
+
+  async execute(interaction, { storage, t, reply }) {
+    const target = interaction.options.getUser('user');
+    await reply(buildInviteesPage(interaction, t, storage, target, 1));
+  },
+
+  async button(interaction, [userId, page], { client, storage, t }) {
+    const target = await client.users.fetch(userId);
+    await interaction.update(buildInviteesPage(interaction, t, storage, target, parseInt(page, 10) || 1));
+  },
+};
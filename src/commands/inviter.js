@@ -0,0 +1,57 @@
+import { EmbedBuilder, SlashCommandBuilder } from 'discord.js';
+import { statsEphemeral } from './helpers.js';
+
+// How a member joined, for /inviter
+function describeJoinSource(t, join) {
+  if (join.estimated) return t('inviter.sources.estimated', { code: join.code });
+
+  switch (join.source) {
+    case 'vanity':
+      return t('inviter.sources.vanity', { code: join.code });
+    case 'inferred':
+      return t('inviter.sources.inferred', { code: join.code });
+    case 'invite':
+      return join.code ? t('inviter.sources.invite', { code: join.code }) : t('inviter.sources.unknownInvite');
+    default:
+      return t('inviter.sources.unknown');
+  }
+}
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('inviter')
+    .setDescription('Show who invited a member')
+    .addUserOption(option =>
+      option.setName('user')
+        .setDescription('The member to look up')
+        .setRequired(true)),
+  ephemeral: statsEphemeral,
+  deleteReply: true,
+
+  async execute(interaction, { storage, t, reply }) {
+    const target = interaction.options.getUser('user');
+    const join = storage.getMemberJoin(interaction.guildId, target.id);
+
+    const embed = new EmbedBuilder()
+      .setColor(0x5865f2)
+      .setTitle(t('inviter.title', { user: target.tag }))
+      .setThumbnail(target.displayAvatarURL({ dynamic: true }))
+      .setTimestamp();
+
+    if (!join) {
+      embed.setDescription(t('inviter.noJoin', { user: `${target}` }));
+    } else {
+      embed
+        .setDescription(join.inviterId
+          ? t('inviter.invitedBy', { user: `${target}`, inviter: `<@${join.inviterId}>` })
+          : t('inviter.unknownInviter', { user: `${target}` }))
+        .addFields(
+          { name: t('inviter.joinedThrough'), value: describeJoinSource(t, join), inline: true },
+          { name: t('inviter.joined'), value: join.joinedAt ? `<t:${Math.floor(join.joinedAt / 1000)}:f>` : t('inviter.unknown'), inline: true },
+          { name: t('inviter.status'), value: t(`inviter.statuses.${join.left ? 'left' : join.fake ? 'fake' : 'member'}`), inline: true },
+        );
+    }
+
+    await reply({ embeds: [embed], allowedMentions: { parse: [] } });
+  },
+};
@@ -0,0 +1,159 @@
+import { EmbedBuilder, PermissionsBitField, SlashCommandBuilder } from 'discord.js';
+import { reconcileRewardsFor } from '../rewards.js';
+import { CommandError } from './registry.js';
+
+async function replyWithAdjustmentHistory(interaction, t, storage, reply, target) {
+  const adjustments = storage.getAdjustments(interaction.guildId, target.id).slice(0, 15);
+
+  const lines = adjustments.map(adjustment => {
+    const sign = adjustment.amount > 0 ? '+' : '';
+    const related = adjustment.relatedUserId
+      ? t(adjustment.amount > 0 ? 'invites.historyFrom' : 'invites.historyTo', { user: `<@${adjustment.relatedUserId}>` })
+      : '';
+    return t('invites.historyLine', {
+      date: `<t:${Math.floor(adjustment.createdAt / 1000)}:d>`,
+      amount: `${sign}${adjustment.amount}`,
+      action: t(`invites.actions.${adjustment.action}`),
+      related,
+      actor: `<@${adjustment.actorId}>`,
+      reason: adjustment.reason ? ` — ${adjustment.reason}` : '',
+    });
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865f2)
+    .setTitle(t('invites.historyTitle', { user: target.tag }))
+    .setDescription(lines.length > 0 ? lines.join('\n') : t('invites.historyEmpty'))
+    .setThumbnail(target.displayAvatarURL({ dynamic: true }))
+    .setTimestamp();
+
+  await reply({ embeds: [embed] });
+}
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('invites')
+    .setDescription('Correct the invite count of a member (Admin only)')
+    .addSubcommand(subcommand =>
+      subcommand.setName('add')
+        .setDescription('Give bonus invites to a member')
+        .addUserOption(option => option.setName('user').setDescription('The member to adjust').setRequired(true))
+        .addIntegerOption(option => option.setName('amount').setDescription('Number of invites to add').setRequired(true).setMinValue(1))
+        .addStringOption(option => option.setName('reason').setDescription('Why the invites are being added')))
+    .addSubcommand(subcommand =>
+      subcommand.setName('remove')
+        .setDescription('Remove invites from a member')
+        .addUserOption(option => option.setName('user').setDescription('The member to adjust').setRequired(true))
+        .addIntegerOption(option => option.setName('amount').setDescription('Number of invites to remove').setRequired(true).setMinValue(1))
+        .addStringOption(option => option.setName('reason').setDescription('Why the invites are being removed')))
+    .addSubcommand(subcommand =>
+      subcommand.setName('set')
+        .setDescription('Set the total invite count of a member')
+        .addUserOption(option => option.setName('user').setDescription('The member to adjust').setRequired(true))
+        .addIntegerOption(option => option.setName('amount').setDescription('The new invite total').setRequired(true).setMinValue(0))
+        .addStringOption(option => option.setName('reason').setDescription('Why the total is being changed')))
+    .addSubcommand(subcommand =>
+      subcommand.setName('transfer')
+        .setDescription('Move invites from one member to another')
+        .addUserOption(option => option.setName('user').setDescription('The member to take invites from').setRequired(true))
+        .addUserOption(option => option.setName('to').setDescription('The member to give invites to').setRequired(true))
+        .addIntegerOption(option => option.setName('amount').setDescription('Number of invites to move').setRequired(true).setMinValue(1))
+        .addStringOption(option => option.setName('reason').setDescription('Why the invites are being moved')))
+    .addSubcommand(subcommand =>
+      subcommand.setName('history')
+        .setDescription('Show the manual adjustments made to a member')
+        .addUserOption(option => option.setName('user').setDescription('The member to look up').setRequired(true))),
+  permissions: PermissionsBitField.Flags.ManageGuild,
+  ephemeral: true,
+
+  async execute(interaction, { storage, webhooks, t, reply, log }) {
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+    const target = interaction.options.getUser('user');
+    const actorId = interaction.user.id;
+    const reason = interaction.options.getString('reason');
+
+    if (subcommand === 'history') {
+      await replyWithAdjustmentHistory(interaction, t, storage, reply, target);
+      return;
+    }
+
+    const amount = interaction.options.getInteger('amount');
+    const current = storage.getInviteStats(guildId, target.id);
+    let description;
+
+    // Record an adjustment and tell the guild's webhooks about it
+    const adjust = (options) => {
+      const { adjustment, stats } = storage.recordAdjustment(guildId, { ...options, actorId, reason });
+      const previousTotal = stats.total - adjustment.amount;
+      webhooks.emit(guildId, 'invites.adjusted', {
+        userId: adjustment.userId,
+        action: adjustment.action,
+        amount: adjustment.amount,
+        relatedUserId: adjustment.relatedUserId,
+        actorId,
+        reason,
+        previousTotal,
+        total: stats.total
+      });
+      webhooks.emitMilestones(guildId, adjustment.userId, previousTotal, stats.total);
+      return { adjustment, stats };
+    };
+
+    switch (subcommand) {
+      case 'add': {
+        const { stats } = adjust({ userId: target.id, amount, action: 'add' });
+        await reconcileRewardsFor(interaction.guild, target.id, storage);
+        description = t('invites.added', { count: amount, user: `${target}`, total: stats.total });
+        break;
+      }
+      case 'remove': {
+        const { stats } = adjust({ userId: target.id, amount: -amount, action: 'remove' });
+        await reconcileRewardsFor(interaction.guild, target.id, storage);
+        description = t('invites.removed', { count: amount, user: `${target}`, total: stats.total });
+        break;
+      }
+      case 'set': {
+        const delta = amount - current.total;
+        if (delta === 0) {
+          description = t('invites.unchanged', { count: amount, user: `${target}` });
+          break;
+        }
+        const { stats } = adjust({ userId: target.id, amount: delta, action: 'set' });
+        await reconcileRewardsFor(interaction.guild, target.id, storage);
+        description = t('invites.set', { user: `${target}`, total: stats.total, delta: `${delta > 0 ? '+' : ''}${delta}` });
+        break;
+      }
+      case 'transfer': {
+        const recipient = interaction.options.getUser('to');
+        if (recipient.id === target.id) {
+          throw new CommandError(t('invites.sameMember'));
+        }
+        if (current.total < amount) {
+          throw new CommandError(t('invites.notEnough', { count: current.total, user: `${target}` }));
+        }
+        const { stats: fromStats } = adjust({ userId: target.id, amount: -amount, action: 'transfer', relatedUserId: recipient.id });
+        const { stats: toStats } = adjust({ userId: recipient.id, amount, action: 'transfer', relatedUserId: target.id });
+        await reconcileRewardsFor(interaction.guild, target.id, storage);
+        await reconcileRewardsFor(interaction.guild, recipient.id, storage);
+        description = t('invites.transferred', { count: amount, from: `${target}`, fromTotal: fromStats.total, to: `${recipient}`, toTotal: toStats.total });
+        break;
+      }
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(0x00ff99)
+      .setTitle(t('invites.title'))
+      .setDescription(description)
+      .addFields({ name: t('invites.reason'), value: reason || t('invites.noReason') })
+      .setFooter({
+        text: t('invites.footer', { user: interaction.user.username }),
+        iconURL: interaction.user.displayAvatarURL({ dynamic: true })
+      })
+      .setTimestamp();
+
+    await reply({ embeds: [embed] });
+
+    log.info('Adjusted invites', { subcommand, targetId: target.id, amount, reason });
+  },
+};
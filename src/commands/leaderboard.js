@@ -0,0 +1,87 @@
+import { EmbedBuilder, SlashCommandBuilder } from 'discord.js';
+import { LEADERBOARD_SORTS, rankInviters } from '../leaderboard.js';
+import { resolvePeriod } from '../periods.js';
+import { DEFAULT_LOCALE, t as translate } from '../i18n/index.js';
+import { addPeriodOptions, periodLabel, periodOptionsOf, readPeriodOptions, paginationRow, statsEphemeral } from './helpers.js';
+
+const LEADERBOARD_PAGE_SIZE = 10;
+
+// The period options travel in the button custom IDs so every page shows the
+// same window, and so does the requester: the message is shared, so it keeps
+// showing their rank whoever turns the page
+function buildLeaderboardPage(interaction, t, storage, { sort, page, periodOptions = {}, requesterId }) {
+  const window = resolvePeriod(periodOptions);
+  const ranking = rankInviters(storage, interaction.guildId, sort, window);
+  const totalPages = Math.max(1, Math.ceil(ranking.length / LEADERBOARD_PAGE_SIZE));
+  const currentPage = Math.min(Math.max(page, 1), totalPages);
+  const start = (currentPage - 1) * LEADERBOARD_PAGE_SIZE;
+  const callerId = requesterId;
+  const callerIndex = ranking.findIndex(entry => entry.userId === callerId);
+
+  const lines = ranking.slice(start, start + LEADERBOARD_PAGE_SIZE).map((entry, i) => {
+    const rank = start + i + 1;
+    const line = t('leaderboard.line', { rank, user: `<@${entry.userId}>`, count: entry.score });
+    return entry.userId === callerId ? `➡️ ${line} ⬅️` : line;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(0xffd700)
+    .setTitle(t('leaderboard.title', { guild: interaction.guild.name }))
+    .setDescription(lines.length > 0 ? lines.join('\n') : t(window ? 'leaderboard.emptyPeriod' : 'leaderboard.empty'))
+    .setThumbnail(interaction.guild.iconURL({ dynamic: true }))
+    .setFooter({
+      text: t('leaderboard.footer', {
+        page: currentPage,
+        pages: totalPages,
+        sort: t(`leaderboard.sorts.${sort}`).toLocaleLowerCase(t.locale),
+        period: window ? periodLabel(t, window) : t('leaderboard.allTime'),
+      })
+    })
+    .setTimestamp();
+
+  // Always show the caller's own standing, even when they are off this page
+  if (callerIndex === -1) {
+    embed.addFields({ name: t('leaderboard.yourRank'), value: t('leaderboard.notRanked') });
+  } else if (callerIndex < start || callerIndex >= start + LEADERBOARD_PAGE_SIZE) {
+    embed.addFields({
+      name: t('leaderboard.yourRank'),
+      value: t('leaderboard.rankValue', { rank: callerIndex + 1, count: ranking[callerIndex].score, page: Math.floor(callerIndex / LEADERBOARD_PAGE_SIZE) + 1 })
+    });
+  }
+
+  const { period, from, to } = periodOptions;
+  return { embeds: [embed], components: [paginationRow(t, `leaderboard:${sort}:${period || ''}:${from || ''}:${to || ''}:${requesterId}`, currentPage, totalPages)] };
+}
+
+export default {
+  data: addPeriodOptions(new SlashCommandBuilder()
+    .setName('leaderboard')
+    .setDescription('Show the invite leaderboard for this server')
+    .addStringOption(option =>
+      option.setName('sort')
+        .setDescription('How to rank members (default: invites minus leaves and fakes)')
+        .addChoices(...LEADERBOARD_SORTS.map(value => ({ name: translate(DEFAULT_LOCALE, `leaderboard.sorts.${value}`), value }))))
+    .addIntegerOption(option =>
+      option.setName('page')
+        .setDescription('Page to start on')
+        .setMinValue(1))),
+  cooldown: 5,
+  ephemeral: statsEphemeral,
+  deleteReply: true,
+
+  async execute(interaction, { storage, t, reply }) {
+    const sort = interaction.options.getString('sort') || 'total';
+    const page = interaction.options.getInteger('page') || 1;
+    // Invalid period options are reported before any page is built
+    readPeriodOptions(interaction, t);
+
+    await reply(buildLeaderboardPage(interaction, t, storage, { sort, page, periodOptions: periodOptionsOf(interaction), requesterId: interaction.user.id }));
+  },
+
+  async button(interaction, [sort, period, from, to, requesterId, page], { storage, t }) {
+    if (!LEADERBOARD_SORTS.includes(sort)) return;
+
+    const periodOptions = { period: period || null, from: from || null, to: to || null };
+    await interaction.update(buildLeaderboardPage(interaction, t, storage, { sort, page: parseInt(page, 10) || 1, periodOptions, requesterId }));
+  },
+};
@@ -0,0 +1,96 @@
+import { EmbedBuilder, PermissionsBitField, SlashCommandBuilder, ChannelType } from 'discord.js';
+import { getGuildConfig, setGuildConfigValue } from '../config.js';
+import { guildTranslator } from '../i18n/index.js';
+import { TEMPLATE_PLACEHOLDERS } from '../joinLog.js';
+import { CommandError } from './registry.js';
+import { canPostIn } from './helpers.js';
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('logs')
+    .setDescription('Configure the join/leave log channel (Admin only)')
+    .addSubcommand(subcommand =>
+      subcommand.setName('channel')
+        .setDescription('Post join and leave logs in a channel')
+        .addChannelOption(option =>
+          option.setName('channel')
+            .setDescription('The channel to post logs in')
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+            .setRequired(true)))
+    .addSubcommand(subcommand =>
+      subcommand.setName('disable')
+        .setDescription('Stop posting join and leave logs'))
+    .addSubcommand(subcommand =>
+      subcommand.setName('message')
+        .setDescription('Customize the join or leave message (leave the template empty to restore the default)')
+        .addStringOption(option =>
+          option.setName('type')
+            .setDescription('Which message to change')
+            .setRequired(true)
+            .addChoices(
+              { name: 'Join', value: 'join' },
+              { name: 'Leave', value: 'leave' },
+            ))
+        .addStringOption(option =>
+          option.setName('template')
+            .setDescription('Placeholders: {member} {member.tag} {inviter} {code} {count} {server}')
+            .setMaxLength(1000)))
+    .addSubcommand(subcommand =>
+      subcommand.setName('view')
+        .setDescription('Show the current log settings')),
+  permissions: PermissionsBitField.Flags.ManageGuild,
+  ephemeral: true,
+
+  async execute(interaction, { storage, config, t, reply }) {
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+
+    switch (subcommand) {
+      case 'channel': {
+        const channel = interaction.options.getChannel('channel');
+        if (!canPostIn(channel)) {
+          throw new CommandError(t('errors.cannotPost', { channel: `${channel}` }));
+        }
+
+        setGuildConfigValue(storage, guildId, 'log_channel', channel.id);
+        await reply({ content: t('logs.channelSet', { channel: `${channel}` }) });
+        break;
+      }
+      case 'disable': {
+        setGuildConfigValue(storage, guildId, 'log_channel', null);
+        await reply({ content: t('logs.disabled') });
+        break;
+      }
+      case 'message': {
+        const type = interaction.options.getString('type');
+        const template = interaction.options.getString('template');
+        storage.updateLogSettings(guildId, { [`${type}Message`]: template || null });
+        await reply({
+          content: template
+            ? t(`logs.messageSet.${type}`, { template })
+            : t(`logs.messageRestored.${type}`)
+        });
+        break;
+      }
+      case 'view': {
+        const settings = storage.getLogSettings(guildId);
+        const { logChannelId } = getGuildConfig(storage, guildId);
+        // Logs are posted in the guild's language, and so are the default messages
+        const guildT = guildTranslator(config, interaction.guild);
+        const embed = new EmbedBuilder()
+          .setColor(0x5865f2)
+          .setTitle(t('logs.title'))
+          .addFields(
+            { name: t('logs.channel'), value: logChannelId ? `<#${logChannelId}>` : t('logs.off') },
+            { name: t('logs.joinMessage'), value: settings.joinMessage || t('logs.default', { template: guildT('joinLog.defaultJoin') }) },
+            { name: t('logs.leaveMessage'), value: settings.leaveMessage || t('logs.default', { template: guildT('joinLog.defaultLeave') }) },
+            { name: t('logs.placeholders'), value: TEMPLATE_PLACEHOLDERS.map(placeholder => `\`${placeholder}\``).join(' ') },
+          )
+          .setTimestamp();
+
+        await reply({ embeds: [embed] });
+        break;
+      }
+    }
+  },
+};
@@ -0,0 +1,290 @@
+import { EmbedBuilder, InteractionContextType, PermissionsBitField } from 'discord.js';
+import { getGuildConfig } from '../config.js';
+import { localizeCommand, resolveLocale, translator } from '../i18n/index.js';
+import { logger } from '../logger.js';
+
+// Every command lives in its own module under src/commands and exports:
+//
+//   data         the SlashCommandBuilder or ContextMenuCommandBuilder (omitted for button-only modules)
+//   name         the custom ID prefix of a button-only module
+//   permissions  a permission flag, or an array of flags of which any one is enough
+//   cooldown     seconds a user waits between uses (default: DEFAULT_COOLDOWN)
+//   ephemeral    default for ctx.reply and ctx.defer: a boolean, or a function of the guild config
+//   deleteReply  whether replies are deleted after the guild's reply_delete_delay
+//   execute(interaction, ctx)       runs the slash command
+//   button(interaction, args, ctx)  handles buttons whose custom ID starts with the command name
+//   autocomplete(interaction, ctx)  answers autocomplete for the command's options
+//
+// ctx holds the services, the guild config, the reader's locale with t() to
+// translate into it (see src/i18n), reply/defer with the defaults above, and
+// log, a logger carrying the guild, command and user (see src/logger.js).
+//
+// The registry checks permissions and cooldowns, turns a CommandError thrown
+// by a handler into an error embed for the user, and records the latency and
+// errors of every command and button in services.metrics. Once closed for a
+// shutdown, new interactions are turned away.
+
+const DEFAULT_COOLDOWN = 3; // seconds
+
+// Problems a command reports to the user; the message is shown as is
+export class CommandError extends Error {}
+
+// Permission names come from the catalogs, as shown in the Discord client
+function permissionName(t, flag) {
+  const [name] = new PermissionsBitField(flag).toArray();
+  const key = `permissions.${name}`;
+  const label = t(key);
+  return label === key ? name.replace(/([a-z])([A-Z])/g, '$1 $2') : label;
+}
+
+function describePermissions(t, permissions) {
+  const names = [].concat(permissions).map(flag => permissionName(t, flag));
+  return names.length > 1
+    ? t('errors.permissionAny', { names: names.slice(0, -1).join(', '), last: names.at(-1) })
+    : t('errors.permission', { name: names[0] });
+}
+
+export function errorEmbed(message) {
+  return new EmbedBuilder()
+    .setColor(0xff6b6b)
+    .setDescription(`❌ ${message}`);
+}
+
+// Send an error embed, whatever state the interaction is in
+async function replyWithError(interaction, message) {
+  const payload = { embeds: [errorEmbed(message)], allowedMentions: { parse: [] }, ephemeral: true };
+  if (interaction.deferred && !interaction.replied) {
+    await interaction.editReply({ content: '', embeds: payload.embeds, components: [], files: [] });
+  } else if (interaction.replied) {
+    await interaction.followUp(payload);
+  } else {
+    await interaction.reply(payload);
+  }
+}
+
+// services are passed to every handler as part of ctx ({ client, storage, ... })
+export function createCommandRegistry(modules, services) {
+  const commands = new Map();
+  const buttons = new Map();
+  const cooldowns = new Map();
+  const deletionTimers = new Set();
+  const inFlight = new Set();
+  let closed = false;
+
+  for (const module of modules) {
+    const name = module.data ? module.data.name : module.name;
+    if (module.data) {
+      // Every command works on a guild's data, so none is offered in DMs
+      module.data.setContexts(InteractionContextType.Guild);
+      // A single required permission also hides the command from members without it
+      if (module.permissions && !Array.isArray(module.permissions)) {
+        module.data.setDefaultMemberPermissions(module.permissions);
+      }
+      localizeCommand(module.data);
+      commands.set(name, module);
+    }
+    if (module.button) buttons.set(name, module);
+  }
+
+  // Delete a reply after the guild's configured delay (0 keeps it)
+  function scheduleReplyDeletion(interaction, config) {
+    if (!config.replyDeleteDelay) return;
+
+    const timer = setTimeout(async () => {
+      deletionTimers.delete(timer);
+      try {
+        await interaction.deleteReply();
+      } catch (error) {
+        // Reply might already be deleted or expired
+      }
+    }, config.replyDeleteDelay * 1000);
+    timer.unref?.();
+    deletionTimers.add(timer);
+  }
+
+  function hasPermission(interaction, module) {
+    if (!module.permissions) return true;
+    return interaction.member.permissions.any([].concat(module.permissions));
+  }
+
+  // Seconds left before the user may run the command again, or 0
+  function cooldownLeft(name, module, userId, now = Date.now()) {
+    const seconds = module.cooldown ?? DEFAULT_COOLDOWN;
+    if (seconds <= 0) return 0;
+
+    const key = `${name}:${userId}`;
+    const readyAt = cooldowns.get(key) || 0;
+    if (readyAt > now) return Math.ceil((readyAt - now) / 1000);
+
+    cooldowns.set(key, now + seconds * 1000);
+    setTimeout(() => {
+      if (cooldowns.get(key) <= Date.now()) cooldowns.delete(key);
+    }, seconds * 1000).unref?.();
+    return 0;
+  }
+
+  function loggerFor(interaction, command) {
+    return logger.child({ guildId: interaction.guildId, command, userId: interaction.user.id });
+  }
+
+  function contextFor(interaction, module) {
+    const name = module.data ? module.data.name : module.name;
+    const config = getGuildConfig(services.storage, interaction.guildId);
+    const ephemeral = typeof module.ephemeral === 'function' ? module.ephemeral(config) : Boolean(module.ephemeral);
+    const t = translator(resolveLocale(interaction, config));
+
+    return {
+      ...services,
+      config,
+      locale: t.locale,
+      t,
+      log: loggerFor(interaction, name),
+      async reply(options) {
+        const response = await interaction.reply({ ephemeral, ...options });
+        if (module.deleteReply) scheduleReplyDeletion(interaction, config);
+        return response;
+      },
+      async defer(options = {}) {
+        const response = await interaction.deferReply({ ephemeral, ...options });
+        if (module.deleteReply) scheduleReplyDeletion(interaction, config);
+        return response;
+      },
+    };
+  }
+
+  // command is the command name, or the button prefix, used to label metrics and logs
+  async function run(interaction, command, handler) {
+    const t = translator(resolveLocale(interaction, getGuildConfig(services.storage, interaction.guildId)));
+    const startedAt = performance.now();
+    try {
+      await handler(t);
+    } catch (error) {
+      if (error instanceof CommandError) {
+        services.metrics.commandErrors.inc({ command, kind: 'user' });
+        await replyWithError(interaction, error.message);
+        return;
+      }
+
+      services.metrics.commandErrors.inc({ command, kind: 'internal' });
+      loggerFor(interaction, command).error(interaction.isButton() ? 'Error handling button' : 'Error handling command', {
+        customId: interaction.isButton() ? interaction.customId : undefined,
+        error
+      });
+      await replyWithError(interaction, t(interaction.isButton() ? 'errors.buttonFailed' : 'errors.commandFailed')).catch(() => {
+        // The interaction may have expired
+      });
+    } finally {
+      services.metrics.commandDuration.observe({ command }, (performance.now() - startedAt) / 1000);
+    }
+  }
+
+  async function handleCommand(interaction) {
+    const module = commands.get(interaction.commandName);
+    if (!module) return;
+
+    await run(interaction, interaction.commandName, async (t) => {
+      const command = interaction.commandName;
+      if (!hasPermission(interaction, module)) {
+        throw new CommandError(t('errors.missingPermission', { permissions: describePermissions(t, module.permissions), command }));
+      }
+
+      const wait = cooldownLeft(command, module, interaction.user.id);
+      if (wait > 0) {
+        throw new CommandError(t('errors.cooldown', { command, count: wait }));
+      }
+
+      await module.execute(interaction, contextFor(interaction, module));
+    });
+  }
+
+  // Button custom IDs are `${name}:${...args}`
+  async function handleButton(interaction) {
+    const [prefix, ...args] = interaction.customId.split(':');
+    const module = buttons.get(prefix);
+    if (!module) return;
+
+    await run(interaction, prefix, async (t) => {
+      if (!hasPermission(interaction, module)) {
+        throw new CommandError(t('errors.missingPermissionButton', { permissions: describePermissions(t, module.permissions) }));
+      }
+
+      await module.button(interaction, args, contextFor(interaction, module));
+    });
+  }
+
+  // Interactions that cannot be handled (during a shutdown, or outside a
+  // guild) get a short notice, or no suggestions for autocomplete
+  async function turnAway(interaction, message) {
+    try {
+      if (interaction.isAutocomplete()) {
+        await interaction.respond([]);
+      } else if (interaction.isButton() || interaction.isChatInputCommand() || interaction.isContextMenuCommand()) {
+        const t = translator(resolveLocale(interaction, getGuildConfig(services.storage, interaction.guildId)));
+        await replyWithError(interaction, t(message));
+      }
+    } catch (error) {
+      // The interaction may have expired
+    }
+  }
+
+  // Autocomplete is answered quickly and quietly: no cooldown, and failures only log
+  async function handleAutocomplete(interaction) {
+    const module = commands.get(interaction.commandName);
+    if (!module?.autocomplete) return;
+
+    try {
+      await module.autocomplete(interaction, contextFor(interaction, module));
+    } catch (error) {
+      loggerFor(interaction, interaction.commandName).error('Error handling autocomplete', { error });
+      if (!interaction.responded) await interaction.respond([]).catch(() => {});
+    }
+  }
+
+  return {
+    // Command data for the global and guild registration in `ready`
+    commands: [...commands.values()].map(module => module.data),
+
+    async handleInteraction(interaction) {
+      if (closed) {
+        await turnAway(interaction, 'errors.shuttingDown');
+        return;
+      }
+      // Commands registered before they were limited to guilds can still be used in DMs
+      if (!interaction.inGuild()) {
+        await turnAway(interaction, 'errors.guildOnly');
+        return;
+      }
+
+      let handled;
+      if (interaction.isButton()) {
+        handled = handleButton(interaction);
+      } else if (interaction.isAutocomplete()) {
+        handled = handleAutocomplete(interaction);
+      } else if (interaction.isChatInputCommand() || interaction.isContextMenuCommand()) {
+        handled = handleCommand(interaction);
+      } else {
+        return;
+      }
+
+      inFlight.add(handled);
+      try {
+        await handled;
+      } finally {
+        inFlight.delete(handled);
+      }
+    },
+
+    // Stop handling new interactions. Replies waiting to be deleted are kept,
+    // since the process will not be around to delete them.
+    close() {
+      closed = true;
+      for (const timer of deletionTimers) clearTimeout(timer);
+      deletionTimers.clear();
+    },
+
+    // Resolves once the interactions being handled are done
+    async idle() {
+      while (inFlight.size > 0) await Promise.allSettled(inFlight);
+    },
+  };
+}
@@ -0,0 +1,31 @@
+import { EmbedBuilder, PermissionsBitField, SlashCommandBuilder } from 'discord.js';
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('resetinvites')
+    .setDescription('Reset all invite counts (Admin only)'),
+  permissions: PermissionsBitField.Flags.Administrator,
+  cooldown: 10,
+  ephemeral: true,
+
+  async execute(interaction, { storage, webhooks, t, reply, log }) {
+    // Remove all invite counts and inviter mappings for this guild
+    const removed = storage.resetGuild(interaction.guildId);
+    webhooks.emit(interaction.guildId, 'invites.reset', { actorId: interaction.user.id, counts: removed.counts, inviters: removed.inviters });
+
+    const embed = new EmbedBuilder()
+      .setColor(0xff6b6b)
+      .setTitle(t('resetinvites.title'))
+      .setDescription(t('resetinvites.description', { guild: interaction.guild.name }))
+      .setThumbnail(interaction.guild.iconURL({ dynamic: true }))
+      .setFooter({ 
+        text: t('resetinvites.footer', { user: interaction.user.username }),
+        iconURL: interaction.user.displayAvatarURL({ dynamic: true })
+      })
+      .setTimestamp();
+
+    await reply({ embeds: [embed] });
+
+    log.info('Reset invite counts', removed);
+  },
+};
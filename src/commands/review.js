@@ -0,0 +1,50 @@
+import { PermissionsBitField } from 'discord.js';
+import { decideReview, buildReviewMessage } from '../review.js';
+import { guildTranslator } from '../i18n/index.js';
+import { reconcileRewardsFor } from '../rewards.js';
+import { CommandError } from './registry.js';
+
+// Approve and Reject buttons of the join review queue (see src/review.js).
+// A held join is only sent to webhooks as member.joined once it is decided,
+// like a join that was never held, with the ID of its review.
+export default {
+  name: 'review',
+  permissions: [PermissionsBitField.Flags.ManageGuild, PermissionsBitField.Flags.ModerateMembers],
+  ephemeral: true,
+
+  async button(interaction, [action, id], { storage, webhooks, config, t, reply, log }) {
+    const review = storage.getReview(interaction.guildId, id);
+    if (!review) {
+      throw new CommandError(t('review.missing'));
+    }
+    if (review.status !== 'pending') {
+      await reply({ content: t(`review.already.${review.status}`, { user: `<@${review.decidedBy}>` }), allowedMentions: { parse: [] } });
+      return;
+    }
+
+    const { guildId, inviterId } = review;
+    const previousTotal = storage.getInviteStats(guildId, inviterId).total;
+    const decided = decideReview(storage, review, { approve: action === 'approve', moderatorId: interaction.user.id });
+    // The review message is shared, so it stays in the guild's language
+    await interaction.update(buildReviewMessage(guildTranslator(config, interaction.guild), decided));
+    log.info('Decided review', { reviewId: decided.id, status: decided.status, kind: decided.kind, memberId: decided.memberId });
+
+    if (decided.kind === 'join') {
+      const event = storage.getJoinEvent(guildId, decided.eventId);
+      const total = storage.getInviteStats(guildId, inviterId).total;
+      webhooks.emit(guildId, 'member.joined', {
+        memberId: decided.memberId,
+        memberTag: decided.memberTag,
+        inviterId,
+        code: decided.code,
+        source: event?.source || 'invite',
+        fake: event ? event.fake : decided.status === 'rejected',
+        rejoin: event?.rejoin || false,
+        reviewId: decided.id,
+        inviterTotal: total,
+      });
+      if (decided.status === 'approved') webhooks.emitMilestones(guildId, inviterId, previousTotal, total);
+    }
+    await reconcileRewardsFor(interaction.guild, decided.inviterId, storage);
+  },
+};
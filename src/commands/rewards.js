@@ -0,0 +1,101 @@
+import { EmbedBuilder, PermissionsBitField, SlashCommandBuilder } from 'discord.js';
+import { syncGuildRewards } from '../rewards.js';
+import { CommandError } from './registry.js';
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('rewards')
+    .setDescription('Manage roles granted at invite milestones (Admin only)')
+    .addSubcommand(subcommand =>
+      subcommand.setName('add')
+        .setDescription('Grant a role when a member reaches a number of invites')
+        .addIntegerOption(option => option.setName('invites').setDescription('Invites needed to earn the role').setRequired(true).setMinValue(1))
+        .addRoleOption(option => option.setName('role').setDescription('The role to grant').setRequired(true)))
+    .addSubcommand(subcommand =>
+      subcommand.setName('remove')
+        .setDescription('Stop granting a role as an invite reward')
+        .addRoleOption(option => option.setName('role').setDescription('The reward role to remove').setRequired(true)))
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription('List the configured invite rewards'))
+    .addSubcommand(subcommand =>
+      subcommand.setName('mode')
+        .setDescription('Choose whether members keep every reward or only the highest')
+        .addStringOption(option =>
+          option.setName('mode')
+            .setDescription('How rewards are granted')
+            .setRequired(true)
+            .addChoices(
+              { name: 'Stack all earned rewards', value: 'stack' },
+              { name: 'Keep only the highest reward', value: 'highest' },
+            )))
+    .addSubcommand(subcommand =>
+      subcommand.setName('sync')
+        .setDescription('Re-apply invite rewards to every member of the server')),
+  permissions: PermissionsBitField.Flags.ManageGuild,
+  cooldown: 10,
+  ephemeral: true,
+
+  async execute(interaction, { storage, t, reply, defer, log }) {
+    const subcommand = interaction.options.getSubcommand();
+    const guild = interaction.guild;
+
+    switch (subcommand) {
+      case 'add': {
+        const invites = interaction.options.getInteger('invites');
+        const role = interaction.options.getRole('role');
+
+        // The bot can only manage roles below its own highest role
+        if (role.managed || role.id === guild.id || !guild.roles.cache.get(role.id)?.editable) {
+          throw new CommandError(t('rewards.cannotManage', { role: `${role}` }));
+        }
+
+        storage.setRewardTier(guild.id, role.id, invites);
+        await reply({ content: t('rewards.added', { role: `${role}`, count: invites }) });
+        break;
+      }
+      case 'remove': {
+        const role = interaction.options.getRole('role');
+        if (!storage.removeRewardTier(guild.id, role.id)) {
+          throw new CommandError(t('rewards.notAReward', { role: `${role}` }));
+        }
+        await reply({ content: t('rewards.removed', { role: `${role}` }) });
+        break;
+      }
+      case 'list': {
+        const settings = storage.getRewardSettings(guild.id);
+        const lines = settings.tiers.map(tier => t('rewards.tier', { count: tier.invites, role: `<@&${tier.roleId}>` }));
+
+        const embed = new EmbedBuilder()
+          .setColor(0xffd700)
+          .setTitle(t('rewards.title'))
+          .setDescription(lines.length > 0 ? lines.join('\n') : t('rewards.empty'))
+          .setFooter({ text: t(`rewards.modes.${settings.mode === 'highest' ? 'highest' : 'stack'}`) })
+          .setTimestamp();
+
+        await reply({ embeds: [embed] });
+        break;
+      }
+      case 'mode': {
+        const mode = interaction.options.getString('mode');
+        storage.setRewardMode(guild.id, mode);
+        await reply({ content: t(`rewards.modeSet.${mode}`) });
+        break;
+      }
+      case 'sync': {
+        await defer();
+        const summary = await syncGuildRewards(guild, storage);
+        await interaction.editReply({
+          content: t('rewards.synced', {
+            members: summary.members,
+            count: summary.added,
+            removed: summary.removed,
+            failed: summary.failed > 0 ? t('rewards.syncFailed', { failed: summary.failed }) : '',
+          })
+        });
+        log.info('Synced reward roles', summary);
+        break;
+      }
+    }
+  },
+};
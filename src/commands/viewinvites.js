@@ -0,0 +1,16 @@
+import { ApplicationCommandType, ContextMenuCommandBuilder } from 'discord.js';
+import { buildInviteSummary } from './checkinvites.js';
+import { statsEphemeral } from './helpers.js';
+
+// Right-click a member > Apps > View invites, for the same summary as /checkinvites
+export default {
+  data: new ContextMenuCommandBuilder()
+    .setName('View invites')
+    .setType(ApplicationCommandType.User),
+  ephemeral: statsEphemeral,
+  deleteReply: true,
+
+  async execute(interaction, ctx) {
+    await ctx.reply(await buildInviteSummary(interaction, ctx, interaction.targetUser.id));
+  },
+};
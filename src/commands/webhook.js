@@ -0,0 +1,183 @@
+import { randomBytes } from 'node:crypto';
+import { EmbedBuilder, PermissionsBitField, SlashCommandBuilder } from 'discord.js';
+import { MAX_WEBHOOKS, WEBHOOK_EVENTS, generateWebhookSecret, parseWebhookUrl } from '../webhooks.js';
+import { CommandError } from './registry.js';
+
+const EVENT_NAMES = Object.keys(WEBHOOK_EVENTS);
+const DELIVERIES_SHOWN = 10;
+
+// Discord allows at most 25 autocomplete choices of up to 100 characters
+const AUTOCOMPLETE_LIMIT = 25;
+
+const eventList = (events) => events.map(event => `\`${event}\``).join(', ');
+
+// "member.joined, invites.reset" -> ['member.joined', 'invites.reset']; nothing means every event
+function parseEvents(t, input) {
+  if (!input?.trim()) return EVENT_NAMES;
+
+  const events = [...new Set(input.split(/[\s,]+/).filter(Boolean))];
+  const unknown = events.filter(event => !EVENT_NAMES.includes(event));
+  if (unknown.length > 0) {
+    throw new CommandError(t('webhook.unknownEvents', { count: unknown.length, events: eventList(unknown), available: eventList(EVENT_NAMES) }));
+  }
+  return events;
+}
+
+function findWebhook(t, storage, guildId, id) {
+  const webhook = storage.getWebhook(guildId, id.trim());
+  if (!webhook) throw new CommandError(t('webhook.notFound', { id: id.trim() }));
+  return webhook;
+}
+
+function describeDelivery(t, delivery) {
+  const outcome = delivery.status === 'delivered'
+    ? t('webhook.delivered', { status: delivery.statusCode })
+    : t('webhook.failed', { error: delivery.error });
+  return t('webhook.delivery', {
+    time: `<t:${Math.floor(delivery.createdAt / 1000)}:R>`,
+    event: delivery.event,
+    outcome,
+    count: delivery.attempts,
+  });
+}
+
+const idOption = (description) => (option) => option.setName('id')
+  .setDescription(description)
+  .setRequired(true)
+  .setAutocomplete(true);
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('webhook')
+    .setDescription('Send invite events to your own services (Admin only)')
+    .addSubcommand(subcommand =>
+      subcommand.setName('add')
+        .setDescription('Send invite events to a URL')
+        .addStringOption(option =>
+          option.setName('url')
+            .setDescription('A public https URL')
+            .setMaxLength(500)
+            .setRequired(true))
+        .addStringOption(option =>
+          option.setName('events')
+            .setDescription('Comma-separated events, e.g. member.joined,invites.reset (default: every event)')))
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription('List the webhooks of this server'))
+    .addSubcommand(subcommand =>
+      subcommand.setName('remove')
+        .setDescription('Stop sending events to a webhook')
+        .addStringOption(idOption('The webhook ID shown by /webhook list')))
+    .addSubcommand(subcommand =>
+      subcommand.setName('test')
+        .setDescription('Send a signed test event to a webhook')
+        .addStringOption(idOption('The webhook ID shown by /webhook list')))
+    .addSubcommand(subcommand =>
+      subcommand.setName('deliveries')
+        .setDescription('Show the latest deliveries to a webhook')
+        .addStringOption(idOption('The webhook ID shown by /webhook list'))),
+  permissions: PermissionsBitField.Flags.ManageGuild,
+  ephemeral: true,
+
+  async execute(interaction, { storage, webhooks, t, reply, defer, log }) {
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+
+    switch (subcommand) {
+      case 'add': {
+        const url = parseWebhookUrl(interaction.options.getString('url').trim());
+        if (!url) {
+          throw new CommandError(t('webhook.invalidUrl'));
+        }
+        const events = parseEvents(t, interaction.options.getString('events'));
+        if (storage.getWebhooks(guildId).length >= MAX_WEBHOOKS) {
+          throw new CommandError(t('webhook.tooMany', { count: MAX_WEBHOOKS }));
+        }
+
+        const id = randomBytes(4).toString('hex');
+        const secret = generateWebhookSecret();
+        storage.addWebhook(guildId, { id, url, secret, events, createdBy: interaction.user.id });
+
+        const embed = new EmbedBuilder()
+          .setColor(0x00ff99)
+          .setTitle(t('webhook.addedTitle'))
+          .setDescription(t('webhook.added', { secret }))
+          .addFields(
+            { name: t('webhook.id'), value: `\`${id}\``, inline: true },
+            { name: t('webhook.url'), value: url, inline: true },
+            { name: t('webhook.events'), value: eventList(events) },
+            { name: t('webhook.verifying'), value: t('webhook.verifyingValue') },
+          )
+          .setFooter({ text: t('webhook.addedFooter') })
+          .setTimestamp();
+
+        await reply({ embeds: [embed] });
+        log.info('Added webhook', { webhookId: id, url, events });
+        break;
+      }
+      case 'list': {
+        const lines = storage.getWebhooks(guildId).map(webhook => {
+          const [last] = storage.getWebhookDeliveries(guildId, webhook.id);
+          return t('webhook.line', {
+            id: webhook.id,
+            url: webhook.url,
+            events: eventList(webhook.events),
+            delivery: last ? describeDelivery(t, last) : t('webhook.noDelivery'),
+          });
+        });
+
+        const embed = new EmbedBuilder()
+          .setColor(0x5865f2)
+          .setTitle(t('webhook.title'))
+          .setDescription(lines.length > 0 ? lines.join('\n') : t('webhook.empty'))
+          .setTimestamp();
+
+        await reply({ embeds: [embed] });
+        break;
+      }
+      case 'remove': {
+        const webhook = findWebhook(t, storage, guildId, interaction.options.getString('id'));
+        storage.removeWebhook(guildId, webhook.id);
+        await reply({ content: t('webhook.removed', { id: webhook.id }) });
+        log.info('Removed webhook', { webhookId: webhook.id });
+        break;
+      }
+      case 'test': {
+        const webhook = findWebhook(t, storage, guildId, interaction.options.getString('id'));
+        await defer();
+        const delivery = await webhooks.test(webhook, { message: `Test event sent by ${interaction.user.tag} with /webhook test` });
+
+        await interaction.editReply({
+          content: delivery.status === 'delivered'
+            ? t('webhook.testDelivered', { url: webhook.url, status: delivery.statusCode })
+            : t('webhook.testFailed', { url: webhook.url, error: delivery.error })
+        });
+        break;
+      }
+      case 'deliveries': {
+        const webhook = findWebhook(t, storage, guildId, interaction.options.getString('id'));
+        const lines = storage.getWebhookDeliveries(guildId, webhook.id).slice(0, DELIVERIES_SHOWN).map(delivery => describeDelivery(t, delivery));
+
+        const embed = new EmbedBuilder()
+          .setColor(0x5865f2)
+          .setTitle(t('webhook.deliveriesTitle', { id: webhook.id }))
+          .setDescription(lines.length > 0 ? lines.join('\n') : t('webhook.deliveriesEmpty'))
+          .setFooter({ text: t('webhook.deliveriesFooter') })
+          .setTimestamp();
+
+        await reply({ embeds: [embed] });
+        break;
+      }
+    }
+  },
+
+  async autocomplete(interaction, { storage }) {
+    const query = interaction.options.getFocused().trim().toLowerCase();
+    const choices = storage.getWebhooks(interaction.guildId)
+      .filter(webhook => `${webhook.id} ${webhook.url}`.toLowerCase().includes(query))
+      .slice(0, AUTOCOMPLETE_LIMIT)
+      .map(webhook => ({ name: `${webhook.id} — ${webhook.url}`.slice(0, 100), value: webhook.id }));
+
+    await interaction.respond(choices);
+  },
+};
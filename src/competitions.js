@@ -0,0 +1,119 @@
+import { randomUUID } from 'node:crypto';
+import { EmbedBuilder } from 'discord.js';
+import { getGuildConfig } from './config.js';
+import { guildTranslator } from './i18n/index.js';
+import { rankInviters } from './leaderboard.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'competitions' });
+
+const WINNER_COUNT = 3;
+const ARCHIVED_STANDINGS = 10;
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+// Competitions rank invites made between their start and end without touching
+// the all-time counts, so a monthly contest needs no /resetinvites.
+export function startCompetition(storage, guildId, { name, channelId, startedBy, endsAt = null }) {
+  return storage.saveCompetition({
+    id: randomUUID(),
+    guildId,
+    name,
+    channelId,
+    startedBy,
+    startedAt: Date.now(),
+    endsAt,
+    endedAt: null,
+    endedBy: null,
+    status: 'active',
+    winners: [],
+    standings: [],
+  });
+}
+
+// Current standings of an active competition, or the final ones once ended.
+// Joins after the end time never count, even before the competition is closed.
+export function competitionStandings(storage, competition) {
+  if (competition.status === 'ended') return competition.standings;
+
+  return rankInviters(storage, competition.guildId, 'total', { since: competition.startedAt, until: competition.endsAt ?? null })
+    .map(entry => ({ userId: entry.userId, score: entry.score }));
+}
+
+// Freeze the standings and archive the winners. A competition ending on
+// schedule ends at its end time, however late the check runs.
+export function endCompetition(storage, competition, { endedBy = null, endedAt = Date.now() } = {}) {
+  const standings = rankInviters(storage, competition.guildId, 'total', { since: competition.startedAt, until: endedAt })
+    .slice(0, ARCHIVED_STANDINGS)
+    .map(entry => ({ userId: entry.userId, score: entry.score }));
+
+  return storage.saveCompetition({
+    ...competition,
+    status: 'ended',
+    endedAt,
+    endedBy,
+    standings,
+    winners: standings.slice(0, WINNER_COUNT),
+  });
+}
+
+export function standingsLines(t, standings, limit = ARCHIVED_STANDINGS) {
+  return standings.slice(0, limit).map((entry, index) => (
+    t('competitions.standing', { rank: MEDALS[index] || `**${index + 1}.**`, user: `<@${entry.userId}>`, count: entry.score })
+  ));
+}
+
+export function buildCompetitionEmbed(t, competition, standings) {
+  const ended = competition.status === 'ended';
+  const lines = standingsLines(t, standings);
+  let end;
+  if (ended) {
+    const endedAt = `<t:${Math.floor(competition.endedAt / 1000)}:f>`;
+    end = competition.endedBy ? t('competitions.endedManually', { time: endedAt }) : endedAt;
+  } else {
+    end = competition.endsAt ? `<t:${Math.floor(competition.endsAt / 1000)}:R>` : t('competitions.untilEnded');
+  }
+  const period = `<t:${Math.floor(competition.startedAt / 1000)}:f> → ${end}`;
+
+  return new EmbedBuilder()
+    .setColor(ended ? 0xffd700 : 0x00ff99)
+    .setTitle(t(ended ? 'competitions.titleEnded' : 'competitions.titleActive', { name: competition.name }))
+    .setDescription(lines.length > 0 ? lines.join('\n') : t('competitions.empty'))
+    .addFields({ name: t('competitions.period'), value: period })
+    .setTimestamp();
+}
+
+// Post the final results in the channel the competition was started from, in
+// the guild's language
+export async function announceCompetitionResults(client, storage, competition) {
+  try {
+    const channel = await client.channels.fetch(competition.channelId).catch(() => null);
+    if (!channel || !channel.isTextBased()) {
+      log.warn('Cannot announce results: channel not found', { guildId: competition.guildId, competition: competition.name, channelId: competition.channelId });
+      return;
+    }
+
+    const t = guildTranslator(getGuildConfig(storage, competition.guildId), channel.guild);
+    const winners = competition.winners.map(winner => `<@${winner.userId}>`).join(', ');
+    await channel.send({
+      content: t(winners ? 'competitions.over' : 'competitions.overNoWinners', { name: competition.name, winners }),
+      embeds: [buildCompetitionEmbed(t, competition, competition.standings)],
+      allowedMentions: { users: competition.winners.map(winner => winner.userId) }
+    });
+  } catch (error) {
+    log.error('Error announcing results', { guildId: competition.guildId, competition: competition.name, error });
+  }
+}
+
+// End every competition whose end time has passed, in the guilds of this client
+// (under the ShardingManager, other shards end their own)
+export async function endExpiredCompetitions(client, storage) {
+  const now = Date.now();
+  for (const competition of storage.getAllActiveCompetitions()) {
+    if (!competition.endsAt || competition.endsAt > now) continue;
+    if (!client.guilds.cache.has(competition.guildId)) continue;
+
+    const ended = endCompetition(storage, competition, { endedAt: competition.endsAt });
+    log.info('Competition ended', { guildId: ended.guildId, competition: ended.name, winners: ended.winners.length });
+    await announceCompetitionResults(client, storage, ended);
+  }
+}
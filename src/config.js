@@ -0,0 +1,118 @@
+import { LOCALE_NAMES } from './i18n/index.js';
+
+// Per-guild settings. Each key lists the field stored for the guild, its type
+// and its default; its label is config.labels.<key> in the message catalogs.
+// Guilds only store the values they override.
+export const CONFIG_KEYS = {
+  bump_channel: {
+    field: 'bumpChannelId',
+    type: 'channel',
+    default: null,
+  },
+  bump_role: {
+    field: 'bumpRoleId',
+    type: 'role',
+    default: null,
+  },
+  log_channel: {
+    field: 'logChannelId',
+    type: 'channel',
+    default: null,
+  },
+  fake_account_age: {
+    field: 'fakeAccountAgeDays',
+    type: 'integer',
+    default: Number(process.env.FAKE_ACCOUNT_AGE_DAYS ?? 7),
+  },
+  reply_delete_delay: {
+    field: 'replyDeleteDelay',
+    type: 'integer',
+    default: 300,
+  },
+  public_stats: {
+    field: 'publicStats',
+    type: 'boolean',
+    default: false,
+  },
+  // Used when a member's own Discord language has no translation
+  language: {
+    field: 'language',
+    type: 'locale',
+    default: null,
+  },
+  // Anti-abuse review queue, enabled by setting a review channel
+  review_channel: {
+    field: 'reviewChannelId',
+    type: 'channel',
+    default: null,
+  },
+  review_threshold: {
+    field: 'reviewThreshold',
+    type: 'integer',
+    default: 1,
+  },
+  review_account_age: {
+    field: 'reviewAccountAgeDays',
+    type: 'integer',
+    default: 30,
+  },
+  review_default_avatar: {
+    field: 'reviewDefaultAvatar',
+    type: 'boolean',
+    default: true,
+  },
+  review_rejoins: {
+    field: 'reviewRejoins',
+    type: 'boolean',
+    default: true,
+  },
+  review_burst_joins: {
+    field: 'reviewBurstJoins',
+    type: 'integer',
+    default: 5,
+  },
+  review_burst_minutes: {
+    field: 'reviewBurstMinutes',
+    type: 'integer',
+    default: 10,
+  },
+  review_quick_leave_hours: {
+    field: 'reviewQuickLeaveHours',
+    type: 'integer',
+    default: 24,
+  },
+};
+
+// Full configuration of a guild with defaults filled in
+export function getGuildConfig(storage, guildId) {
+  const overrides = storage.getConfigOverrides(guildId);
+  const config = {};
+  for (const key of Object.values(CONFIG_KEYS)) {
+    config[key.field] = overrides[key.field] !== undefined ? overrides[key.field] : key.default;
+  }
+  return config;
+}
+
+export function setGuildConfigValue(storage, guildId, key, value) {
+  storage.setConfigValue(guildId, CONFIG_KEYS[key].field, value);
+}
+
+export function resetGuildConfigValue(storage, guildId, key) {
+  storage.clearConfigValue(guildId, CONFIG_KEYS[key].field);
+}
+
+// Human readable value for /config view
+export function formatConfigValue(t, key, value) {
+  switch (CONFIG_KEYS[key].type) {
+    case 'channel':
+      return value ? `<#${value}>` : t('config.notSet');
+    case 'role':
+      return value ? `<@&${value}>` : t('config.notSet');
+    case 'boolean':
+      return t(value ? 'config.yes' : 'config.no');
+    case 'locale':
+      return value ? LOCALE_NAMES[value] : t('config.serverLanguage');
+    default:
+      return `${value}`;
+  }
+}
@@ -0,0 +1,557 @@
+// English messages. Plural messages are keyed by Intl.PluralRules category and
+// pick the form for their {count}.
+export default {
+  // Names of permissions as shown in the Discord client
+  permissions: {
+    Administrator: 'Administrator',
+    ManageGuild: 'Manage Server',
+    ModerateMembers: 'Timeout Members',
+    ManageRoles: 'Manage Roles',
+    ViewAuditLog: 'View Audit Log',
+  },
+
+  errors: {
+    permission: 'the {name} permission',
+    permissionAny: 'the {names} or {last} permission',
+    missingPermission: 'You need {permissions} to use `/{command}`.',
+    missingPermissionButton: 'You need {permissions} to use this button.',
+    cooldown: {
+      one: 'You are using `/{command}` too quickly. Try again in {count} second.',
+      other: 'You are using `/{command}` too quickly. Try again in {count} seconds.',
+    },
+    commandFailed: 'An error occurred while processing this command.',
+    buttonFailed: 'An error occurred while processing this button.',
+    shuttingDown: 'The bot is restarting. Try again in a moment.',
+    guildOnly: 'This command can only be used in a server.',
+    cannotPost: 'I need View Channel, Send Messages and Embed Links permissions in {channel}.',
+  },
+
+  periods: {
+    today: 'today',
+    '7d': 'last 7 days',
+    '30d': 'last 30 days',
+    custom: '{from} → {to}',
+    start: 'start',
+    now: 'now',
+    errors: {
+      invalidDate: '`{name}` must be a date formatted as YYYY-MM-DD.',
+      reversed: '`from` must be on or before `to`.',
+    },
+  },
+
+  breakdown: {
+    regular: '✅ Regular',
+    left: '👋 Left',
+    fake: '🚫 Fake',
+    bonus: '✨ Bonus',
+    estimatedName: '🔎 Estimated',
+    estimated: {
+      one: '{count} of the regular invites was estimated from invite history',
+      other: '{count} of the regular invites were estimated from invite history',
+    },
+  },
+
+  invite: {
+    title: '📨 Your Invite Count',
+    titlePeriod: '📨 Your Invite Count ({period})',
+    description: {
+      one: 'You have **{count}** invite on this server!',
+      other: 'You have **{count}** invites on this server!',
+    },
+    footer: 'Keep inviting friends to grow the community!',
+  },
+
+  checkinvites: {
+    userNotFound: 'No member matches `{query}`. Pick one from the list, or paste the User ID of someone who left.',
+    userIdChoice: 'User ID {id} (not in the server)',
+    title: '📨 Invite Count for {user}',
+    titlePeriod: '📨 Invite Count for {user} ({period})',
+    unknownUserTitle: 'User ID {id}',
+    unknownUserDescription: 'User ID **{id}**',
+    description: {
+      one: '{user} has **{count}** invite on this server!',
+      other: '{user} has **{count}** invites on this server!',
+    },
+    rank: '🏆 Rank',
+    rankValue: {
+      one: '**#{rank}** of {count} inviter',
+      other: '**#{rank}** of {count} inviters',
+    },
+    notRanked: 'Not ranked',
+    invitedBy: '🤝 Invited By',
+    inviterUnknown: 'Unknown',
+    noJoin: 'No join recorded',
+    lastInvite: '🕒 Last Invite',
+    never: 'Never',
+    footer: 'Invite tracking by InviteBot',
+  },
+
+  resetinvites: {
+    title: '🔄 Invite Counts Reset',
+    description: 'All invite counts for **{guild}** have been reset to 0.',
+    footer: 'Reset by {user}',
+  },
+
+  pagination: {
+    previous: 'Previous',
+    next: 'Next',
+  },
+
+  leaderboard: {
+    // Labels of the sort modes in src/leaderboard.js
+    sorts: {
+      total: 'Invites minus leaves and fakes',
+      net: 'Invites minus leaves',
+      real: 'Invites minus fakes',
+    },
+    title: '🏆 Invite Leaderboard — {guild}',
+    line: {
+      one: '**{rank}.** {user} — **{count}** invite',
+      other: '**{rank}.** {user} — **{count}** invites',
+    },
+    empty: 'Nobody has any invites yet. Be the first!',
+    emptyPeriod: 'Nobody has made any invites in this period.',
+    footer: 'Page {page}/{pages} • Sorted by {sort} • {period}',
+    allTime: 'all time',
+    yourRank: 'Your Rank',
+    notRanked: 'You are not ranked yet.',
+    rankValue: {
+      one: '**#{rank}** with **{count}** invite (page {page})',
+      other: '**#{rank}** with **{count}** invites (page {page})',
+    },
+  },
+
+  bumpleaderboard: {
+    title: '🚀 Bump Leaderboard — {guild}',
+    line: {
+      one: '**{rank}.** {user} — **{count}** bump',
+      other: '**{rank}.** {user} — **{count}** bumps',
+    },
+    empty: 'Nobody has bumped the server yet. Use `/bump` to be the first!',
+    footer: 'Page {page}/{pages}',
+    lastBump: 'Last Bump',
+    nextBump: 'Next Bump',
+    availableNow: 'Available now',
+    yourRank: 'Your Rank',
+    rankValue: {
+      one: '**#{rank}** with **{count}** bump',
+      other: '**#{rank}** with **{count}** bumps',
+    },
+  },
+
+  bumps: {
+    thanks: '🚀 Thanks for bumping, {user}! That is your bump #{number}. I will remind everyone {time}.',
+    reminder: '⏰ The server can be bumped again! Use `/bump` to bump it on Disboard.',
+  },
+
+  invites: {
+    added: {
+      one: 'Added **{count}** invite to {user}. New total: **{total}**.',
+      other: 'Added **{count}** invites to {user}. New total: **{total}**.',
+    },
+    removed: {
+      one: 'Removed **{count}** invite from {user}. New total: **{total}**.',
+      other: 'Removed **{count}** invites from {user}. New total: **{total}**.',
+    },
+    unchanged: {
+      one: '{user} already has **{count}** invite. Nothing changed.',
+      other: '{user} already has **{count}** invites. Nothing changed.',
+    },
+    set: 'Set the invite total of {user} to **{total}** ({delta}).',
+    sameMember: 'You cannot transfer invites to the same member.',
+    notEnough: {
+      one: '{user} only has **{count}** invite to transfer.',
+      other: '{user} only has **{count}** invites to transfer.',
+    },
+    transferred: {
+      one: 'Moved **{count}** invite from {from} (now **{fromTotal}**) to {to} (now **{toTotal}**).',
+      other: 'Moved **{count}** invites from {from} (now **{fromTotal}**) to {to} (now **{toTotal}**).',
+    },
+    title: '🛠️ Invite Count Adjusted',
+    reason: 'Reason',
+    noReason: 'No reason provided',
+    footer: 'Adjusted by {user}',
+    historyTitle: '📜 Invite Adjustments for {user}',
+    historyEmpty: 'No manual adjustments have been made for this member.',
+    historyLine: '{date} **{amount}** {action}{related} by {actor}{reason}',
+    historyFrom: ' (from {user})',
+    historyTo: ' (to {user})',
+    actions: {
+      add: 'add',
+      remove: 'remove',
+      set: 'set',
+      transfer: 'transfer',
+    },
+  },
+
+  rewards: {
+    cannotManage: 'I cannot manage {role}. Make sure it is not a bot or @everyone role and that it sits below my highest role.',
+    added: {
+      one: '✅ Members will now receive {role} at **{count}** invite. Use `/rewards sync` to apply it to existing members.',
+      other: '✅ Members will now receive {role} at **{count}** invites. Use `/rewards sync` to apply it to existing members.',
+    },
+    notAReward: '{role} is not an invite reward.',
+    removed: '✅ {role} is no longer an invite reward. Members who already have it keep it.',
+    tier: {
+      one: '**{count}** invite → {role}',
+      other: '**{count}** invites → {role}',
+    },
+    title: '🎁 Invite Rewards',
+    empty: 'No invite rewards configured. Add one with `/rewards add`.',
+    modes: {
+      highest: 'Members keep only their highest reward',
+      stack: 'Members keep every reward they earn',
+    },
+    modeSet: {
+      highest: '✅ Members will now keep only their highest reward. Use `/rewards sync` to apply this to existing members.',
+      stack: '✅ Members will now keep every reward they earn. Use `/rewards sync` to apply this to existing members.',
+    },
+    synced: {
+      one: '✅ Synced invite rewards for **{members}** members: {count} role added, {removed} removed{failed}.',
+      other: '✅ Synced invite rewards for **{members}** members: {count} roles added, {removed} removed{failed}.',
+    },
+    syncFailed: ', {failed} failed',
+  },
+
+  webhook: {
+    unknownEvents: {
+      one: 'Unknown event {events}. Available events: {available}.',
+      other: 'Unknown events {events}. Available events: {available}.',
+    },
+    delivered: '✅ HTTP {status}',
+    failed: '❌ {error}',
+    delivery: {
+      one: '{time} `{event}` {outcome} after {count} attempt',
+      other: '{time} `{event}` {outcome} after {count} attempts',
+    },
+    notFound: 'No webhook with ID `{id}` exists on this server.',
+    invalidUrl: 'The URL must start with `https://` and point to a public host.',
+    tooMany: 'This server already has {count} webhooks. Remove one with `/webhook remove` first.',
+    addedTitle: '🪝 Webhook Added',
+    added: 'Copy the signing secret now, it will not be shown again:\n```{secret}```',
+    id: 'Webhook ID',
+    url: 'URL',
+    events: 'Events',
+    verifying: 'Verifying deliveries',
+    verifyingValue: 'Each POST carries `X-InviteBot-Signature: sha256=<hex>`, the HMAC-SHA256 of `<X-InviteBot-Timestamp>.<body>` with the secret.',
+    addedFooter: 'Try it with /webhook test',
+    title: '🪝 Webhooks',
+    line: '`{id}` {url}\n└ {events} — last delivery: {delivery}',
+    noDelivery: 'none yet',
+    empty: 'No webhooks. Add one with `/webhook add`.',
+    removed: '✅ Webhook `{id}` has been removed.',
+    testDelivered: '✅ `{url}` answered the test event with HTTP {status}.',
+    testFailed: '❌ The test event could not be delivered to `{url}`: {error}.',
+    deliveriesTitle: '🪝 Deliveries to {id}',
+    deliveriesEmpty: 'Nothing was sent to this webhook yet.',
+    deliveriesFooter: 'Failed deliveries are retried up to 3 times',
+  },
+
+  competitions: {
+    standing: {
+      one: '{rank} {user} — **{count}** invite',
+      other: '{rank} {user} — **{count}** invites',
+    },
+    titleActive: '🏆 {name} — Current Standings',
+    titleEnded: '🏁 {name} — Final Results',
+    empty: 'No invites have been made during this competition yet.',
+    period: 'Period',
+    endedManually: '{time} (ended manually)',
+    untilEnded: 'runs until ended with `/competition end`',
+    over: '🎉 The invite competition **{name}** is over! Congratulations to {winners}!',
+    overNoWinners: 'The invite competition **{name}** is over.',
+  },
+
+  competition: {
+    alreadyRunning: '**{name}** is still running. End it with `/competition end` first.',
+    cannotPost: 'I cannot send messages in {channel}.',
+    startedTitle: '🏁 {name} has started!',
+    started: 'Only invites made from now on count. All-time invite counts are not affected.\nResults will be announced in {channel}.',
+    ends: 'Ends',
+    endsManually: 'When an admin runs `/competition end`',
+    notRunning: 'There is no competition running.',
+    ended: '✅ **{name}** has ended.',
+    none: 'There is no competition running. Start one with `/competition start`.',
+    noWinners: 'No winners',
+    historyTitle: '📜 Past Competitions',
+    historyEmpty: 'No competitions have ended yet.',
+  },
+
+  review: {
+    accountAge: {
+      one: 'Account is {count} day old',
+      other: 'Account is {count} days old',
+    },
+    defaultAvatar: 'Default avatar',
+    rejoined: 'Rejoined after being counted before',
+    burst: {
+      one: '{joins} joins via `{code}` in the last {count} minute',
+      other: '{joins} joins via `{code}` in the last {count} minutes',
+    },
+    quickLeave: {
+      one: 'Left {count} hour after joining',
+      other: 'Left {count} hours after joining',
+    },
+    // The review message posted in the review channel (src/review.js)
+    kinds: {
+      join: 'Suspicious join',
+      leave: 'Quick leave',
+    },
+    titles: {
+      pending: '🛡️ {kind}',
+      approved: '🛡️ {kind} — Approved',
+      rejected: '🛡️ {kind} — Rejected',
+    },
+    member: 'Member',
+    invitedBy: 'Invited by',
+    inviteCode: 'Invite code',
+    unknownCode: 'Unknown',
+    footer: 'Review {id}',
+    decision: 'Decision',
+    decisions: {
+      join: 'Approve to credit the invite, reject to count it as fake.',
+      leave: 'Approve to keep it as a leave, reject to count it as fake.',
+    },
+    decidedBy: 'Decided by',
+    approve: 'Approve',
+    reject: 'Reject',
+    missing: 'This review no longer exists.',
+    already: {
+      approved: 'This review was already approved by {user}.',
+      rejected: 'This review was already rejected by {user}.',
+    },
+  },
+
+  invitedata: {
+    // Labels of IMPORT_MODES in src/inviteData.js
+    modes: {
+      merge: 'Merge into the current data',
+      replace: 'Replace the sections in the file',
+    },
+    exported: '📦 Exported **{members}** member counts, **{joins}** inviter mappings and **{events}** join events.',
+    tooLarge: 'The file is too large (the limit is {limit} MB).',
+    importedTitle: '✅ Invite Data Imported',
+    mode: 'Mode: **{mode}**',
+    members: 'Member Counts',
+    joins: 'Inviter Mappings',
+    events: 'Join Events',
+    skipped: 'Skipped (already known)',
+    importedFooter: 'Run /rewards sync to update reward roles for the imported counts',
+    invalidRows: {
+      one: '{count} row is invalid. Nothing was imported.',
+      other: '{count} rows are invalid. Nothing was imported.',
+    },
+    moreErrors: '…and {count} more (see the attached file).',
+    failedTitle: '❌ Import Failed',
+    // Problems with an uploaded file as a whole (ImportError keys)
+    errors: {
+      download: 'Could not download the file (HTTP {status}).',
+      unterminatedQuote: 'The CSV file has an unterminated quoted value.',
+      emptyCsv: 'The CSV file is empty.',
+      unknownHeader: 'Unrecognized CSV header. Expected the header of a members, joins or events export (a `user_id` or `member_id` column).',
+      unknownColumns: {
+        one: 'Unknown {section} column: {columns}. Expected: {expected}.',
+        other: 'Unknown {section} columns: {columns}. Expected: {expected}.',
+      },
+      invalidJson: 'The JSON file is not valid JSON: {error}',
+      notAnObject: 'The JSON file must contain an object with members, joins and/or events arrays.',
+      notAnArray: '`{section}` must be an array.',
+      nothingToImport: 'The JSON file has no members, joins or events to import.',
+    },
+    // Invalid rows: where they are and what is wrong with them
+    rows: {
+      csv: 'row {number}',
+      json: '{section}[{index}]',
+    },
+    rowErrors: {
+      required: '`{column}` is required',
+      invalidId: '`{column}` is not a valid Discord ID',
+      notInteger: '`{column}` must be a whole number',
+      negative: '`{column}` cannot be negative',
+      invalidCode: '`{column}` is not a valid invite code',
+      invalidSource: '`{column}` must be one of {sources}',
+      invalidDate: '`{column}` is not a valid date (use ISO 8601)',
+      invalidBoolean: '`{column}` must be true or false',
+      duplicate: '`{column}` {value} appears more than once',
+      leftBeforeJoined: '`left_at` is before `joined_at`',
+    },
+  },
+
+  joinLog: {
+    // Used when the guild has not set its own message with /logs message
+    defaultJoin: '{member} joined the server, invited by {inviter} ({count} invites).',
+    defaultLeave: '{member} left the server. They were invited by {inviter}.',
+    unknownInviter: 'an unknown inviter',
+    unknownCode: 'unknown',
+    notAvailable: 'N/A',
+    joinedTitle: '📥 Member Joined',
+    leftTitle: '📤 Member Left',
+    member: 'Member',
+    invitedBy: 'Invited by',
+    inviteCode: 'Invite code',
+    unknown: 'Unknown',
+    inviterTotal: 'Inviter total',
+    accountCreated: 'Account created',
+    footer: 'User ID: {id}',
+    countedAs: 'Counted as',
+    held: 'Held for review',
+    fakeRejoin: 'Fake (rejoin)',
+    fakeYoung: 'Fake (young account)',
+    inviteSource: 'Invite source',
+    sources: {
+      vanity: 'Joined through the vanity URL (discord.gg/{code}).',
+      inferred: 'Inferred from invite `{code}`, which was used up or deleted right after the join.',
+      noCreator: 'Invite `{code}` has no known creator (widget or integration invite).',
+      unknownWithVanity: 'Could not determine the invite. The member may have used the vanity URL (discord.gg/{code}), the server widget or Server Discovery.',
+      unknown: 'Could not determine the invite. The member may have used the server widget, Server Discovery or an invite that expired.',
+    },
+  },
+
+  logs: {
+    channelSet: '✅ Join and leave logs will be posted in {channel}.',
+    disabled: '✅ Join and leave logs are disabled.',
+    messageSet: {
+      join: '✅ The join message is now:\n>>> {template}',
+      leave: '✅ The leave message is now:\n>>> {template}',
+    },
+    messageRestored: {
+      join: '✅ The join message was restored to the default.',
+      leave: '✅ The leave message was restored to the default.',
+    },
+    title: '📝 Join/Leave Log Settings',
+    channel: 'Log channel',
+    off: 'Disabled',
+    joinMessage: 'Join message',
+    leaveMessage: 'Leave message',
+    default: '{template} *(default)*',
+    placeholders: 'Placeholders',
+  },
+
+  config: {
+    // Labels of CONFIG_KEYS in src/config.js, also used as the /config reset choices
+    labels: {
+      bump_channel: 'Bump channel',
+      bump_role: 'Bump reminder role',
+      log_channel: 'Join/leave log channel',
+      fake_account_age: 'Fake account age (days)',
+      reply_delete_delay: 'Reply auto-delete delay (seconds, 0 = never)',
+      public_stats: 'Stat replies visible to everyone',
+      language: 'Default language',
+      review_channel: 'Join review channel',
+      review_threshold: 'Suspicious signals needed for review',
+      review_account_age: 'Review accounts younger than (days, 0 = off)',
+      review_default_avatar: 'Review accounts with the default avatar',
+      review_rejoins: 'Review rejoins instead of counting them as fake',
+      review_burst_joins: 'Joins via one code in the window to flag (0 = off)',
+      review_burst_minutes: 'Window for joins via one code (minutes)',
+      review_quick_leave_hours: 'Review invitees leaving within (hours, 0 = off)',
+    },
+    notSet: 'Not set',
+    yes: 'Yes',
+    no: 'No',
+    serverLanguage: "Server's Discord language",
+    set: '✅ **{label}** set to {value}.',
+    reset: '✅ **{label}** reset to the default ({value}).',
+    title: '⚙️ Configuration for {guild}',
+    default: '{value} *(default)*',
+    footer: 'Change a setting with /config set, restore it with /config reset',
+  },
+
+  apikey: {
+    createdTitle: '🔑 API Key Created',
+    created: 'Copy this key now, it will not be shown again:\n```{key}```',
+    id: 'Key ID',
+    name: 'Name',
+    usage: 'Usage',
+    usageValue: 'Send `Authorization: Bearer <key>` to `/api/guilds/{guildId}/...`',
+    title: '🔑 API Keys',
+    line: '`{id}` **{name}** — created by {user} {time}',
+    empty: 'No API keys. Create one with `/apikey create`.',
+    notFound: 'No API key with ID `{id}` exists on this server.',
+    revoked: '✅ API key `{id}` has been revoked.',
+  },
+
+  backfill: {
+    attributed: 'Members Attributed',
+    ambiguous: 'Ambiguous',
+    skipped: 'Already Tracked',
+    invites: 'Invites Found',
+    unmatchedUses: 'Unmatched Uses Credited',
+    started: 'Started',
+    startedValue: '{time} by {user}',
+    completedTitle: '✅ Backfill Completed',
+    completed: 'Finished {time}. Backfilled joins and invites are marked as estimated.',
+    failedTitle: '❌ Backfill Stopped',
+    failed: '{error}\nFix the problem and run `/backfill start` to resume.',
+    runningTitle: '⏳ Backfill In Progress',
+    interruptedTitle: '⏸️ Backfill Interrupted',
+    phase: 'Current step: **{phase}**.',
+    // Steps of src/backfill.js
+    phases: {
+      history: 'history',
+      members: 'members',
+      credit: 'credit',
+      done: 'done',
+    },
+    lastError: 'Last error: {error}',
+    resume: 'Run `/backfill start` to resume.',
+    none: 'No backfill has been run on this server. Start one with `/backfill start`.',
+    alreadyRunning: '⏳ A backfill is already running. Check it with `/backfill status`.',
+    alreadyCompleted: 'The backfill already completed {time}. Running it again would count the same invites twice.',
+    starting: '⏳ Starting the backfill. This can take a while on large servers; check it with `/backfill status`.',
+    resuming: '⏳ Resuming the backfill. This can take a while on large servers; check it with `/backfill status`.',
+  },
+
+  inviter: {
+    title: '🔎 Who invited {user}?',
+    noJoin: 'No join has been recorded for {user} on this server.',
+    invitedBy: '{user} was invited by {inviter}.',
+    unknownInviter: 'The inviter of {user} could not be determined.',
+    joinedThrough: 'Joined through',
+    joined: 'Joined',
+    unknown: 'Unknown',
+    status: 'Status',
+    statuses: {
+      left: '👋 Left the server',
+      fake: '🚫 Counted as fake',
+      member: '✅ In the server',
+    },
+    // How the member joined
+    sources: {
+      estimated: 'Invite `{code}` (estimated from the audit log by /backfill)',
+      vanity: 'Vanity URL `{code}`',
+      inferred: 'Invite `{code}` (inferred, the invite was used up or deleted)',
+      invite: 'Invite `{code}`',
+      unknownInvite: 'Unknown invite',
+      unknown: 'Unknown (widget, Server Discovery or an untracked invite)',
+    },
+  },
+
+  invitees: {
+    title: '👥 Members invited by {user}',
+    empty: '{user} has not invited anyone yet.',
+    footer: 'Page {page}/{pages} • {members} in server, {left} left, {fake} fake',
+    statuses: {
+      fake: '🚫 fake',
+      left: '👋 left',
+      member: '✅ in server',
+    },
+  },
+
+  invitecodes: {
+    title: '🔗 Invite Codes — {guild}',
+    description: 'Retention shows members still in the server N days after joining, out of those who joined at least N days ago.',
+    empty: 'No invite codes tracked yet.',
+    footer: 'Page {page}/{pages}',
+    inactive: ' (no longer active)',
+    notAvailable: 'N/A',
+    unknownInviter: 'unknown',
+    by: 'By {user}',
+    byIn: 'By {user} in {channel}',
+    counts: 'Uses: **{uses}** · Tracked joins: **{joins}** · Still members: **{members}**',
+    retention: 'Retention: {retention}',
+    notTracked: 'Invite `{code}` is not tracked on this server.',
+    labelled: '✅ Invite `{code}` is now labelled **{label}**.',
+    unlabelled: '✅ Removed the label of invite `{code}`.',
+  },
+};
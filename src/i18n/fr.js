@@ -0,0 +1,975 @@
+// French messages and slash command localizations
+
+// Labels of the leaderboard sort modes, also used as the /leaderboard choices
+const LEADERBOARD_SORTS = {
+  total: 'Invitations moins les départs et les fausses',
+  net: 'Invitations moins les départs',
+  real: 'Invitations moins les fausses',
+};
+
+// Labels of the settings, also used as the /config reset choices
+const CONFIG_LABELS = {
+  bump_channel: 'Salon des bumps',
+  bump_role: 'Rôle de rappel des bumps',
+  log_channel: 'Salon des arrivées et départs',
+  fake_account_age: 'Âge des faux comptes (jours)',
+  reply_delete_delay: 'Délai de suppression des réponses (secondes, 0 = jamais)',
+  public_stats: 'Statistiques visibles par tous',
+  language: 'Langue par défaut',
+  review_channel: 'Salon de vérification des arrivées',
+  review_threshold: 'Signaux suspects nécessaires pour une vérification',
+  review_account_age: 'Vérifier les comptes de moins de (jours, 0 = désactivé)',
+  review_default_avatar: "Vérifier les comptes avec l'avatar par défaut",
+  review_rejoins: 'Vérifier les retours au lieu de les compter comme faux',
+  review_burst_joins: 'Arrivées via un même code dans la fenêtre à signaler (0 = désactivé)',
+  review_burst_minutes: 'Fenêtre des arrivées via un même code (minutes)',
+  review_quick_leave_hours: 'Vérifier les invités partis en moins de (heures, 0 = désactivé)',
+};
+
+// Labels of the import modes, also used as the /invitedata import choices
+const IMPORT_MODES = {
+  merge: 'Fusionner avec les données actuelles',
+  replace: 'Remplacer les sections du fichier',
+};
+
+export default {
+  permissions: {
+    Administrator: 'Administrateur',
+    ManageGuild: 'Gérer le serveur',
+    ModerateMembers: 'Exclure temporairement des membres',
+    ManageRoles: 'Gérer les rôles',
+    ViewAuditLog: 'Voir les logs du serveur',
+  },
+
+  errors: {
+    permission: 'la permission {name}',
+    permissionAny: 'la permission {names} ou {last}',
+    missingPermission: 'Vous avez besoin de {permissions} pour utiliser `/{command}`.',
+    missingPermissionButton: 'Vous avez besoin de {permissions} pour utiliser ce bouton.',
+    cooldown: {
+      one: 'Vous utilisez `/{command}` trop vite. Réessayez dans {count} seconde.',
+      other: 'Vous utilisez `/{command}` trop vite. Réessayez dans {count} secondes.',
+    },
+    commandFailed: 'Une erreur est survenue lors du traitement de cette commande.',
+    buttonFailed: 'Une erreur est survenue lors du traitement de ce bouton.',
+    shuttingDown: 'Le bot redémarre. Réessayez dans un instant.',
+    guildOnly: 'Cette commande ne peut être utilisée que sur un serveur.',
+    cannotPost: "J'ai besoin des permissions Voir le salon, Envoyer des messages et Intégrer des liens dans {channel}.",
+  },
+
+  periods: {
+    today: "aujourd'hui",
+    '7d': '7 derniers jours',
+    '30d': '30 derniers jours',
+    custom: '{from} → {to}',
+    start: 'début',
+    now: 'maintenant',
+    errors: {
+      invalidDate: '`{name}` doit être une date au format AAAA-MM-JJ.',
+      reversed: '`from` doit être antérieur ou égal à `to`.',
+    },
+  },
+
+  breakdown: {
+    regular: '✅ Régulières',
+    left: '👋 Parties',
+    fake: '🚫 Fausses',
+    bonus: '✨ Bonus',
+    estimatedName: '🔎 Estimées',
+    estimated: {
+      one: "{count} des invitations régulières a été estimée à partir de l'historique des invitations",
+      other: "{count} des invitations régulières ont été estimées à partir de l'historique des invitations",
+    },
+  },
+
+  invite: {
+    title: '📨 Vos invitations',
+    titlePeriod: '📨 Vos invitations ({period})',
+    description: {
+      one: 'Vous avez **{count}** invitation sur ce serveur !',
+      other: 'Vous avez **{count}** invitations sur ce serveur !',
+    },
+    footer: 'Continuez à inviter vos amis pour faire grandir la communauté !',
+  },
+
+  checkinvites: {
+    userNotFound: "Aucun membre ne correspond à `{query}`. Choisissez-en un dans la liste, ou collez l'identifiant d'une personne partie.",
+    userIdChoice: "Identifiant {id} (pas sur le serveur)",
+    title: '📨 Invitations de {user}',
+    titlePeriod: '📨 Invitations de {user} ({period})',
+    unknownUserTitle: "l'utilisateur {id}",
+    unknownUserDescription: "L'utilisateur **{id}**",
+    description: {
+      one: '{user} a **{count}** invitation sur ce serveur !',
+      other: '{user} a **{count}** invitations sur ce serveur !',
+    },
+    rank: '🏆 Rang',
+    rankValue: {
+      one: '**#{rank}** sur {count} inviteur',
+      other: '**#{rank}** sur {count} inviteurs',
+    },
+    notRanked: 'Non classé',
+    invitedBy: '🤝 Invité par',
+    inviterUnknown: 'Inconnu',
+    noJoin: 'Aucune arrivée enregistrée',
+    lastInvite: '🕒 Dernière invitation',
+    never: 'Jamais',
+    footer: 'Suivi des invitations par InviteBot',
+  },
+
+  resetinvites: {
+    title: '🔄 Invitations réinitialisées',
+    description: 'Toutes les invitations de **{guild}** ont été remises à 0.',
+    footer: 'Réinitialisé par {user}',
+  },
+
+  pagination: {
+    previous: 'Précédent',
+    next: 'Suivant',
+  },
+
+  leaderboard: {
+    sorts: LEADERBOARD_SORTS,
+    title: '🏆 Classement des invitations — {guild}',
+    line: {
+      one: '**{rank}.** {user} — **{count}** invitation',
+      other: '**{rank}.** {user} — **{count}** invitations',
+    },
+    empty: "Personne n'a encore d'invitations. Soyez le premier !",
+    emptyPeriod: "Personne n'a fait d'invitations sur cette période.",
+    footer: 'Page {page}/{pages} • Trié par {sort} • {period}',
+    allTime: 'depuis toujours',
+    yourRank: 'Votre rang',
+    notRanked: "Vous n'êtes pas encore classé.",
+    rankValue: {
+      one: '**#{rank}** avec **{count}** invitation (page {page})',
+      other: '**#{rank}** avec **{count}** invitations (page {page})',
+    },
+  },
+
+  bumpleaderboard: {
+    title: '🚀 Classement des bumps — {guild}',
+    line: {
+      one: '**{rank}.** {user} — **{count}** bump',
+      other: '**{rank}.** {user} — **{count}** bumps',
+    },
+    empty: "Personne n'a encore bumpé le serveur. Utilisez `/bump` pour être le premier !",
+    footer: 'Page {page}/{pages}',
+    lastBump: 'Dernier bump',
+    nextBump: 'Prochain bump',
+    availableNow: 'Disponible maintenant',
+    yourRank: 'Votre rang',
+    rankValue: {
+      one: '**#{rank}** avec **{count}** bump',
+      other: '**#{rank}** avec **{count}** bumps',
+    },
+  },
+
+  bumps: {
+    thanks: "🚀 Merci pour le bump, {user} ! C'est votre bump n°{number}. Je préviendrai tout le monde {time}.",
+    reminder: '⏰ Le serveur peut de nouveau être bumpé ! Utilisez `/bump` pour le bumper sur Disboard.',
+  },
+
+  invites: {
+    added: {
+      one: '**{count}** invitation ajoutée à {user}. Nouveau total : **{total}**.',
+      other: '**{count}** invitations ajoutées à {user}. Nouveau total : **{total}**.',
+    },
+    removed: {
+      one: '**{count}** invitation retirée à {user}. Nouveau total : **{total}**.',
+      other: '**{count}** invitations retirées à {user}. Nouveau total : **{total}**.',
+    },
+    unchanged: {
+      one: "{user} a déjà **{count}** invitation. Rien n'a changé.",
+      other: "{user} a déjà **{count}** invitations. Rien n'a changé.",
+    },
+    set: "Le total d'invitations de {user} est maintenant de **{total}** ({delta}).",
+    sameMember: 'Vous ne pouvez pas transférer des invitations au même membre.',
+    notEnough: {
+      one: "{user} n'a que **{count}** invitation à transférer.",
+      other: "{user} n'a que **{count}** invitations à transférer.",
+    },
+    transferred: {
+      one: '**{count}** invitation transférée de {from} (maintenant **{fromTotal}**) à {to} (maintenant **{toTotal}**).',
+      other: '**{count}** invitations transférées de {from} (maintenant **{fromTotal}**) à {to} (maintenant **{toTotal}**).',
+    },
+    title: "🛠️ Nombre d'invitations corrigé",
+    reason: 'Raison',
+    noReason: 'Aucune raison indiquée',
+    footer: 'Corrigé par {user}',
+    historyTitle: '📜 Corrections des invitations de {user}',
+    historyEmpty: "Aucune correction manuelle n'a été faite pour ce membre.",
+    historyLine: '{date} **{amount}** {action}{related} par {actor}{reason}',
+    historyFrom: ' (de {user})',
+    historyTo: ' (à {user})',
+    actions: {
+      add: 'ajout',
+      remove: 'retrait',
+      set: 'total défini',
+      transfer: 'transfert',
+    },
+  },
+
+  rewards: {
+    cannotManage: "Je ne peux pas gérer {role}. Vérifiez que ce n'est ni un rôle de bot ni @everyone, et qu'il est placé sous mon rôle le plus élevé.",
+    added: {
+      one: "✅ Les membres recevront maintenant {role} à **{count}** invitation. Utilisez `/rewards synchroniser` pour l'appliquer aux membres actuels.",
+      other: "✅ Les membres recevront maintenant {role} à **{count}** invitations. Utilisez `/rewards synchroniser` pour l'appliquer aux membres actuels.",
+    },
+    notAReward: "{role} n'est pas une récompense d'invitations.",
+    removed: "✅ {role} n'est plus une récompense d'invitations. Les membres qui l'ont déjà le gardent.",
+    tier: {
+      one: '**{count}** invitation → {role}',
+      other: '**{count}** invitations → {role}',
+    },
+    title: "🎁 Récompenses d'invitations",
+    empty: "Aucune récompense d'invitations configurée. Ajoutez-en une avec `/rewards ajouter`.",
+    modes: {
+      highest: 'Les membres ne gardent que leur meilleure récompense',
+      stack: 'Les membres gardent toutes les récompenses obtenues',
+    },
+    modeSet: {
+      highest: "✅ Les membres ne garderont maintenant que leur meilleure récompense. Utilisez `/rewards synchroniser` pour l'appliquer aux membres actuels.",
+      stack: "✅ Les membres garderont maintenant toutes les récompenses obtenues. Utilisez `/rewards synchroniser` pour l'appliquer aux membres actuels.",
+    },
+    synced: {
+      one: '✅ Récompenses synchronisées pour **{members}** membres : {count} rôle ajouté, {removed} retirés{failed}.',
+      other: '✅ Récompenses synchronisées pour **{members}** membres : {count} rôles ajoutés, {removed} retirés{failed}.',
+    },
+    syncFailed: ', {failed} en échec',
+  },
+
+  webhook: {
+    unknownEvents: {
+      one: 'Événement inconnu : {events}. Événements disponibles : {available}.',
+      other: 'Événements inconnus : {events}. Événements disponibles : {available}.',
+    },
+    delivered: '✅ HTTP {status}',
+    failed: '❌ {error}',
+    delivery: {
+      one: '{time} `{event}` {outcome} après {count} tentative',
+      other: '{time} `{event}` {outcome} après {count} tentatives',
+    },
+    notFound: "Aucun webhook avec l'identifiant `{id}` n'existe sur ce serveur.",
+    invalidUrl: "L'URL doit commencer par `https://` et pointer vers un hôte public.",
+    tooMany: 'Ce serveur a déjà {count} webhooks. Retirez-en un avec `/webhook retirer` avant.',
+    addedTitle: '🪝 Webhook ajouté',
+    added: 'Copiez le secret de signature maintenant, il ne sera plus affiché :\n```{secret}```',
+    id: 'Identifiant du webhook',
+    url: 'URL',
+    events: 'Événements',
+    verifying: 'Vérifier les envois',
+    verifyingValue: 'Chaque POST porte `X-InviteBot-Signature: sha256=<hex>`, le HMAC-SHA256 de `<X-InviteBot-Timestamp>.<body>` avec le secret.',
+    addedFooter: 'Essayez-le avec /webhook tester',
+    title: '🪝 Webhooks',
+    line: '`{id}` {url}\n└ {events} — dernier envoi : {delivery}',
+    noDelivery: 'aucun pour le moment',
+    empty: 'Aucun webhook. Ajoutez-en un avec `/webhook ajouter`.',
+    removed: '✅ Le webhook `{id}` a été retiré.',
+    testDelivered: "✅ `{url}` a répondu à l'événement de test avec HTTP {status}.",
+    testFailed: "❌ L'événement de test n'a pas pu être envoyé à `{url}` : {error}.",
+    deliveriesTitle: '🪝 Envois à {id}',
+    deliveriesEmpty: "Rien n'a encore été envoyé à ce webhook.",
+    deliveriesFooter: "Les envois en échec sont retentés jusqu'à 3 fois",
+  },
+
+  competitions: {
+    standing: {
+      one: '{rank} {user} — **{count}** invitation',
+      other: '{rank} {user} — **{count}** invitations',
+    },
+    titleActive: '🏆 {name} — Classement actuel',
+    titleEnded: '🏁 {name} — Résultats finaux',
+    empty: "Aucune invitation n'a encore été faite pendant ce concours.",
+    period: 'Période',
+    endedManually: '{time} (terminé manuellement)',
+    untilEnded: "en cours jusqu'à `/competition terminer`",
+    over: "🎉 Le concours d'invitations **{name}** est terminé ! Félicitations à {winners} !",
+    overNoWinners: "Le concours d'invitations **{name}** est terminé.",
+  },
+
+  competition: {
+    alreadyRunning: '**{name}** est toujours en cours. Terminez-le avec `/competition terminer` avant.',
+    cannotPost: 'Je ne peux pas envoyer de messages dans {channel}.',
+    startedTitle: '🏁 {name} a commencé !',
+    started: "Seules les invitations faites à partir de maintenant comptent. Le total des invitations n'est pas modifié.\nLes résultats seront annoncés dans {channel}.",
+    ends: 'Fin',
+    endsManually: 'Quand un admin utilise `/competition terminer`',
+    notRunning: "Aucun concours n'est en cours.",
+    ended: '✅ **{name}** est terminé.',
+    none: "Aucun concours n'est en cours. Lancez-en un avec `/competition lancer`.",
+    noWinners: 'Aucun gagnant',
+    historyTitle: '📜 Concours passés',
+    historyEmpty: "Aucun concours n'est encore terminé.",
+  },
+
+  review: {
+    accountAge: {
+      one: 'Compte créé il y a {count} jour',
+      other: 'Compte créé il y a {count} jours',
+    },
+    defaultAvatar: 'Avatar par défaut',
+    rejoined: 'Revenu après avoir déjà été compté',
+    burst: {
+      one: '{joins} arrivées via `{code}` dans la dernière minute',
+      other: '{joins} arrivées via `{code}` dans les {count} dernières minutes',
+    },
+    quickLeave: {
+      one: 'Parti {count} heure après son arrivée',
+      other: 'Parti {count} heures après son arrivée',
+    },
+    kinds: {
+      join: 'Arrivée suspecte',
+      leave: 'Départ rapide',
+    },
+    titles: {
+      pending: '🛡️ {kind}',
+      approved: '🛡️ {kind} — Approuvé',
+      rejected: '🛡️ {kind} — Rejeté',
+    },
+    member: 'Membre',
+    invitedBy: 'Invité par',
+    inviteCode: "Code d'invitation",
+    unknownCode: 'Inconnu',
+    footer: 'Vérification {id}',
+    decision: 'Décision',
+    decisions: {
+      join: "Approuvez pour compter l'invitation, rejetez pour la compter comme fausse.",
+      leave: 'Approuvez pour la garder comme départ, rejetez pour la compter comme fausse.',
+    },
+    decidedBy: 'Décidé par',
+    approve: 'Approuver',
+    reject: 'Rejeter',
+    missing: "Cette vérification n'existe plus.",
+    already: {
+      approved: 'Cette vérification a déjà été approuvée par {user}.',
+      rejected: 'Cette vérification a déjà été rejetée par {user}.',
+    },
+  },
+
+  invitedata: {
+    modes: IMPORT_MODES,
+    exported: '📦 **{members}** totaux de membres, **{joins}** liens inviteur-invité et **{events}** arrivées exportés.',
+    tooLarge: 'Le fichier est trop volumineux (la limite est de {limit} Mo).',
+    importedTitle: "✅ Données d'invitations importées",
+    mode: 'Mode : **{mode}**',
+    members: 'Totaux de membres',
+    joins: 'Liens inviteur-invité',
+    events: 'Arrivées',
+    skipped: 'Ignorées (déjà connues)',
+    importedFooter: 'Utilisez /rewards synchroniser pour mettre à jour les rôles de récompense',
+    invalidRows: {
+      one: "{count} ligne n'est pas valide. Rien n'a été importé.",
+      other: "{count} lignes ne sont pas valides. Rien n'a été importé.",
+    },
+    moreErrors: '…et {count} de plus (voir le fichier joint).',
+    failedTitle: "❌ Échec de l'import",
+    errors: {
+      download: 'Impossible de télécharger le fichier (HTTP {status}).',
+      unterminatedQuote: "Le fichier CSV contient une valeur entre guillemets qui n'est pas fermée.",
+      emptyCsv: 'Le fichier CSV est vide.',
+      unknownHeader: "En-tête CSV non reconnu. L'en-tête d'un export members, joins ou events est attendu (une colonne `user_id` ou `member_id`).",
+      unknownColumns: {
+        one: 'Colonne {section} inconnue : {columns}. Attendues : {expected}.',
+        other: 'Colonnes {section} inconnues : {columns}. Attendues : {expected}.',
+      },
+      invalidJson: "Le fichier JSON n'est pas du JSON valide : {error}",
+      notAnObject: 'Le fichier JSON doit contenir un objet avec des tableaux members, joins et/ou events.',
+      notAnArray: '`{section}` doit être un tableau.',
+      nothingToImport: "Le fichier JSON ne contient ni members, ni joins, ni events à importer.",
+    },
+    rows: {
+      csv: 'ligne {number}',
+      json: '{section}[{index}]',
+    },
+    rowErrors: {
+      required: '`{column}` est obligatoire',
+      invalidId: "`{column}` n'est pas un identifiant Discord valide",
+      notInteger: '`{column}` doit être un nombre entier',
+      negative: '`{column}` ne peut pas être négatif',
+      invalidCode: "`{column}` n'est pas un code d'invitation valide",
+      invalidSource: "`{column}` doit valoir l'un de {sources}",
+      invalidDate: "`{column}` n'est pas une date valide (utilisez ISO 8601)",
+      invalidBoolean: '`{column}` doit valoir true ou false',
+      duplicate: '`{column}` {value} apparaît plusieurs fois',
+      leftBeforeJoined: '`left_at` est antérieur à `joined_at`',
+    },
+  },
+
+  joinLog: {
+    defaultJoin: '{member} a rejoint le serveur, invité par {inviter} ({count} invitations).',
+    defaultLeave: '{member} a quitté le serveur. Il avait été invité par {inviter}.',
+    unknownInviter: 'un inviteur inconnu',
+    unknownCode: 'inconnu',
+    notAvailable: 'N/D',
+    joinedTitle: '📥 Arrivée',
+    leftTitle: '📤 Départ',
+    member: 'Membre',
+    invitedBy: 'Invité par',
+    inviteCode: "Code d'invitation",
+    unknown: 'Inconnu',
+    inviterTotal: "Total de l'inviteur",
+    accountCreated: 'Compte créé',
+    footer: 'Identifiant : {id}',
+    countedAs: 'Compté comme',
+    held: 'En attente de vérification',
+    fakeRejoin: 'Fausse (retour)',
+    fakeYoung: 'Fausse (compte récent)',
+    inviteSource: "Origine de l'invitation",
+    sources: {
+      vanity: "Arrivé par l'URL personnalisée (discord.gg/{code}).",
+      inferred: "Déduit de l'invitation `{code}`, épuisée ou supprimée juste après l'arrivée.",
+      noCreator: "L'invitation `{code}` n'a pas de créateur connu (invitation du widget ou d'une intégration).",
+      unknownWithVanity: "Impossible de déterminer l'invitation. Le membre a pu utiliser l'URL personnalisée (discord.gg/{code}), le widget du serveur ou la découverte de serveurs.",
+      unknown: "Impossible de déterminer l'invitation. Le membre a pu utiliser le widget du serveur, la découverte de serveurs ou une invitation expirée.",
+    },
+  },
+
+  logs: {
+    channelSet: '✅ Les arrivées et les départs seront publiés dans {channel}.',
+    disabled: '✅ Les arrivées et les départs ne sont plus publiés.',
+    messageSet: {
+      join: "✅ Le message d'arrivée est maintenant :\n>>> {template}",
+      leave: '✅ Le message de départ est maintenant :\n>>> {template}',
+    },
+    messageRestored: {
+      join: "✅ Le message d'arrivée par défaut a été rétabli.",
+      leave: '✅ Le message de départ par défaut a été rétabli.',
+    },
+    title: '📝 Paramètres des arrivées et départs',
+    channel: 'Salon',
+    off: 'Désactivé',
+    joinMessage: "Message d'arrivée",
+    leaveMessage: 'Message de départ',
+    default: '{template} *(par défaut)*',
+    placeholders: 'Variables',
+  },
+
+  config: {
+    labels: CONFIG_LABELS,
+    notSet: 'Non défini',
+    yes: 'Oui',
+    no: 'Non',
+    serverLanguage: 'Langue Discord du serveur',
+    set: '✅ **{label}** : {value}.',
+    reset: '✅ **{label}** rétabli à la valeur par défaut ({value}).',
+    title: '⚙️ Configuration de {guild}',
+    default: '{value} *(par défaut)*',
+    footer: 'Modifiez un paramètre avec /config definir, rétablissez-le avec /config reinitialiser',
+  },
+
+  apikey: {
+    createdTitle: "🔑 Clé d'API créée",
+    created: 'Copiez cette clé maintenant, elle ne sera plus affichée :\n```{key}```',
+    id: 'Identifiant de la clé',
+    name: 'Nom',
+    usage: 'Utilisation',
+    usageValue: 'Envoyez `Authorization: Bearer <key>` à `/api/guilds/{guildId}/...`',
+    title: "🔑 Clés d'API",
+    line: '`{id}` **{name}** — créée par {user} {time}',
+    empty: "Aucune clé d'API. Créez-en une avec `/apikey creer`.",
+    notFound: "Aucune clé d'API avec l'identifiant `{id}` n'existe sur ce serveur.",
+    revoked: "✅ La clé d'API `{id}` a été révoquée.",
+  },
+
+  backfill: {
+    attributed: 'Membres attribués',
+    ambiguous: 'Ambigus',
+    skipped: 'Déjà suivis',
+    invites: 'Invitations trouvées',
+    unmatchedUses: 'Utilisations non associées créditées',
+    started: 'Lancée',
+    startedValue: '{time} par {user}',
+    completedTitle: '✅ Reconstitution terminée',
+    completed: 'Terminée {time}. Les arrivées et invitations reconstituées sont marquées comme estimées.',
+    failedTitle: '❌ Reconstitution arrêtée',
+    failed: '{error}\nCorrigez le problème et utilisez `/backfill lancer` pour reprendre.',
+    runningTitle: '⏳ Reconstitution en cours',
+    interruptedTitle: '⏸️ Reconstitution interrompue',
+    phase: 'Étape en cours : **{phase}**.',
+    phases: {
+      history: 'historique',
+      members: 'membres',
+      credit: 'attribution',
+      done: 'terminée',
+    },
+    lastError: 'Dernière erreur : {error}',
+    resume: 'Utilisez `/backfill lancer` pour reprendre.',
+    none: "Aucune reconstitution n'a été faite sur ce serveur. Lancez-en une avec `/backfill lancer`.",
+    alreadyRunning: '⏳ Une reconstitution est déjà en cours. Suivez-la avec `/backfill statut`.',
+    alreadyCompleted: 'La reconstitution est déjà terminée ({time}). La relancer compterait deux fois les mêmes invitations.',
+    starting: '⏳ Lancement de la reconstitution. Cela peut prendre du temps sur les grands serveurs ; suivez-la avec `/backfill statut`.',
+    resuming: '⏳ Reprise de la reconstitution. Cela peut prendre du temps sur les grands serveurs ; suivez-la avec `/backfill statut`.',
+  },
+
+  inviter: {
+    title: '🔎 Qui a invité {user} ?',
+    noJoin: "Aucune arrivée n'a été enregistrée pour {user} sur ce serveur.",
+    invitedBy: '{user} a été invité par {inviter}.',
+    unknownInviter: "L'inviteur de {user} n'a pas pu être déterminé.",
+    joinedThrough: 'Arrivé via',
+    joined: 'Arrivé',
+    unknown: 'Inconnu',
+    status: 'Statut',
+    statuses: {
+      left: '👋 A quitté le serveur',
+      fake: '🚫 Compté comme faux',
+      member: '✅ Sur le serveur',
+    },
+    sources: {
+      estimated: 'Invitation `{code}` (estimée à partir des logs par /backfill)',
+      vanity: 'URL personnalisée `{code}`',
+      inferred: "Invitation `{code}` (déduite, l'invitation a été épuisée ou supprimée)",
+      invite: 'Invitation `{code}`',
+      unknownInvite: 'Invitation inconnue',
+      unknown: 'Inconnue (widget, découverte de serveurs ou invitation non suivie)',
+    },
+  },
+
+  invitees: {
+    title: '👥 Membres invités par {user}',
+    empty: "{user} n'a encore invité personne.",
+    footer: 'Page {page}/{pages} • {members} sur le serveur, {left} partis, {fake} faux',
+    statuses: {
+      fake: '🚫 faux',
+      left: '👋 parti',
+      member: '✅ sur le serveur',
+    },
+  },
+
+  invitecodes: {
+    title: "🔗 Codes d'invitation — {guild}",
+    description: 'La rétention indique les membres toujours sur le serveur N jours après leur arrivée, parmi ceux arrivés il y a au moins N jours.',
+    empty: "Aucun code d'invitation suivi pour le moment.",
+    footer: 'Page {page}/{pages}',
+    inactive: ' (plus actif)',
+    notAvailable: 'N/D',
+    unknownInviter: 'inconnu',
+    by: 'Par {user}',
+    byIn: 'Par {user} dans {channel}',
+    counts: 'Utilisations : **{uses}** · Arrivées suivies : **{joins}** · Toujours membres : **{members}**',
+    retention: 'Rétention : {retention}',
+    notTracked: "L'invitation `{code}` n'est pas suivie sur ce serveur.",
+    labelled: "✅ L'invitation `{code}` a maintenant l'étiquette **{label}**.",
+    unlabelled: "✅ L'étiquette de l'invitation `{code}` a été retirée.",
+  },
+
+  // Options shared by several commands
+  options: {
+    period: {
+      name: 'periode',
+      description: 'Ne compter que les invitations de cette période (par défaut : depuis toujours)',
+      choices: {
+        today: "Aujourd'hui",
+        '7d': '7 derniers jours',
+        '30d': '30 derniers jours',
+        all: 'Depuis toujours',
+      },
+    },
+    from: {
+      name: 'debut',
+      description: "Début d'une période personnalisée, au format AAAA-MM-JJ (UTC)",
+    },
+    to: {
+      name: 'fin',
+      description: "Fin d'une période personnalisée (incluse), au format AAAA-MM-JJ (UTC)",
+    },
+    page: {
+      name: 'page',
+      description: 'Page de départ',
+    },
+  },
+
+  // Slash command names and descriptions shown in French Discord clients
+  commands: {
+    invite: {
+      name: 'invitations',
+      description: "Voir votre nombre d'invitations",
+    },
+    checkinvites: {
+      name: 'voir-invitations',
+      description: "Voir le nombre d'invitations d'un membre",
+      options: {
+        user: { name: 'membre', description: "Le membre à vérifier (choisissez-le, ou collez l'identifiant d'une personne partie)" },
+      },
+    },
+    resetinvites: {
+      name: 'reinitialiser-invitations',
+      description: 'Réinitialiser toutes les invitations (admin uniquement)',
+    },
+    invites: {
+      description: "Corriger le nombre d'invitations d'un membre (admin uniquement)",
+      options: {
+        add: {
+          name: 'ajouter',
+          description: 'Donner des invitations bonus à un membre',
+          options: {
+            user: { name: 'membre', description: 'Le membre à corriger' },
+            amount: { name: 'nombre', description: "Nombre d'invitations à ajouter" },
+            reason: { name: 'raison', description: 'Pourquoi les invitations sont ajoutées' },
+          },
+        },
+        remove: {
+          name: 'retirer',
+          description: 'Retirer des invitations à un membre',
+          options: {
+            user: { name: 'membre', description: 'Le membre à corriger' },
+            amount: { name: 'nombre', description: "Nombre d'invitations à retirer" },
+            reason: { name: 'raison', description: 'Pourquoi les invitations sont retirées' },
+          },
+        },
+        set: {
+          name: 'definir',
+          description: "Définir le nombre total d'invitations d'un membre",
+          options: {
+            user: { name: 'membre', description: 'Le membre à corriger' },
+            amount: { name: 'nombre', description: "Le nouveau total d'invitations" },
+            reason: { name: 'raison', description: 'Pourquoi le total est modifié' },
+          },
+        },
+        transfer: {
+          name: 'transferer',
+          description: "Déplacer des invitations d'un membre à un autre",
+          options: {
+            user: { name: 'membre', description: 'Le membre à qui prendre les invitations' },
+            to: { name: 'destinataire', description: 'Le membre à qui donner les invitations' },
+            amount: { name: 'nombre', description: "Nombre d'invitations à déplacer" },
+            reason: { name: 'raison', description: 'Pourquoi les invitations sont déplacées' },
+          },
+        },
+        history: {
+          name: 'historique',
+          description: 'Voir les corrections manuelles faites pour un membre',
+          options: {
+            user: { name: 'membre', description: 'Le membre à consulter' },
+          },
+        },
+      },
+    },
+    rewards: {
+      description: "Gérer les rôles attribués aux paliers d'invitations (admin uniquement)",
+      options: {
+        add: {
+          name: 'ajouter',
+          description: "Donner un rôle quand un membre atteint un nombre d'invitations",
+          options: {
+            invites: { name: 'invitations', description: 'Invitations nécessaires pour obtenir le rôle' },
+            role: { name: 'role', description: 'Le rôle à donner' },
+          },
+        },
+        remove: {
+          name: 'retirer',
+          description: "Ne plus donner un rôle comme récompense d'invitations",
+          options: {
+            role: { name: 'role', description: 'Le rôle de récompense à retirer' },
+          },
+        },
+        list: {
+          name: 'liste',
+          description: "Lister les récompenses d'invitations configurées",
+        },
+        mode: {
+          name: 'mode',
+          description: 'Choisir si les membres gardent toutes les récompenses ou seulement la meilleure',
+          options: {
+            mode: {
+              name: 'mode',
+              description: 'Comment les récompenses sont attribuées',
+              choices: {
+                stack: 'Cumuler toutes les récompenses obtenues',
+                highest: 'Ne garder que la meilleure récompense',
+              },
+            },
+          },
+        },
+        sync: {
+          name: 'synchroniser',
+          description: "Réappliquer les récompenses d'invitations à tous les membres du serveur",
+        },
+      },
+    },
+    config: {
+      description: 'Voir ou modifier la configuration du bot sur ce serveur (admin uniquement)',
+      options: {
+        view: {
+          name: 'voir',
+          description: 'Afficher la configuration actuelle',
+        },
+        set: {
+          name: 'definir',
+          description: 'Modifier un paramètre',
+          options: {
+            bump_channel: {
+              name: 'salon_bump',
+              description: 'Salon où les bumps Disboard sont suivis et les rappels envoyés',
+              options: { channel: { name: 'salon', description: 'Le salon des bumps' } },
+            },
+            bump_role: {
+              name: 'role_bump',
+              description: 'Rôle mentionné quand le serveur peut de nouveau être bumpé',
+              options: { role: { name: 'role', description: 'Le rôle de rappel des bumps' } },
+            },
+            log_channel: {
+              name: 'salon_logs',
+              description: 'Salon des arrivées et des départs',
+              options: { channel: { name: 'salon', description: 'Le salon des arrivées et des départs' } },
+            },
+            fake_account_age: {
+              name: 'age_faux_comptes',
+              description: 'Compter comme fausses les invitations de comptes plus récents que cela',
+              options: { value: { name: 'valeur', description: 'Âge minimum du compte en jours (0 désactive la vérification)' } },
+            },
+            reply_delete_delay: {
+              name: 'delai_suppression',
+              description: 'Supprimer les réponses des statistiques après ce nombre de secondes',
+              options: { value: { name: 'valeur', description: 'Délai en secondes (0 garde les réponses)' } },
+            },
+            public_stats: {
+              name: 'stats_publiques',
+              description: 'Montrer à tous les réponses de /invite, /checkinvites et /leaderboard',
+              options: { value: { name: 'valeur', description: 'True pour des réponses publiques, false pour des réponses privées' } },
+            },
+            language: {
+              name: 'langue',
+              description: "Langue des réponses pour les membres dont la langue de Discord n'est pas traduite",
+              options: { value: { name: 'valeur', description: 'La langue par défaut' } },
+            },
+            review_channel: {
+              name: 'salon_verification',
+              description: 'Salon des modérateurs pour la vérification des arrivées (active les vérifications)',
+              options: { channel: { name: 'salon', description: 'Le salon de vérification' } },
+            },
+            review_threshold: {
+              name: 'seuil_verification',
+              description: 'Nombre de signaux suspects qui mettent une arrivée en vérification',
+              options: { value: { name: 'valeur', description: 'Signaux nécessaires (1 met en attente toute arrivée suspecte)' } },
+            },
+            review_account_age: {
+              name: 'age_compte_verification',
+              description: 'Signaler les comptes plus récents que cela',
+              options: { value: { name: 'valeur', description: 'Âge du compte en jours (0 désactive ce signal)' } },
+            },
+            review_default_avatar: {
+              name: 'avatar_par_defaut',
+              description: "Signaler les comptes qui ont encore l'avatar par défaut",
+              options: { value: { name: 'valeur', description: 'True pour les signaler' } },
+            },
+            review_rejoins: {
+              name: 'verifier_retours',
+              description: 'Envoyer les retours en vérification au lieu de les compter comme faux',
+              options: { value: { name: 'valeur', description: 'True pour vérifier les retours' } },
+            },
+            review_burst_joins: {
+              name: 'rafale_arrivees',
+              description: 'Signaler les arrivées dès que ce nombre a utilisé un même code dans la fenêtre',
+              options: { value: { name: 'valeur', description: "Nombre d'arrivées (0 désactive ce signal)" } },
+            },
+            review_burst_minutes: {
+              name: 'rafale_minutes',
+              description: 'Durée de la fenêtre des arrivées via un même code',
+              options: { value: { name: 'valeur', description: 'Fenêtre en minutes' } },
+            },
+            review_quick_leave_hours: {
+              name: 'depart_rapide_heures',
+              description: "Envoyer en vérification les invités qui partent dans ce nombre d'heures",
+              options: { value: { name: 'valeur', description: "Heures après l'arrivée (0 désactive ce signal)" } },
+            },
+          },
+        },
+        reset: {
+          name: 'reinitialiser',
+          description: "Rétablir la valeur par défaut d'un paramètre",
+          options: {
+            key: { name: 'parametre', description: 'Le paramètre à rétablir', choices: CONFIG_LABELS },
+          },
+        },
+      },
+    },
+    logs: {
+      description: 'Configurer le salon des arrivées et des départs (admin uniquement)',
+      options: {
+        channel: {
+          name: 'salon',
+          description: 'Publier les arrivées et les départs dans un salon',
+          options: { channel: { name: 'salon', description: 'Le salon où publier' } },
+        },
+        disable: {
+          name: 'desactiver',
+          description: 'Ne plus publier les arrivées et les départs',
+        },
+        message: {
+          name: 'message',
+          description: "Personnaliser le message d'arrivée ou de départ (laissez le modèle vide pour rétablir le défaut)",
+          options: {
+            type: {
+              name: 'type',
+              description: 'Le message à modifier',
+              choices: { join: 'Arrivée', leave: 'Départ' },
+            },
+            template: { name: 'modele', description: 'Variables : {member} {member.tag} {inviter} {code} {count} {server}' },
+          },
+        },
+        view: {
+          name: 'voir',
+          description: 'Afficher les paramètres actuels',
+        },
+      },
+    },
+    apikey: {
+      description: "Gérer les clés de l'API des statistiques d'invitations (admin uniquement)",
+      options: {
+        create: {
+          name: 'creer',
+          description: "Créer une nouvelle clé d'API pour ce serveur",
+          options: { name: { name: 'nom', description: 'À quoi sert la clé, par exemple « site web »' } },
+        },
+        list: {
+          name: 'liste',
+          description: "Lister les clés d'API de ce serveur",
+        },
+        revoke: {
+          name: 'revoquer',
+          description: "Révoquer une clé d'API",
+          options: { id: { name: 'id', description: "L'identifiant de la clé affiché par /apikey liste" } },
+        },
+      },
+    },
+    leaderboard: {
+      name: 'classement',
+      description: 'Afficher le classement des invitations du serveur',
+      options: {
+        sort: {
+          name: 'tri',
+          description: 'Comment classer les membres (par défaut : invitations moins les départs et les fausses)',
+          choices: LEADERBOARD_SORTS,
+        },
+      },
+    },
+    competition: {
+      description: "Organiser un concours d'invitations sur une période (admin uniquement)",
+      options: {
+        start: {
+          name: 'lancer',
+          description: "Commencer à compter les invitations d'un nouveau concours",
+          options: {
+            name: { name: 'nom', description: "Nom du concours, par exemple « Concours d'octobre »" },
+            ends_in_days: { name: 'duree_jours', description: 'Terminer automatiquement après ce nombre de jours (par défaut : avec /competition terminer)' },
+            channel: { name: 'salon', description: 'Salon où annoncer les résultats (par défaut : ce salon)' },
+          },
+        },
+        end: {
+          name: 'terminer',
+          description: 'Terminer le concours en cours et annoncer les gagnants',
+        },
+        status: {
+          name: 'statut',
+          description: 'Afficher le classement du concours en cours',
+        },
+        history: {
+          name: 'historique',
+          description: 'Afficher les gagnants des concours passés',
+        },
+      },
+    },
+    inviter: {
+      description: 'Voir qui a invité un membre',
+      options: {
+        user: { name: 'membre', description: 'Le membre à consulter' },
+      },
+    },
+    invitees: {
+      description: "Lister les membres invités par quelqu'un",
+      options: {
+        user: { name: 'membre', description: "L'inviteur à consulter" },
+      },
+    },
+    invitecodes: {
+      description: "Statistiques par code d'invitation (admin uniquement)",
+      options: {
+        list: {
+          name: 'liste',
+          description: "Lister les codes d'invitation avec leurs utilisations et leur rétention",
+        },
+        label: {
+          name: 'etiquette',
+          description: "Donner une étiquette à un code d'invitation (laissez l'étiquette vide pour la retirer)",
+          options: {
+            code: { name: 'code', description: "Le code d'invitation, par exemple abc123" },
+            label: { name: 'etiquette', description: 'Une étiquette comme « partenaire : XYZ » ou « twitter »' },
+          },
+        },
+      },
+    },
+    invitedata: {
+      description: "Exporter ou importer les données d'invitations (admin uniquement)",
+      options: {
+        export: {
+          name: 'exporter',
+          description: 'Télécharger les totaux des membres, les liens inviteur-invité et les arrivées',
+          options: {
+            format: {
+              name: 'format',
+              description: 'Format du fichier (par défaut : csv)',
+              choices: { csv: 'CSV (un fichier par section)', json: 'JSON (un seul fichier)' },
+            },
+          },
+        },
+        import: {
+          name: 'importer',
+          description: 'Importer des données depuis un export CSV ou JSON',
+          options: {
+            file: { name: 'fichier', description: "Un fichier .csv ou .json au format de l'export /invitedata" },
+            mode: { name: 'mode', description: 'Comment combiner le fichier avec les données actuelles (par défaut : fusionner)', choices: IMPORT_MODES },
+          },
+        },
+      },
+    },
+    backfill: {
+      description: 'Estimer qui a invité les membres arrivés avant le bot (admin uniquement)',
+      options: {
+        start: {
+          name: 'lancer',
+          description: "Reconstituer l'historique des inviteurs à partir des logs et des invitations actuelles",
+        },
+        status: {
+          name: 'statut',
+          description: "Afficher l'avancement ou le résultat de la reconstitution",
+        },
+      },
+    },
+    bumpleaderboard: { description: 'Voir qui a le plus bump le serveur sur Disboard' },
+    webhook: {
+      description: "Envoyer les événements d'invitation à vos services (admin uniquement)",
+      options: {
+        add: {
+          name: 'ajouter',
+          description: "Envoyer les événements d'invitation à une URL",
+          options: {
+            url: { name: 'url', description: 'Une URL https publique' },
+            events: { name: 'evenements', description: 'Événements séparés par des virgules, par ex. member.joined,invites.reset (par défaut : tous)' },
+          },
+        },
+        list: {
+          name: 'liste',
+          description: 'Lister les webhooks de ce serveur',
+        },
+        remove: {
+          name: 'retirer',
+          description: "Ne plus envoyer d'événements à un webhook",
+          options: { id: { name: 'id', description: "L'identifiant du webhook affiché par /webhook liste" } },
+        },
+        test: {
+          name: 'tester',
+          description: 'Envoyer un événement de test signé à un webhook',
+          options: { id: { name: 'id', description: "L'identifiant du webhook affiché par /webhook liste" } },
+        },
+        deliveries: {
+          name: 'envois',
+          description: 'Afficher les derniers envois à un webhook',
+          options: { id: { name: 'id', description: "L'identifiant du webhook affiché par /webhook liste" } },
+        },
+      },
+    },
+    'View invites': { name: 'Voir les invitations' },
+  },
+};
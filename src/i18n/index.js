@@ -0,0 +1,117 @@
+import en from './en.js';
+import fr from './fr.js';
+
+// Message catalogs. English is the fallback for missing keys and the base
+// language of slash command names and descriptions, which stay in the builders.
+const CATALOGS = { en, fr };
+
+export const DEFAULT_LOCALE = 'en';
+
+// Languages guilds can pick with /config set language
+export const LOCALE_NAMES = {
+  en: 'English',
+  fr: 'Français',
+};
+
+// Discord locale codes each catalog is registered under for command localizations
+const DISCORD_LOCALES = {
+  en: ['en-US', 'en-GB'],
+  fr: ['fr'],
+};
+
+// The supported catalog for a Discord or BCP 47 locale such as 'fr' or 'en-US'
+export function supportedLocale(locale) {
+  if (!locale) return null;
+  const language = locale.toLowerCase().split('-')[0];
+  return CATALOGS[language] ? language : null;
+}
+
+// The invoking user's client language wins, then the guild's configured
+// language, then the guild's Discord community locale
+export function resolveLocale(interaction, config) {
+  return supportedLocale(interaction.locale)
+    || supportedLocale(config.language)
+    || supportedLocale(interaction.guildLocale)
+    || DEFAULT_LOCALE;
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => node?.[part], catalog);
+}
+
+// Plural messages are objects keyed by Intl.PluralRules categories
+// ({ one, other, ... }) and are selected by the `count` value
+function selectPlural(locale, message, count) {
+  if (typeof message === 'string') return message;
+  const category = new Intl.PluralRules(locale).select(count ?? 0);
+  return message[category] ?? message.other;
+}
+
+// Translate a key, filling in {placeholders} from values. Falls back to
+// English, then to the key itself so a missing string is easy to spot.
+export function t(locale, key, values = {}) {
+  let message = lookup(CATALOGS[locale], key);
+  let messageLocale = locale;
+  if (message === undefined) {
+    message = lookup(CATALOGS[DEFAULT_LOCALE], key);
+    messageLocale = DEFAULT_LOCALE;
+  }
+  if (message === undefined) return key;
+
+  return selectPlural(messageLocale, message, values.count)
+    .replace(/\{(\w+)\}/g, (placeholder, name) => (values[name] !== undefined ? `${values[name]}` : placeholder));
+}
+
+// A t() bound to one locale, as passed to command handlers
+export function translator(locale) {
+  const translate = (key, values) => t(locale, key, values);
+  translate.locale = locale;
+  return translate;
+}
+
+// A t() for messages the bot posts on its own (announcements, reminders,
+// review reasons): the guild's configured language, then its community locale
+export function guildTranslator(config, guild) {
+  return translator(supportedLocale(config.language) || supportedLocale(guild?.preferredLocale) || DEFAULT_LOCALE);
+}
+
+function localizationMap(entries, field) {
+  const map = {};
+  for (const [locale, entry] of entries) {
+    if (typeof entry?.[field] !== 'string') continue;
+    for (const discordLocale of DISCORD_LOCALES[locale]) map[discordLocale] = entry[field];
+  }
+  return Object.keys(map).length > 0 ? map : null;
+}
+
+// entries are [locale, catalog entry] pairs for one command, subcommand or
+// option; shared holds the options catalog of each locale
+function localizeNode(node, entries, shared) {
+  const names = localizationMap(entries, 'name');
+  const descriptions = localizationMap(entries, 'description');
+  if (names) node.setNameLocalizations(names);
+  if (descriptions) node.setDescriptionLocalizations(descriptions);
+
+  for (const choice of node.choices ?? []) {
+    const choiceNames = localizationMap(entries.map(([locale, entry]) => [locale, { name: entry?.choices?.[choice.value] }]), 'name');
+    if (choiceNames) choice.name_localizations = choiceNames;
+  }
+
+  for (const option of node.options ?? []) {
+    // Options used by several commands (such as the period options) can be translated once
+    localizeNode(option, entries.map(([locale, entry]) => [
+      locale,
+      entry?.options?.[option.name] ?? shared[locale]?.[option.name],
+    ]), shared);
+  }
+}
+
+// Add the name and description localizations of every catalog to a slash
+// command builder, from the catalog's commands.<name> entry and its shared options
+export function localizeCommand(builder) {
+  const locales = Object.keys(CATALOGS).filter(locale => locale !== DEFAULT_LOCALE);
+  const entries = locales.map(locale => [locale, CATALOGS[locale].commands?.[builder.name]]);
+  const shared = Object.fromEntries(locales.map(locale => [locale, CATALOGS[locale].options]));
+  localizeNode(builder, entries, shared);
+  return builder;
+}
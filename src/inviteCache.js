@@ -0,0 +1,94 @@
+import { setTimeout as sleep } from 'node:timers/promises';
+import { snapshotInvite, fetchVanityUses } from './attribution.js';
+
+// Guilds whose invites are fetched at the same time on startup
+const PREFETCH_CONCURRENCY = Number(process.env.INVITE_PREFETCH_CONCURRENCY || 5);
+
+// Take a fresh snapshot of a guild's invites (and vanity URL uses)
+export async function cacheGuildInvites(guild, storage) {
+  const invites = await guild.invites.fetch();
+  storage.setInviteCache(guild.id, new Map(invites.map(invite => [invite.code, snapshotInvite(invite)])));
+
+  const vanityUses = await fetchVanityUses(guild);
+  if (vanityUses !== null) storage.setVanityUses(guild.id, vanityUses);
+
+  return invites.size;
+}
+
+export function cacheCreatedInvite(invite, storage) {
+  const cache = storage.getInviteCache(invite.guild.id);
+  cache.set(invite.code, snapshotInvite(invite));
+  storage.setInviteCache(invite.guild.id, cache);
+}
+
+// Deleted invites are only marked, not dropped: Discord deletes an invite when
+// it reaches its max uses, possibly before the matching join is processed, and
+// attribution still needs the cached entry to infer it.
+export function markCachedInviteDeleted(invite, storage) {
+  const cache = storage.getInviteCache(invite.guild.id);
+  const entry = cache.get(invite.code);
+  if (!entry) return;
+
+  cache.set(invite.code, { ...entry, deletedAt: Date.now() });
+  storage.setInviteCache(invite.guild.id, cache);
+}
+
+// Compare the cached snapshot with Discord and replace it. Returns the drift
+// found: invites the cache did not know about, invites that disappeared
+// without an event, and invites whose uses changed without a tracked join.
+export async function reconcileInviteCache(guild, storage) {
+  const cached = storage.getInviteCache(guild.id);
+  const invites = await guild.invites.fetch();
+  const drift = { added: [], removed: [], uses: [] };
+
+  for (const invite of invites.values()) {
+    const entry = cached.get(invite.code);
+    if (!entry || entry.deletedAt) {
+      drift.added.push(invite.code);
+    } else if (entry.uses !== (invite.uses || 0)) {
+      drift.uses.push({ code: invite.code, cached: entry.uses, actual: invite.uses || 0 });
+    }
+  }
+  for (const [code, entry] of cached) {
+    if (!invites.has(code) && !entry.deletedAt) drift.removed.push(code);
+  }
+
+  storage.setInviteCache(guild.id, new Map(invites.map(invite => [invite.code, snapshotInvite(invite)])));
+
+  const vanityUses = await fetchVanityUses(guild);
+  if (vanityUses !== null) storage.setVanityUses(guild.id, vanityUses);
+
+  return drift;
+}
+
+// Run task(guild) for every guild, a few at a time, to take the startup
+// snapshot of invites. discord.js already waits out rate limits, but a hit
+// limit would pile every queued fetch up behind it; so while Discord reports
+// a global or invite route limit, no new fetch is started. task must handle
+// its own errors. Aborting signal stops before the next guild.
+export async function prefetchInviteCaches(guilds, task, { rest, signal, concurrency = PREFETCH_CONCURRENCY } = {}) {
+  const queue = [...guilds];
+  let resumeAt = 0;
+
+  const onRateLimited = ({ global, route, retryAfter }) => {
+    if (global || route?.endsWith('/invites')) resumeAt = Math.max(resumeAt, Date.now() + retryAfter);
+  };
+  rest?.on('rateLimited', onRateLimited);
+
+  async function worker() {
+    while (queue.length > 0 && !signal?.aborted) {
+      const delay = resumeAt - Date.now();
+      if (delay > 0) {
+        await sleep(delay, undefined, { signal }).catch(() => {});
+        continue;
+      }
+      await task(queue.shift());
+    }
+  }
+
+  try {
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), queue.length) }, worker));
+  } finally {
+    rest?.off('rateLimited', onRateLimited);
+  }
+}
@@ -0,0 +1,53 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+// Retention is measured this many days after each join
+export const RETENTION_DAYS = [1, 7, 30];
+
+// Of the joins old enough to be measured, how many were still members N days later
+function retentionFor(events, days, now) {
+  const window = days * DAY;
+  const eligible = events.filter(event => now - event.joinedAt >= window);
+  const retained = eligible.filter(event => event.leftAt === null || event.leftAt - event.joinedAt >= window);
+  return { eligible: eligible.length, retained: retained.length };
+}
+
+// Per-code analytics combining the cached invite metadata, labels and join events.
+// Codes only known from past joins are included with active set to false.
+export function getInviteCodeStats(storage, guildId, now = Date.now()) {
+  const labels = storage.getInviteLabels(guildId);
+  const eventsByCode = new Map();
+  for (const event of storage.getJoinEvents(guildId)) {
+    if (!event.code || event.source === 'vanity') continue;
+    if (!eventsByCode.has(event.code)) eventsByCode.set(event.code, []);
+    eventsByCode.get(event.code).push(event);
+  }
+
+  const cache = storage.getInviteCache(guildId);
+  const codes = new Set([...cache.keys(), ...eventsByCode.keys()]);
+
+  return [...codes].map(code => {
+    const invite = cache.get(code);
+    const events = eventsByCode.get(code) || [];
+    const retention = {};
+    for (const days of RETENTION_DAYS) {
+      retention[`${days}d`] = retentionFor(events, days, now);
+    }
+
+    return {
+      code,
+      label: labels.get(code) || null,
+      inviterId: invite?.inviterId || events.find(event => event.inviterId)?.inviterId || null,
+      channelId: invite?.channelId || null,
+      uses: invite ? invite.uses : null,
+      maxUses: invite ? invite.maxUses : null,
+      expiresAt: invite?.expiresAt || null,
+      active: Boolean(invite && !invite.deletedAt),
+      joins: events.length,
+      members: events.filter(event => event.leftAt === null).length,
+      left: events.filter(event => event.leftAt !== null).length,
+      fake: events.filter(event => event.fake).length,
+      lastJoinAt: events.reduce((latest, event) => Math.max(latest, event.joinedAt), 0) || null,
+      retention,
+    };
+  }).sort((a, b) => (b.uses ?? b.joins) - (a.uses ?? a.joins) || a.code.localeCompare(b.code));
+}
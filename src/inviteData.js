@@ -0,0 +1,349 @@
+// Export and import of a guild's invite data, for offline analysis and for
+// migrating from other invite trackers. A dump has three sections:
+//   members: invite counts per member
+//   joins:   who invited each member (the inviter -> invitee mapping)
+//   events:  one entry per join, with when the member left
+// JSON files hold every section; CSV files hold one section each, recognized
+// by their header row.
+
+// Labelled by invitedata.modes in the message catalogs
+export const IMPORT_MODES = ['merge', 'replace'];
+
+export const MAX_IMPORT_SIZE = 8 * 1024 * 1024; // 8 MB
+
+const FORMAT_VERSION = 1;
+const SOURCES = ['invite', 'inferred', 'vanity', 'unknown'];
+
+// Columns of each section: CSV header name, JSON field name and value type
+const SECTIONS = {
+  members: [
+    { column: 'user_id', field: 'userId', type: 'id', required: true },
+    { column: 'regular', field: 'regular', type: 'count' },
+    { column: 'left', field: 'left', type: 'count' },
+    { column: 'fake', field: 'fake', type: 'count' },
+    { column: 'bonus', field: 'bonus', type: 'integer' },
+  ],
+  joins: [
+    { column: 'member_id', field: 'memberId', type: 'id', required: true },
+    { column: 'inviter_id', field: 'inviterId', type: 'id' },
+    { column: 'code', field: 'code', type: 'code' },
+    { column: 'source', field: 'source', type: 'source' },
+    { column: 'joined_at', field: 'joinedAt', type: 'date' },
+    { column: 'fake', field: 'fake', type: 'boolean' },
+    { column: 'left', field: 'left', type: 'boolean' },
+    { column: 'estimated', field: 'estimated', type: 'boolean' },
+  ],
+  events: [
+    { column: 'member_id', field: 'memberId', type: 'id', required: true },
+    { column: 'inviter_id', field: 'inviterId', type: 'id' },
+    { column: 'code', field: 'code', type: 'code' },
+    { column: 'source', field: 'source', type: 'source' },
+    { column: 'joined_at', field: 'joinedAt', type: 'date', required: true },
+    { column: 'left_at', field: 'leftAt', type: 'date' },
+    { column: 'fake', field: 'fake', type: 'boolean' },
+    { column: 'rejoin', field: 'rejoin', type: 'boolean' },
+  ],
+};
+
+// Thrown when a file cannot be read at all; row problems are reported
+// separately. key and values name the invitedata.errors message.
+export class ImportError extends Error {
+  constructor(message, key, values = {}) {
+    super(message);
+    this.key = key;
+    this.values = values;
+  }
+}
+
+function toIso(time) {
+  return time ? new Date(time).toISOString() : null;
+}
+
+// Everything stored for a guild, as plain rows keyed by JSON field name
+export function buildExport(storage, guildId) {
+  return {
+    members: storage.getGuildInviteStats(guildId)
+      .map(({ userId, regular, left, fake, bonus }) => ({ userId, regular, left, fake, bonus })),
+    joins: storage.getGuildJoins(guildId)
+      .map(({ memberId, inviterId, code, source, joinedAt, fake, left, estimated = false }) => ({
+        memberId, inviterId, code, source, joinedAt: toIso(joinedAt), fake, left, estimated,
+      })),
+    events: storage.getJoinEvents(guildId)
+      .sort((a, b) => a.joinedAt - b.joinedAt)
+      .map(({ memberId, inviterId, code, source, joinedAt, leftAt, fake, rejoin }) => ({
+        memberId, inviterId, code, source, joinedAt: toIso(joinedAt), leftAt: toIso(leftAt), fake, rejoin,
+      })),
+  };
+}
+
+export function exportToJson(guildId, data) {
+  return JSON.stringify({ version: FORMAT_VERSION, guildId, exportedAt: new Date().toISOString(), ...data }, null, 2);
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV document per section: { members: '...', joins: '...', events: '...' }
+export function exportToCsv(data) {
+  const files = {};
+  for (const [section, columns] of Object.entries(SECTIONS)) {
+    const lines = [columns.map(({ column }) => column).join(',')];
+    for (const row of data[section]) {
+      lines.push(columns.map(({ field }) => csvCell(row[field])).join(','));
+    }
+    files[section] = `${lines.join('\r\n')}\r\n`;
+  }
+  return files;
+}
+
+// RFC 4180 parser returning an array of rows (arrays of strings)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new ImportError('The CSV file has an unterminated quoted value.', 'unterminatedQuote');
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Validate one value. Returns { value } or { error, values } naming an
+// invitedata.rowErrors message.
+function parseValue(type, raw) {
+  const empty = raw === undefined || raw === null || raw === '';
+  switch (type) {
+    case 'id':
+      if (empty) return { value: null };
+      return /^\d{17,20}$/.test(String(raw)) ? { value: String(raw) } : { error: 'invalidId' };
+    case 'count':
+    case 'integer': {
+      if (empty) return { value: 0 };
+      const number = Number(raw);
+      if (!Number.isInteger(number)) return { error: 'notInteger' };
+      if (type === 'count' && number < 0) return { error: 'negative' };
+      return { value: number };
+    }
+    case 'code':
+      if (empty) return { value: null };
+      return /^[\w-]{1,100}$/.test(String(raw)) ? { value: String(raw) } : { error: 'invalidCode' };
+    case 'source':
+      if (empty) return { value: null };
+      return SOURCES.includes(raw) ? { value: raw } : { error: 'invalidSource', values: { sources: SOURCES.join(', ') } };
+    case 'date': {
+      if (empty) return { value: null };
+      const time = typeof raw === 'number' || /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+      return Number.isNaN(time) ? { error: 'invalidDate' } : { value: time };
+    }
+    case 'boolean':
+      if (empty) return { value: false };
+      if (typeof raw === 'boolean') return { value: raw };
+      if (/^(true|yes|1)$/i.test(raw)) return { value: true };
+      if (/^(false|no|0)$/i.test(raw)) return { value: false };
+      return { error: 'invalidBoolean' };
+    default:
+      return { value: raw };
+  }
+}
+
+// Validate the rows of a section. read(row, column) returns the raw value of a
+// column; where(index) names the row as { key, values } of an invitedata.rows
+// message. Each problem of a row is { key, values } of an invitedata.rowErrors message.
+function validateSection(section, rows, read, where) {
+  const valid = [];
+  const errors = [];
+  const seen = new Set();
+  const key = section === 'members' ? 'userId' : 'memberId';
+
+  rows.forEach((row, index) => {
+    const entry = {};
+    const problems = [];
+    for (const { column, field, type, required } of SECTIONS[section]) {
+      const raw = read(row, { column, field });
+      if (required && (raw === undefined || raw === null || raw === '')) {
+        problems.push({ key: 'required', values: { column } });
+        continue;
+      }
+      const { value, error, values } = parseValue(type, raw);
+      if (error) problems.push({ key: error, values: { ...values, column } });
+      entry[field] = value;
+    }
+
+    if (problems.length === 0 && section !== 'events') {
+      if (seen.has(entry[key])) problems.push({ key: 'duplicate', values: { column: SECTIONS[section][0].column, value: entry[key] } });
+      seen.add(entry[key]);
+    }
+    if (problems.length === 0 && section === 'events' && entry.leftAt !== null && entry.leftAt < entry.joinedAt) {
+      problems.push({ key: 'leftBeforeJoined' });
+    }
+
+    if (problems.length > 0) {
+      errors.push({ row: where(index), problems });
+    } else {
+      valid.push(entry);
+    }
+  });
+
+  return { rows: valid, errors };
+}
+
+// The section a CSV header belongs to, from its identifying columns
+function sectionForHeader(header) {
+  if (header.includes('user_id')) return 'members';
+  if (header.includes('left_at') || header.includes('rejoin')) return 'events';
+  if (header.includes('member_id')) return 'joins';
+  return null;
+}
+
+function parseCsvImport(text) {
+  const [header, ...rows] = parseCsv(text).filter(row => row.some(cell => cell.trim() !== ''));
+  if (!header) throw new ImportError('The CSV file is empty.', 'emptyCsv');
+
+  const columns = header.map(column => column.trim().toLowerCase());
+  const section = sectionForHeader(columns);
+  if (!section) {
+    throw new ImportError('Unrecognized CSV header. Expected the header of a members, joins or events export (a `user_id` or `member_id` column).', 'unknownHeader');
+  }
+
+  const known = SECTIONS[section].map(({ column }) => column);
+  const unknown = columns.filter(column => !known.includes(column));
+  if (unknown.length > 0) {
+    throw new ImportError(`Unknown ${section} columns: ${unknown.join(', ')}. Expected: ${known.join(', ')}.`, 'unknownColumns', {
+      section,
+      count: unknown.length,
+      columns: unknown.join(', '),
+      expected: known.join(', '),
+    });
+  }
+
+  // Rows are numbered from the first one after the header, skipping blank lines
+  const { rows: valid, errors } = validateSection(
+    section,
+    rows,
+    (row, { column }) => row[columns.indexOf(column)]?.trim(),
+    index => ({ key: 'csv', values: { number: index + 1 } })
+  );
+  return { data: { [section]: valid }, errors };
+}
+
+function parseJsonImport(text) {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    throw new ImportError(`The JSON file is not valid JSON: ${error.message}`, 'invalidJson', { error: error.message });
+  }
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new ImportError('The JSON file must contain an object with members, joins and/or events arrays.', 'notAnObject');
+  }
+
+  const data = {};
+  const errors = [];
+  for (const section of Object.keys(SECTIONS)) {
+    if (document[section] === undefined) continue;
+    if (!Array.isArray(document[section])) throw new ImportError(`\`${section}\` must be an array.`, 'notAnArray', { section });
+
+    const result = validateSection(
+      section,
+      document[section],
+      (row, { field }) => (row && typeof row === 'object' ? row[field] : undefined),
+      index => ({ key: 'json', values: { section, index } })
+    );
+    data[section] = result.rows;
+    errors.push(...result.errors);
+  }
+
+  if (Object.keys(data).length === 0) {
+    throw new ImportError('The JSON file has no members, joins or events to import.', 'nothingToImport');
+  }
+  return { data, errors };
+}
+
+// Parse and validate an uploaded file. Returns { data, errors } where errors
+// lists every invalid row as { row, problems } (see validateSection).
+export function parseImportFile(fileName, text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const isJson = /\.json$/i.test(fileName) || (!/\.csv$/i.test(fileName) && content.trimStart().startsWith('{'));
+  return isJson ? parseJsonImport(content) : parseCsvImport(content);
+}
+
+// Write validated data. In merge mode the counts of members in the file are
+// overwritten and everyone else's are kept, while join records and events
+// already known are skipped, so importing the same file twice changes nothing.
+// Replace mode first removes the guild's data for the sections in the file
+// (counts, join records and/or events); sections not in the file are kept.
+export function importInviteData(storage, guildId, data, mode) {
+  const summary = { members: 0, joins: 0, events: 0, skipped: 0 };
+  if (mode === 'replace') storage.clearInviteData(guildId, Object.keys(data));
+
+  for (const { userId, ...counts } of data.members || []) {
+    const current = storage.getInviteStats(guildId, userId);
+    storage.updateInviteStats(guildId, userId, {
+      regular: counts.regular - current.regular,
+      left: counts.left - current.left,
+      fake: counts.fake - current.fake,
+      bonus: counts.bonus - current.bonus,
+    });
+    summary.members++;
+  }
+
+  for (const { memberId, ...join } of data.joins || []) {
+    if (storage.getMemberJoin(guildId, memberId)) {
+      summary.skipped++;
+      continue;
+    }
+    storage.setMemberJoin(guildId, memberId, {
+      ...join,
+      source: join.source || (join.inviterId ? 'invite' : 'unknown'),
+    });
+    summary.joins++;
+  }
+
+  const knownEvents = new Set(storage.getJoinEvents(guildId).map(event => `${event.memberId}-${event.joinedAt}`));
+  for (const event of data.events || []) {
+    if (knownEvents.has(`${event.memberId}-${event.joinedAt}`)) {
+      summary.skipped++;
+      continue;
+    }
+    knownEvents.add(`${event.memberId}-${event.joinedAt}`);
+    storage.addJoinEvent(guildId, {
+      ...event,
+      source: event.source || (event.inviterId ? 'invite' : 'unknown'),
+    });
+    summary.events++;
+  }
+
+  return summary;
+}
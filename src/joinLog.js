@@ -0,0 +1,123 @@
+import { EmbedBuilder } from 'discord.js';
+import { getGuildConfig } from './config.js';
+import { guildTranslator } from './i18n/index.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'joinLog' });
+
+export const TEMPLATE_PLACEHOLDERS = ['{member}', '{member.tag}', '{inviter}', '{code}', '{count}', '{server}'];
+
+// Replace {placeholders} in a message template. Unknown placeholders are left as-is.
+export function renderTemplate(template, values) {
+  return template.replace(/\{([\w.]+)\}/g, (match, name) => (
+    values[name] !== undefined && values[name] !== null ? String(values[name]) : match
+  ));
+}
+
+function templateValues(t, member, details) {
+  return {
+    member: `<@${member.id}>`,
+    'member.tag': member.user.tag,
+    inviter: details.inviterId ? `<@${details.inviterId}>` : t('joinLog.unknownInviter'),
+    code: details.code || t('joinLog.unknownCode'),
+    count: details.total ?? t('joinLog.notAvailable'),
+    server: member.guild.name,
+  };
+}
+
+// Explain where a join came from when it was not a plain tracked invite
+function sourceText(t, member, details) {
+  if (details.source === 'vanity') {
+    return t('joinLog.sources.vanity', { code: details.code });
+  }
+  if (details.source === 'inferred' && details.inviterId) {
+    return t('joinLog.sources.inferred', { code: details.code });
+  }
+  if (details.code && !details.inviterId) {
+    return t('joinLog.sources.noCreator', { code: details.code });
+  }
+  if (member.guild.vanityURLCode) {
+    return t('joinLog.sources.unknownWithVanity', { code: member.guild.vanityURLCode });
+  }
+  return t('joinLog.sources.unknown');
+}
+
+async function fetchLogChannel(guild, { logChannelId }) {
+  if (!logChannelId) return null;
+
+  const channel = await guild.channels.fetch(logChannelId).catch(() => null);
+  if (!channel || !channel.isTextBased()) {
+    log.warn('Log channel not found or not a text channel', { guildId: guild.id, channelId: logChannelId });
+    return null;
+  }
+  return channel;
+}
+
+// title and defaultTemplate are message keys; template is the guild's own message, if any
+function buildLogEmbed(t, member, details, { title, color, template, defaultTemplate }) {
+  const inviterText = details.inviterId ? `<@${details.inviterId}>` : t('joinLog.unknown');
+  const accountCreated = Math.floor(member.user.createdTimestamp / 1000);
+
+  const embed = new EmbedBuilder()
+    .setColor(color)
+    .setTitle(t(title))
+    .setDescription(renderTemplate(template || t(defaultTemplate), templateValues(t, member, details)))
+    .setThumbnail(member.user.displayAvatarURL({ dynamic: true }))
+    .addFields(
+      { name: t('joinLog.member'), value: `<@${member.id}> (${member.user.tag})`, inline: true },
+      { name: t('joinLog.invitedBy'), value: inviterText, inline: true },
+      { name: t('joinLog.inviteCode'), value: details.code ? `\`${details.code}\`` : t('joinLog.unknown'), inline: true },
+      { name: t('joinLog.inviterTotal'), value: details.total !== undefined && details.total !== null ? `${details.total}` : t('joinLog.notAvailable'), inline: true },
+      { name: t('joinLog.accountCreated'), value: `<t:${accountCreated}:R>`, inline: true },
+    )
+    .setFooter({ text: t('joinLog.footer', { id: member.id }) })
+    .setTimestamp();
+
+  if (details.pending) {
+    embed.addFields({ name: t('joinLog.countedAs'), value: t('joinLog.held'), inline: true });
+  } else if (details.fake) {
+    embed.addFields({ name: t('joinLog.countedAs'), value: t(details.rejoin ? 'joinLog.fakeRejoin' : 'joinLog.fakeYoung'), inline: true });
+  }
+  if (!details.inviterId || details.source !== 'invite') {
+    embed.addFields({ name: t('joinLog.inviteSource'), value: sourceText(t, member, details) });
+  }
+
+  return embed;
+}
+
+// Logs are posted in the guild's language
+async function sendLog(member, details, storage, options) {
+  try {
+    const config = getGuildConfig(storage, member.guild.id);
+    const channel = await fetchLogChannel(member.guild, config);
+    if (!channel) return;
+
+    await channel.send({
+      embeds: [buildLogEmbed(guildTranslator(config, member.guild), member, details, options)],
+      allowedMentions: { parse: [] }
+    });
+  } catch (error) {
+    log.error('Error posting join log', { guildId: member.guild.id, memberId: member.id, error });
+  }
+}
+
+// details: { inviterId, code, source, total, fake, rejoin }
+export async function sendJoinLog(member, details, storage) {
+  const { joinMessage } = storage.getLogSettings(member.guild.id);
+  await sendLog(member, details, storage, {
+    title: 'joinLog.joinedTitle',
+    color: 0x00ff99,
+    template: joinMessage,
+    defaultTemplate: 'joinLog.defaultJoin',
+  });
+}
+
+export async function sendLeaveLog(member, details, storage) {
+  const { leaveMessage } = storage.getLogSettings(member.guild.id);
+  await sendLog(member, details, storage, {
+    title: 'joinLog.leftTitle',
+    color: 0xff6b6b,
+    template: leaveMessage,
+    defaultTemplate: 'joinLog.defaultLeave',
+  });
+}
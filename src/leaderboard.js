@@ -0,0 +1,28 @@
+import { getGuildWindowStats } from './periods.js';
+
+// Sort modes offered by /leaderboard and the API, labelled by the
+// leaderboard.sorts catalog entries. Invites are regular joins plus bonus;
+// "total" is the headline count shown everywhere else.
+export const LEADERBOARD_SORTS = ['total', 'net', 'real'];
+
+function score(stats, sort) {
+  switch (sort) {
+    case 'net':
+      return stats.regular + stats.bonus - stats.left;
+    case 'real':
+      return stats.regular + stats.bonus - stats.fake;
+    default:
+      return stats.regular + stats.bonus - stats.left - stats.fake;
+  }
+}
+
+// Rank every inviter of a guild for the given sort mode, best first, either
+// all-time or within a { since, until } window of join events.
+// Returns [{ userId, score, stats }] with members scoring 0 or less left out.
+export function rankInviters(storage, guildId, sort, window = null) {
+  const entries = window ? getGuildWindowStats(storage, guildId, window) : storage.getGuildInviteStats(guildId);
+  return entries
+    .map(({ userId, ...stats }) => ({ userId, score: score(stats, sort), stats }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.userId.localeCompare(b.userId));
+}
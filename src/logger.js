@@ -0,0 +1,45 @@
+// Structured logging: one JSON object per line, such as
+//   {"time":"2024-05-01T12:00:00.000Z","level":"info","msg":"Member joined","guildId":"..."}
+// Warnings and errors go to stderr, the rest to stdout. LOG_LEVEL sets the
+// lowest level written (debug, info, warn, error or silent; default info).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Read on every write so tests and operators can change it at runtime
+function minimumLevel() {
+  return LEVELS[process.env.LOG_LEVEL?.toLowerCase()] ?? LEVELS.info;
+}
+
+// Errors keep their message and stack; pass error.message instead of the
+// error for expected failures whose stack is noise
+function serialize(value) {
+  if (value instanceof Error) return { message: value.message, stack: value.stack };
+  return value;
+}
+
+function write(level, context, msg, fields) {
+  if (LEVELS[level] < minimumLevel()) return;
+
+  const entry = { time: new Date().toISOString(), level, msg };
+  for (const [key, value] of Object.entries({ ...context, ...fields })) {
+    if (value !== undefined) entry[key] = serialize(value);
+  }
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+// A logger whose entries all carry the given context fields. child() adds
+// more, e.g. logger.child({ guildId }).child({ command: 'invite' }).
+export function createLogger(context = {}) {
+  return {
+    debug: (msg, fields) => write('debug', context, msg, fields),
+    info: (msg, fields) => write('info', context, msg, fields),
+    warn: (msg, fields) => write('warn', context, msg, fields),
+    error: (msg, fields) => write('error', context, msg, fields),
+    child: (fields) => createLogger({ ...context, ...fields }),
+  };
+}
+
+// Shards of the ShardingManager (see src/sharding.js) tag every entry with their ID
+export const logger = createLogger(process.env.SHARDING_MANAGER && process.env.SHARDS !== undefined ? { shardId: Number(process.env.SHARDS) } : {});
@@ -0,0 +1,193 @@
+import { getGuildConfig } from './config.js';
+import { guildTranslator } from './i18n/index.js';
+import { resolveJoinSource } from './attribution.js';
+import { reconcileRewardsFor } from './rewards.js';
+import {
+  isReviewEnabled,
+  scoreJoin,
+  createReview,
+  postReview,
+  refreshReviewMessage,
+  isQuickLeave
+} from './review.js';
+import { sendJoinLog, sendLeaveLog } from './joinLog.js';
+import { logger } from './logger.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Invite attribution for members joining and leaving. handleJoin must run in
+// the guild's join queue, so concurrent joins are diffed one after the other.
+// Both notify the guild's webhooks once the member is recorded.
+export function createMemberEvents(storage, { joinQueue, metrics, webhooks }) {
+  async function handleJoin(member) {
+    const guildId = member.guild.id;
+    const log = logger.child({ event: 'guildMemberAdd', guildId, memberId: member.id });
+    try {
+      let resolution;
+      try {
+        resolution = await resolveJoinSource(member.guild, storage.getInviteCache(guildId), storage.getVanityUses(guildId), {
+          morePending: joinQueue.pending(guildId) > 1
+        });
+        storage.setInviteCache(guildId, resolution.cache);
+        if (resolution.vanityUses !== null) storage.setVanityUses(guildId, resolution.vanityUses);
+      } catch (error) {
+        metrics.inviteFetchFailures.inc({ operation: 'join' });
+        log.warn('Could not fetch invites', { error: error.message });
+        resolution = { source: 'unknown', code: null, inviterId: null };
+      }
+      const { source, code, inviterId } = resolution;
+      metrics.joins.inc({ source });
+
+      // A returning member no longer counts as a leave for whoever first invited them
+      const previousJoin = storage.getMemberJoin(guildId, member.id);
+      if (previousJoin?.left) {
+        storage.setMemberJoin(guildId, member.id, { ...previousJoin, left: false });
+        storage.reopenFirstJoinEvent(guildId, member.id);
+        if (previousJoin.inviterId && !previousJoin.fake && !previousJoin.pending) {
+          storage.updateInviteStats(guildId, previousJoin.inviterId, { left: -1 });
+          await reconcileRewardsFor(member.guild, previousJoin.inviterId, storage);
+        }
+      }
+
+      // Rejoins are recorded as fake so the same member is never credited twice
+      const isRejoin = previousJoin !== null;
+      const accountAge = Date.now() - member.user.createdTimestamp;
+      const config = getGuildConfig(storage, guildId);
+      const youngAccount = accountAge < config.fakeAccountAgeDays * DAY;
+      let fake = Boolean(inviterId) && (isRejoin || youngAccount);
+
+      // Suspicious joins are held for moderator review instead of being credited.
+      // Rejoins are only reviewed when enabled; otherwise they stay fake.
+      let reasons = [];
+      if (inviterId && isReviewEnabled(config) && !youngAccount && (!isRejoin || config.reviewRejoins)) {
+        reasons = scoreJoin(storage, config, member, { code, rejoin: isRejoin });
+      }
+      const pending = reasons.length > 0 && reasons.length >= config.reviewThreshold;
+      if (pending) fake = false;
+
+      // Every first join is recorded, including ones whose source is unknown
+      const joinedAt = Date.now();
+      if (!isRejoin) {
+        storage.setMemberJoin(guildId, member.id, {
+          inviterId,
+          code,
+          source,
+          joinedAt,
+          fake,
+          pending,
+          left: false
+        });
+      }
+
+      // Every join, rejoins included, is also kept as a timestamped event for analytics
+      const event = storage.addJoinEvent(guildId, { memberId: member.id, inviterId, code, source, fake, rejoin: isRejoin, pending, joinedAt });
+
+      const joined = { memberId: member.id, memberTag: member.user.tag, inviterId, code, source, fake, rejoin: isRejoin };
+
+      if (pending) {
+        const review = createReview(storage, {
+          guildId,
+          kind: 'join',
+          memberId: member.id,
+          memberTag: member.user.tag,
+          inviterId,
+          code,
+          eventId: event.id,
+          reasons
+        });
+        // member.joined is only sent once the review is decided
+        log.info('Member joined, held for review', { inviterId, code, source, reviewId: review.id, reasons });
+        await postReview(member.guild, storage, review);
+        await sendJoinLog(member, { inviterId, code, source, total: storage.getInviteStats(guildId, inviterId).total, pending: true, rejoin: isRejoin }, storage);
+      } else if (inviterId) {
+        const stats = storage.updateInviteStats(guildId, inviterId, fake ? { regular: 1, fake: 1 } : { regular: 1 });
+
+        log.info('Member joined', { inviterId, code, source, rejoin: isRejoin, fake, inviterTotal: stats.total });
+        webhooks.emit(guildId, 'member.joined', { ...joined, inviterTotal: stats.total });
+        if (!fake) webhooks.emitMilestones(guildId, inviterId, stats.total - 1, stats.total);
+        await reconcileRewardsFor(member.guild, inviterId, storage);
+        await sendJoinLog(member, { inviterId, code, source, total: stats.total, fake, rejoin: isRejoin }, storage);
+      } else {
+        log.info('Member joined without a known inviter', { code, source });
+        webhooks.emit(guildId, 'member.joined', { ...joined, inviterTotal: null });
+        await sendJoinLog(member, { inviterId: null, code, source, total: null }, storage);
+      }
+    } catch (error) {
+      log.error('Error in guildMemberAdd', { error });
+    }
+  }
+
+  // Count members leaving against their inviter
+  async function handleLeave(member) {
+    const guildId = member.guild.id;
+    const log = logger.child({ event: 'guildMemberRemove', guildId, memberId: member.id });
+    try {
+      const event = storage.closeJoinEvent(guildId, member.id);
+
+      const join = storage.getMemberJoin(guildId, member.id);
+      if (join && !join.left) {
+        storage.setMemberJoin(guildId, member.id, { ...join, left: true });
+
+        // Fake invites are already excluded from the total, so they are not counted twice
+        if (!join.inviterId) {
+          log.info('Member left, they joined without a known inviter');
+        } else if (join.pending) {
+          log.info('Member left while their join is awaiting review', { inviterId: join.inviterId });
+        } else if (!join.fake) {
+          const stats = storage.updateInviteStats(guildId, join.inviterId, { left: 1 });
+          log.info('Member left, counted as a leave', { inviterId: join.inviterId, inviterTotal: stats.total });
+          await reconcileRewardsFor(member.guild, join.inviterId, storage);
+        } else {
+          log.info('Member left, already counted as fake', { inviterId: join.inviterId });
+        }
+      }
+
+      await reviewQuickLeave(member, event, log);
+
+      const left = {
+        inviterId: join?.inviterId || null,
+        code: join?.code || null,
+        source: join?.source || 'unknown',
+        fake: join?.fake || false
+      };
+      const inviterTotal = left.inviterId ? storage.getInviteStats(guildId, left.inviterId).total : null;
+
+      webhooks.emit(guildId, 'member.left', { memberId: member.id, memberTag: member.user.tag, ...left, inviterTotal });
+      await sendLeaveLog(member, { ...left, total: inviterTotal }, storage);
+    } catch (error) {
+      log.error('Error in guildMemberRemove', { error });
+    }
+  }
+
+  // An invitee leaving soon after joining is a sign of invite farming. A held
+  // join gets the extra reason; a credited one is sent to review.
+  async function reviewQuickLeave(member, event, log) {
+    const config = getGuildConfig(storage, member.guild.id);
+    if (!event?.inviterId || !isReviewEnabled(config) || !isQuickLeave(config, event)) return;
+
+    const hours = Math.max(1, Math.round((event.leftAt - event.joinedAt) / (60 * 60 * 1000)));
+    const reason = guildTranslator(config, member.guild)('review.quickLeave', { count: hours });
+
+    const held = storage.getPendingReviews(member.guild.id).find(review => review.eventId === event.id);
+    if (held) {
+      await refreshReviewMessage(member.guild, storage, storage.saveReview({ ...held, reasons: [...held.reasons, reason] }));
+      return;
+    }
+    if (event.fake || event.pending) return;
+
+    const review = createReview(storage, {
+      guildId: member.guild.id,
+      kind: 'leave',
+      memberId: member.id,
+      memberTag: member.user.tag,
+      inviterId: event.inviterId,
+      code: event.code,
+      eventId: event.id,
+      reasons: [reason]
+    });
+    log.info('Member left quickly, opened a review', { inviterId: event.inviterId, reviewId: review.id });
+    await postReview(member.guild, storage, review);
+  }
+
+  return { handleJoin, handleLeave };
+}
@@ -0,0 +1,110 @@
+// Prometheus metrics in the text exposition format, served on GET /metrics.
+// Counters and histograms are kept in memory per process; gauges are read
+// when the metrics are scraped.
+
+// Upper bounds of the command latency buckets, in seconds
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+  const entries = Object.entries(labels);
+  return entries.length > 0 ? `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}` : '';
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+function createCounter(name, help) {
+  const values = new Map(); // label text -> value
+
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = labelText(labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+
+    get(labels = {}) {
+      return values.get(labelText(labels)) || 0;
+    },
+
+    render() {
+      return [...header(name, help, 'counter'), ...[...values].map(([labels, value]) => `${name}${labels} ${value}`)];
+    },
+  };
+}
+
+// collect() returns the current value, or [{ labels, value }] for labelled gauges
+function createGauge(name, help, collect) {
+  return {
+    render() {
+      const current = collect();
+      const samples = Array.isArray(current) ? current : [{ labels: {}, value: current }];
+      return [...header(name, help, 'gauge'), ...samples.map(({ labels, value }) => `${name}${labelText(labels)} ${Number(value)}`)];
+    },
+  };
+}
+
+function createHistogram(name, help, buckets) {
+  const series = new Map(); // label text -> { labels, counts, sum, count }
+
+  return {
+    observe(labels, value) {
+      const key = labelText(labels);
+      if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+
+    render() {
+      const lines = header(name, help, 'histogram');
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, index) => lines.push(`${name}_bucket${labelText({ ...labels, le: bound })} ${counts[index]}`));
+        lines.push(`${name}_bucket${labelText({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${labelText(labels)} ${sum}`);
+        lines.push(`${name}_count${labelText(labels)} ${count}`);
+      }
+      return lines;
+    },
+  };
+}
+
+// The bot's metrics. The gateway gauges read the discord.js client on scrape.
+export function createMetrics(client) {
+  const metrics = [];
+  const register = (metric) => {
+    metrics.push(metric);
+    return metric;
+  };
+
+  return {
+    // Labelled by source: invite, inferred, vanity or unknown (not traceable)
+    joins: register(createCounter('invitebot_member_joins_total', 'Member joins by how they were attributed; source="unknown" joins could not be traced to an invite.')),
+    commandDuration: register(createHistogram('invitebot_command_duration_seconds', 'Time taken to handle slash commands, context menus and buttons, in seconds.', DURATION_BUCKETS)),
+    // Labelled by kind: "user" for problems reported to the user (CommandError), "internal" for unexpected errors
+    commandErrors: register(createCounter('invitebot_command_errors_total', 'Slash commands, context menus and buttons that ended in an error.')),
+    inviteFetchFailures: register(createCounter('invitebot_invite_fetch_failures_total', 'Invite fetches from Discord that failed, by operation.')),
+    gatewayDisconnects: register(createCounter('invitebot_gateway_disconnects_total', 'Gateway connections closed by Discord or the network.')),
+    webhookDeliveries: register(createCounter('invitebot_webhook_deliveries_total', 'Outgoing webhook deliveries by event and final status (delivered or failed), retries included.')),
+
+    gatewayConnected: register(createGauge('invitebot_gateway_connected', 'Whether the gateway connection is ready (1) or not (0).',
+      () => (client.isReady() ? 1 : 0))),
+    gatewayPing: register(createGauge('invitebot_gateway_ping_seconds', 'Average gateway heartbeat latency, in seconds (NaN before the first heartbeat).',
+      () => (client.ws.ping >= 0 ? client.ws.ping / 1000 : NaN))),
+    guilds: register(createGauge('invitebot_guilds', 'Guilds the bot is in.',
+      () => client.guilds.cache.size)),
+
+    // The exposition text for GET /metrics
+    render() {
+      return `${metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+    },
+  };
+}
@@ -0,0 +1,101 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+export const PERIOD_CHOICES = [
+  { name: 'Today', value: 'today' },
+  { name: 'Last 7 days', value: '7d' },
+  { name: 'Last 30 days', value: '30d' },
+  { name: 'All time', value: 'all' },
+];
+
+// Thrown for periods a user typed wrong; the message is safe to show them.
+// key and values name the translated message (periods.errors.<key>).
+export class PeriodError extends Error {
+  constructor(message, key, values = {}) {
+    super(message);
+    this.key = key;
+    this.values = values;
+  }
+}
+
+function parseDate(value, name) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+  const time = match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : NaN;
+  if (Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== value.trim()) {
+    throw new PeriodError(`\`${name}\` must be a date formatted as YYYY-MM-DD.`, 'invalidDate', { name });
+  }
+  return time;
+}
+
+// Turn period options into a window { since, until, period, label }, or null for all time.
+// A custom from/to range (UTC days, both inclusive) takes precedence over period.
+export function resolvePeriod({ period = null, from = null, to = null } = {}, now = Date.now()) {
+  if (from || to) {
+    const since = from ? parseDate(from, 'from') : null;
+    const until = to ? parseDate(to, 'to') + DAY : null;
+    if (since !== null && until !== null && since >= until) {
+      throw new PeriodError('`from` must be on or before `to`.', 'reversed');
+    }
+    return { since, until, period: 'custom', from, to, label: `${from || 'start'} → ${to || 'now'}` };
+  }
+
+  switch (period) {
+    case 'today': {
+      const startOfDay = new Date(now);
+      startOfDay.setUTCHours(0, 0, 0, 0);
+      return { since: startOfDay.getTime(), until: null, period, label: 'today' };
+    }
+    case '7d':
+      return { since: now - 7 * DAY, until: null, period, label: 'last 7 days' };
+    case '30d':
+      return { since: now - 30 * DAY, until: null, period, label: 'last 30 days' };
+    default:
+      return null;
+  }
+}
+
+function emptyStats() {
+  return { regular: 0, left: 0, fake: 0, bonus: 0 };
+}
+
+// Invite breakdown per inviter built from the join events and adjustments of a
+// window, in the same shape as the all-time stats. Returns [{ userId, ...stats }].
+// Nothing from before the last /resetinvites is counted.
+export function getGuildWindowStats(storage, guildId, { since = null, until = null }) {
+  const resetAt = storage.getLastResetAt(guildId);
+  if (resetAt !== null && (since === null || since < resetAt)) since = resetAt;
+
+  const byUser = new Map();
+  const statsFor = (userId) => {
+    if (!byUser.has(userId)) byUser.set(userId, emptyStats());
+    return byUser.get(userId);
+  };
+
+  for (const event of storage.getJoinEvents(guildId, { since, until })) {
+    // Joins held for review are not credited until a moderator approves them
+    if (!event.inviterId || event.pending) continue;
+    const stats = statsFor(event.inviterId);
+    stats.regular++;
+    if (event.fake) {
+      stats.fake++;
+    } else if (event.leftAt !== null) {
+      stats.left++;
+    }
+  }
+
+  for (const adjustment of storage.getAdjustments(guildId)) {
+    if ((since === null || adjustment.createdAt >= since) && (until === null || adjustment.createdAt < until)) {
+      statsFor(adjustment.userId).bonus += adjustment.amount;
+    }
+  }
+
+  return [...byUser].map(([userId, stats]) => ({
+    userId,
+    ...stats,
+    total: stats.regular + stats.bonus - stats.left - stats.fake,
+  }));
+}
+
+export function getWindowStats(storage, guildId, userId, window) {
+  return getGuildWindowStats(storage, guildId, window).find(entry => entry.userId === userId)
+    || { userId, ...emptyStats(), total: 0 };
+}
@@ -0,0 +1,182 @@
+import { randomUUID } from 'node:crypto';
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } from 'discord.js';
+import { getGuildConfig } from './config.js';
+import { guildTranslator } from './i18n/index.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'review' });
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+export function isReviewEnabled(config) {
+  return Boolean(config.reviewChannelId);
+}
+
+// The suspicious signals of a join, as human readable reasons in the guild's
+// language. The join is held for review when there are at least
+// reviewThreshold of them.
+export function scoreJoin(storage, config, member, { code, rejoin, now = Date.now() }) {
+  const t = guildTranslator(config, member.guild);
+  const reasons = [];
+
+  const accountAgeDays = (now - member.user.createdTimestamp) / DAY;
+  if (config.reviewAccountAgeDays > 0 && accountAgeDays < config.reviewAccountAgeDays) {
+    reasons.push(t('review.accountAge', { count: Math.floor(accountAgeDays) }));
+  }
+  if (config.reviewDefaultAvatar && !member.user.avatar) {
+    reasons.push(t('review.defaultAvatar'));
+  }
+  if (config.reviewRejoins && rejoin) {
+    reasons.push(t('review.rejoined'));
+  }
+  if (config.reviewBurstJoins > 0 && code) {
+    const since = now - config.reviewBurstMinutes * MINUTE;
+    const recent = storage.getJoinEvents(member.guild.id, { since }).filter(event => event.code === code).length + 1;
+    if (recent >= config.reviewBurstJoins) {
+      reasons.push(t('review.burst', { joins: recent, code, count: config.reviewBurstMinutes }));
+    }
+  }
+
+  return reasons;
+}
+
+export function createReview(storage, { guildId, kind, memberId, memberTag, inviterId, code, eventId, reasons }) {
+  return storage.saveReview({
+    id: randomUUID().slice(0, 8),
+    guildId,
+    kind,
+    memberId,
+    memberTag,
+    inviterId,
+    code,
+    eventId,
+    reasons,
+    status: 'pending',
+    createdAt: Date.now(),
+    channelId: null,
+    messageId: null,
+    decidedBy: null,
+    decidedAt: null,
+  });
+}
+
+// Reviews are either held joins, which are only credited once approved, or
+// credited joins whose invitee left soon after, which a moderator may reject
+// as farming after the fact. The message is shared by the moderators, so it is
+// written in the guild's language.
+export function buildReviewMessage(t, review) {
+  const pending = review.status === 'pending';
+  const embed = new EmbedBuilder()
+    .setColor(pending ? 0xffa500 : review.status === 'approved' ? 0x00ff99 : 0xff6b6b)
+    .setTitle(t(`review.titles.${review.status}`, { kind: t(`review.kinds.${review.kind}`) }))
+    .setDescription(review.reasons.map(reason => `• ${reason}`).join('\n'))
+    .addFields(
+      { name: t('review.member'), value: `<@${review.memberId}> (${review.memberTag})`, inline: true },
+      { name: t('review.invitedBy'), value: `<@${review.inviterId}>`, inline: true },
+      { name: t('review.inviteCode'), value: review.code ? `\`${review.code}\`` : t('review.unknownCode'), inline: true },
+    )
+    .setFooter({ text: t('review.footer', { id: review.id }) })
+    .setTimestamp(review.createdAt);
+
+  if (pending) {
+    embed.addFields({ name: t('review.decision'), value: t(`review.decisions.${review.kind}`) });
+  } else {
+    embed.addFields({ name: t('review.decidedBy'), value: `<@${review.decidedBy}> <t:${Math.floor(review.decidedAt / 1000)}:R>` });
+  }
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`review:approve:${review.id}`)
+      .setLabel(t('review.approve'))
+      .setEmoji('✅')
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(!pending),
+    new ButtonBuilder()
+      .setCustomId(`review:reject:${review.id}`)
+      .setLabel(t('review.reject'))
+      .setEmoji('🚫')
+      .setStyle(ButtonStyle.Danger)
+      .setDisabled(!pending)
+  );
+
+  return { embeds: [embed], components: [row], allowedMentions: { parse: [] } };
+}
+
+// Post a review to the guild's review channel and remember the message
+export async function postReview(guild, storage, review) {
+  const config = getGuildConfig(storage, guild.id);
+  const { reviewChannelId } = config;
+  try {
+    const channel = await guild.channels.fetch(reviewChannelId).catch(() => null);
+    if (!channel || !channel.isTextBased()) {
+      log.warn('Review channel not found or not a text channel', { guildId: guild.id, channelId: reviewChannelId });
+      return review;
+    }
+
+    const message = await channel.send(buildReviewMessage(guildTranslator(config, guild), review));
+    return storage.saveReview({ ...review, channelId: channel.id, messageId: message.id });
+  } catch (error) {
+    log.error('Could not post review', { guildId: guild.id, reviewId: review.id, error });
+    return review;
+  }
+}
+
+// Bring the posted message of a review up to date (new reasons or a decision)
+export async function refreshReviewMessage(guild, storage, review) {
+  if (!review.channelId || !review.messageId) return;
+  try {
+    const channel = await guild.channels.fetch(review.channelId).catch(() => null);
+    const message = await channel?.messages.fetch(review.messageId).catch(() => null);
+    if (message) await message.edit(buildReviewMessage(guildTranslator(getGuildConfig(storage, guild.id), guild), review));
+  } catch (error) {
+    log.warn('Could not update the review message', { guildId: guild.id, reviewId: review.id, error: error.message });
+  }
+}
+
+// Apply a moderator's decision to the inviter's breakdown, the member's join
+// record and the join event. Returns the updated review.
+export function decideReview(storage, review, { approve, moderatorId }) {
+  const { guildId, memberId, inviterId, eventId } = review;
+  const event = storage.getJoinEvent(guildId, eventId);
+  const join = storage.getMemberJoin(guildId, memberId);
+  // Only the member's first join has a join record of its own
+  const ownsJoin = join && join.inviterId === inviterId && join.pending;
+
+  if (review.kind === 'join') {
+    // The join was held, so nothing has been credited yet. A leave is only
+    // counted for a first join; a rejoiner's leave belongs to their first inviter.
+    // An approved rejoin is still no new invite: the member already counts for
+    // their first inviter, so it is fake for this one like any other rejoin.
+    const left = ownsJoin && join.left;
+    const credited = approve && !event?.rejoin;
+    if (credited) {
+      storage.updateInviteStats(guildId, inviterId, left ? { regular: 1, left: 1 } : { regular: 1 });
+    } else {
+      storage.updateInviteStats(guildId, inviterId, { regular: 1, fake: 1 });
+    }
+    if (event) storage.updateJoinEvent(guildId, eventId, { pending: false, fake: !credited });
+    if (ownsJoin) storage.setMemberJoin(guildId, memberId, { ...join, pending: false, fake: !approve });
+  } else if (!approve) {
+    // The quick leave was counted as a leave; count it as fake instead
+    const counted = join && join.inviterId === inviterId && !join.fake;
+    storage.updateInviteStats(guildId, inviterId, counted && join.left ? { left: -1, fake: 1 } : { fake: 1 });
+    if (event) storage.updateJoinEvent(guildId, eventId, { fake: true });
+    if (counted) storage.setMemberJoin(guildId, memberId, { ...join, fake: true });
+  }
+
+  return storage.saveReview({
+    ...review,
+    status: approve ? 'approved' : 'rejected',
+    decidedBy: moderatorId,
+    decidedAt: Date.now(),
+  });
+}
+
+// Whether a member who just left did so soon enough after joining to be reviewed
+export function isQuickLeave(config, event) {
+  return config.reviewQuickLeaveHours > 0
+    && event.leftAt !== null
+    && event.leftAt - event.joinedAt < config.reviewQuickLeaveHours * HOUR;
+}
@@ -0,0 +1,85 @@
+// Role rewards granted when members reach invite milestones.
+// Settings per guild: { mode: 'stack' | 'highest', tiers: [{ invites, roleId }] }
+
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'rewards' });
+
+// Role IDs a member should hold for the given invite total
+export function desiredRewardRoles(settings, total) {
+  const earned = settings.tiers
+    .filter(tier => total >= tier.invites)
+    .sort((a, b) => a.invites - b.invites);
+
+  const kept = settings.mode === 'highest' ? earned.slice(-1) : earned;
+  return new Set(kept.map(tier => tier.roleId));
+}
+
+// Add and remove reward roles so a member matches their current invite total
+export async function reconcileMemberRewards(member, storage) {
+  const result = { added: [], removed: [] };
+  const settings = storage.getRewardSettings(member.guild.id);
+  if (settings.tiers.length === 0 || member.user.bot) return result;
+
+  const { total } = storage.getInviteStats(member.guild.id, member.id);
+  const desired = desiredRewardRoles(settings, total);
+
+  for (const tier of settings.tiers) {
+    const role = member.guild.roles.cache.get(tier.roleId);
+    if (!role || !role.editable) {
+      log.warn('Cannot manage reward role: role missing or above the bot\'s highest role', { guildId: member.guild.id, roleId: tier.roleId });
+      continue;
+    }
+
+    const hasRole = member.roles.cache.has(role.id);
+    if (desired.has(role.id) && !hasRole) {
+      await member.roles.add(role, `Invite reward: reached ${tier.invites} invites`);
+      result.added.push(role.id);
+    } else if (!desired.has(role.id) && hasRole) {
+      await member.roles.remove(role, `Invite reward: below ${tier.invites} invites`);
+      result.removed.push(role.id);
+    }
+  }
+
+  if (result.added.length > 0 || result.removed.length > 0) {
+    log.info('Updated reward roles', { guildId: member.guild.id, memberId: member.id, total, added: result.added, removed: result.removed });
+  }
+
+  return result;
+}
+
+// Reconcile a single user by ID. Never throws, so it is safe to call from event handlers.
+export async function reconcileRewardsFor(guild, userId, storage) {
+  try {
+    if (storage.getRewardSettings(guild.id).tiers.length === 0) return;
+
+    const member = await guild.members.fetch(userId).catch(() => null);
+    if (!member) return;
+
+    await reconcileMemberRewards(member, storage);
+  } catch (error) {
+    log.error('Error reconciling rewards', { guildId: guild.id, userId, error });
+  }
+}
+
+// Re-apply the reward rules to every member of a guild
+export async function syncGuildRewards(guild, storage) {
+  const summary = { members: 0, added: 0, removed: 0, failed: 0 };
+  const members = await guild.members.fetch();
+
+  for (const member of members.values()) {
+    if (member.user.bot) continue;
+    summary.members++;
+
+    try {
+      const { added, removed } = await reconcileMemberRewards(member, storage);
+      summary.added += added.length;
+      summary.removed += removed.length;
+    } catch (error) {
+      summary.failed++;
+      log.warn('Could not sync rewards', { guildId: guild.id, memberId: member.id, error: error.message });
+    }
+  }
+
+  return summary;
+}
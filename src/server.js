@@ -0,0 +1,44 @@
+import express from 'express';
+import { createApiRouter } from './api.js';
+
+// TRUST_PROXY as Express's "trust proxy" setting: true, a number of proxy
+// hops, or the addresses of the proxies ("loopback", "10.0.0.1, 10.0.0.2")
+export function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+}
+
+// The HTTP app: liveness and readiness routes, Prometheus metrics and the
+// invite stats API. The caller decides where it listens, so tests can mount it
+// on an ephemeral port. bot is what createBot returned.
+//
+// Behind a reverse proxy, set TRUST_PROXY so the API's per-IP rate limit sees
+// the client addresses from X-Forwarded-For instead of putting every client in
+// the proxy's bucket.
+export function createServer(storage, { client, bot, trustProxy = process.env.TRUST_PROXY }) {
+  const app = express();
+  app.set('trust proxy', parseTrustProxy(trustProxy));
+
+  // Add root route to handle GET /
+  app.get('/', (req, res) => {
+    res.status(200).json({ message: 'Bot is alive' });
+  });
+
+  // Readiness: 503 until the bot is connected to the gateway and has loaded
+  // the invite snapshots it needs to attribute joins
+  app.get('/health', (req, res) => {
+    const { ready, checks } = bot.readiness();
+    res.status(ready ? 200 : 503).json({ status: ready ? 'OK' : 'UNAVAILABLE', checks });
+  });
+
+  app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(bot.metrics.render());
+  });
+
+  // Invite stats API for websites and other bots (keys are managed with /apikey)
+  app.use('/api', createApiRouter(storage, { client }));
+
+  return app;
+}
@@ -0,0 +1,39 @@
+import { ShardClientUtil } from 'discord.js';
+
+// Running under discord.js's ShardingManager (see shard.js). Every shard is a
+// process of its own, started with its ID in SHARDS and the total in
+// SHARD_COUNT. A shard only receives the events of its guilds and keeps them
+// in its own storage file and invite caches; its HTTP server listens on
+// PORT + shard ID.
+
+// { shardId, shardCount } of this process, or null when it is not a shard
+export function currentShard(env = process.env) {
+  if (!env.SHARDING_MANAGER || env.SHARDS === undefined) return null;
+  return { shardId: Number(env.SHARDS), shardCount: Number(env.SHARD_COUNT) };
+}
+
+// Guilds are assigned to shards from their ID and the shard count, so the data
+// of a shard only belongs to it while the count stays the same. A shard
+// refuses to start under a different count rather than serve guilds it has no
+// data for.
+export function checkShardLayout(storage, shard) {
+  const layout = storage.getShardLayout();
+  if (layout && (layout.shardId !== shard.shardId || layout.shardCount !== shard.shardCount)) {
+    throw new Error(`The data of shard ${shard.shardId} was written as shard ${layout.shardId} of ${layout.shardCount}, but ${shard.shardCount} shards were started. Set TOTAL_SHARDS=${layout.shardCount}.`);
+  }
+  storage.setShardLayout(shard);
+}
+
+export function shardPort(port, shard) {
+  return Number(port) + (shard?.shardId ?? 0);
+}
+
+export function guildShardId(guildId, shardCount) {
+  return ShardClientUtil.shardIdForGuildId(guildId, shardCount);
+}
+
+// The shard serving a guild, or null when the client is not sharded
+export function shardForGuild(client, guildId) {
+  if (!client.shard) return null;
+  return guildShardId(guildId, client.shard.count);
+}
@@ -0,0 +1,53 @@
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'shutdown' });
+
+// Long enough for a webhook request or a backfill step to finish
+const SHUTDOWN_TIMEOUT = Number(process.env.SHUTDOWN_TIMEOUT || 15 * 1000);
+
+function closeServer(server) {
+  return new Promise(resolve => {
+    server.close(() => resolve());
+    // Keep-alive connections would hold close() open until they time out
+    server.closeIdleConnections?.();
+  });
+}
+
+// The handler for SIGTERM and SIGINT: stop the bot (no new interactions, wait
+// for the ones in progress, stop timers and backfills, disconnect from the
+// gateway and finish pending joins and webhook deliveries), then close the
+// HTTP server and flush storage. If that takes longer than the timeout, the
+// process exits anyway.
+export function createShutdown({ bot, server, storage, timeout = SHUTDOWN_TIMEOUT, exit = (code) => process.exit(code) }) {
+  let shuttingDown = null;
+
+  async function shutdown(signal) {
+    log.info('Shutting down', { signal });
+
+    const timer = setTimeout(() => {
+      log.error('Shutdown timed out, exiting', { timeout });
+      server?.closeAllConnections?.();
+      exit(1);
+    }, timeout);
+    timer.unref?.();
+
+    let code = 0;
+    try {
+      await bot.shutdown();
+      if (server) await closeServer(server);
+      await storage.close();
+      log.info('Shut down cleanly');
+    } catch (error) {
+      log.error('Error during shutdown', { error });
+      code = 1;
+    }
+    clearTimeout(timer);
+    exit(code);
+  }
+
+  // A second signal while shutting down does not start over
+  return (signal) => {
+    shuttingDown ??= shutdown(signal);
+    return shuttingDown;
+  };
+}
@@ -0,0 +1,540 @@
+import { randomUUID } from 'node:crypto';
+import fs from 'node:fs';
+import { createJsonDriver, splitJsonFile } from './jsonDriver.js';
+import { createMemoryDriver } from './memoryDriver.js';
+import { guildShardId } from '../sharding.js';
+
+const DEFAULT_DATA_FILE = './data/invitebot.json';
+
+// Table names used by the repository
+const INVITE_COUNTS = 'inviteCounts'; // `${guildId}-${inviterId}` -> { regular, left, fake, bonus }
+const USER_INVITER = 'userInviter'; // `${guildId}-${memberId}` -> { inviterId, code, source, joinedAt, fake, left }
+const INVITES_CACHE = 'invitesCache'; // guildId -> { code: { uses, inviterId, channelId, maxUses, expiresAt, deletedAt? } }
+const VANITY_CACHE = 'vanityCache'; // guildId -> vanity URL uses
+const JOIN_EVENTS = 'joinEvents'; // `${guildId}-${id}` -> { id, memberId, inviterId, code, source, fake, rejoin, pending, joinedAt, leftAt }
+const INVITE_LABELS = 'inviteLabels'; // `${guildId}-${code}` -> label
+const REWARDS = 'rewards'; // guildId -> { mode, tiers: [{ invites, roleId }] }
+const GUILD_CONFIG = 'guildConfig'; // guildId -> { field: value } overriding the defaults in src/config.js
+const LOG_SETTINGS = 'logSettings'; // guildId -> { joinMessage, leaveMessage }
+const GUILD_RESETS = 'guildResets'; // guildId -> timestamp of the last /resetinvites
+const BUMP_COUNTS = 'bumpCounts'; // `${guildId}-${userId}` -> number of successful Disboard bumps
+const BUMP_STATE = 'bumpState'; // guildId -> { lastBumpAt, lastBumperId, remindAt, reminded }
+const REVIEWS = 'reviews'; // `${guildId}-${id}` -> { id, guildId, kind, memberId, inviterId, code, eventId, reasons, status, ... }
+const BACKFILLS = 'backfills'; // guildId -> progress of the audit log backfill, see src/backfill.js
+const COMPETITIONS = 'competitions'; // `${guildId}-${id}` -> { id, guildId, name, status, startedAt, endsAt, endedAt, winners, ... }
+const API_KEYS = 'apiKeys'; // `${guildId}-${id}` -> { id, guildId, name, hash, createdBy, createdAt }
+const ADJUSTMENTS = 'adjustments'; // `${guildId}-${id}` -> { id, userId, amount, action, actorId, reason, relatedUserId, createdAt }
+const WEBHOOKS = 'webhooks'; // `${guildId}-${id}` -> { id, guildId, url, secret, events, createdBy, createdAt }
+const WEBHOOK_DELIVERIES = 'webhookDeliveries'; // `${guildId}-${id}` -> { id, guildId, webhookId, event, status, attempts, statusCode, error, createdAt, completedAt }
+
+const META = 'meta'; // 'shardLayout' -> { shardId, shardCount } when written by a shard
+
+// Deliveries kept in the log of each webhook, newest first
+const WEBHOOK_DELIVERIES_KEPT = 50;
+
+const guildKey = (guildId, userId) => `${guildId}-${userId}`;
+const inGuild = (guildId) => (key) => key.startsWith(`${guildId}-`);
+
+const STAT_FIELDS = ['regular', 'left', 'fake', 'bonus'];
+
+// Counts written before the breakdown existed are plain numbers of joins
+function normalizeStats(value) {
+  const stats = typeof value === 'number' ? { regular: value } : { ...value };
+  for (const field of STAT_FIELDS) stats[field] = stats[field] || 0;
+  return stats;
+}
+
+// The headline invite total is derived from the breakdown, never stored
+function withTotal(stats) {
+  return { ...stats, total: stats.regular + stats.bonus - stats.left - stats.fake };
+}
+
+// Inviter mappings written before join records existed are plain inviter IDs
+function normalizeJoin(value) {
+  if (!value) return null;
+  if (typeof value === 'string') {
+    return { inviterId: value, code: null, source: 'invite', joinedAt: null, fake: false, left: false };
+  }
+  return { source: value.inviterId ? 'invite' : 'unknown', ...value };
+}
+
+// Invite cache entries written before metadata was cached are plain use counts
+function normalizeCachedInvite(value) {
+  return typeof value === 'number'
+    ? { uses: value, inviterId: null, channelId: null, maxUses: 0, expiresAt: null }
+    : value;
+}
+
+// A JSON file cannot be shared between processes, so each shard of the
+// ShardingManager gets its own: invitebot.json becomes invitebot.shard-0.json.
+// A shard starting without its file begins with its own guilds' rows of the
+// unsharded one, so data from before sharding carries over without two shards
+// owning the same guild. Every key starts with the guild ID.
+function shardFile(file, { shardId, shardCount }) {
+  const sharded = file.replace(/(\.json)?$/, `.shard-${shardId}$1`);
+  if (!fs.existsSync(sharded) && fs.existsSync(file)) {
+    splitJsonFile(file, sharded, (table, key) => table !== META && guildShardId(key.split('-')[0], shardCount) === shardId);
+  }
+  return sharded;
+}
+
+export function createDriver({ driver = process.env.STORAGE_DRIVER || 'json', file = process.env.DATA_FILE || DEFAULT_DATA_FILE, shard = null } = {}) {
+  switch (driver) {
+    case 'json':
+      return createJsonDriver(shard ? shardFile(file, shard) : file);
+    case 'memory':
+      return createMemoryDriver();
+    default:
+      throw new Error(`Unknown storage driver "${driver}" (expected "json" or "memory")`);
+  }
+}
+
+// Repository wrapping a storage driver with the bot's data model. Handlers
+// should only go through these functions and never touch the driver directly.
+export function createStorage(options = {}) {
+  const driver = options.driver && typeof options.driver === 'object'
+    ? options.driver
+    : createDriver(options);
+
+  return {
+    driver,
+
+    // Invite counts, as a { regular, left, fake, bonus, total } breakdown
+
+    getInviteStats(guildId, userId) {
+      return withTotal(normalizeStats(driver.get(INVITE_COUNTS, guildKey(guildId, userId))));
+    },
+
+    // Apply a partial delta such as { regular: 1, fake: 1 } and return the new stats
+    updateInviteStats(guildId, userId, delta) {
+      const stats = normalizeStats(driver.get(INVITE_COUNTS, guildKey(guildId, userId)));
+      for (const field of STAT_FIELDS) {
+        stats[field] += delta[field] || 0;
+        // Bonus may go negative to correct a member's total; tracked counts may not
+        if (field !== 'bonus') stats[field] = Math.max(0, stats[field]);
+      }
+      driver.set(INVITE_COUNTS, guildKey(guildId, userId), stats);
+      return withTotal(stats);
+    },
+
+    // Returns [{ userId, regular, left, fake, bonus, total }] for every member with recorded stats
+    getGuildInviteStats(guildId) {
+      const prefix = `${guildId}-`;
+      return driver.entries(INVITE_COUNTS)
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([key, value]) => ({ userId: key.slice(prefix.length), ...withTotal(normalizeStats(value)) }));
+    },
+
+    // Admin adjustments. Every manual change is kept as an audit entry and
+    // applied to the bonus field, so tracked counts are never overwritten.
+
+    recordAdjustment(guildId, { userId, amount, action, actorId, reason = null, relatedUserId = null }) {
+      const adjustment = {
+        id: randomUUID(),
+        userId,
+        amount,
+        action,
+        actorId,
+        reason,
+        relatedUserId,
+        createdAt: Date.now(),
+      };
+      driver.set(ADJUSTMENTS, guildKey(guildId, adjustment.id), adjustment);
+      const stats = this.updateInviteStats(guildId, userId, { bonus: amount });
+      return { adjustment, stats };
+    },
+
+    // Newest first, optionally limited to one member
+    getAdjustments(guildId, userId = null) {
+      return driver.entries(ADJUSTMENTS)
+        .filter(([key, adjustment]) => key.startsWith(`${guildId}-`) && (!userId || adjustment.userId === userId))
+        .map(([, adjustment]) => adjustment)
+        .sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    // Join records: who invited each member, with which code and how it was counted
+
+    getMemberJoin(guildId, memberId) {
+      return normalizeJoin(driver.get(USER_INVITER, guildKey(guildId, memberId)));
+    },
+
+    setMemberJoin(guildId, memberId, join) {
+      driver.set(USER_INVITER, guildKey(guildId, memberId), join);
+    },
+
+    getInviter(guildId, memberId) {
+      return this.getMemberJoin(guildId, memberId)?.inviterId || null;
+    },
+
+    // Returns [{ memberId, inviterId, code, source, joinedAt, fake, left }] for a guild
+    getGuildJoins(guildId) {
+      const prefix = `${guildId}-`;
+      return driver.entries(USER_INVITER)
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([key, value]) => ({ memberId: key.slice(prefix.length), ...normalizeJoin(value) }));
+    },
+
+    getInvitees(guildId, inviterId) {
+      return this.getGuildJoins(guildId).filter(join => join.inviterId === inviterId);
+    },
+
+    // Join events: one entry per join (including rejoins), closed when the member leaves
+
+    addJoinEvent(guildId, { memberId, inviterId, code, source, fake, rejoin, pending = false, joinedAt = Date.now(), leftAt = null }) {
+      const event = { id: randomUUID(), memberId, inviterId, code, source, fake, rejoin, pending, joinedAt, leftAt };
+      driver.set(JOIN_EVENTS, guildKey(guildId, event.id), event);
+      return event;
+    },
+
+    // Close every open join event of a member, who may have two after a rejoin
+    // (see reopenFirstJoinEvent), and return the latest
+    closeJoinEvent(guildId, memberId, leftAt = Date.now()) {
+      const open = this.getJoinEvents(guildId)
+        .filter(event => event.memberId === memberId && event.leftAt === null)
+        .sort((a, b) => b.joinedAt - a.joinedAt);
+      if (open.length === 0) return null;
+
+      const closed = open.map(event => ({ ...event, leftAt }));
+      for (const event of closed) driver.set(JOIN_EVENTS, guildKey(guildId, event.id), event);
+      return closed[0];
+    },
+
+    // A member coming back counts for their first inviter again, so the event
+    // of their first join is open again as well
+    reopenFirstJoinEvent(guildId, memberId) {
+      const first = this.getJoinEvents(guildId)
+        .filter(event => event.memberId === memberId && !event.rejoin)
+        .sort((a, b) => b.joinedAt - a.joinedAt)[0];
+      if (!first || first.leftAt === null) return null;
+      return this.updateJoinEvent(guildId, first.id, { leftAt: null });
+    },
+
+    getJoinEvent(guildId, id) {
+      return driver.get(JOIN_EVENTS, guildKey(guildId, id)) || null;
+    },
+
+    updateJoinEvent(guildId, id, changes) {
+      const event = { ...this.getJoinEvent(guildId, id), ...changes };
+      driver.set(JOIN_EVENTS, guildKey(guildId, id), event);
+      return event;
+    },
+
+    // Events of a guild, optionally limited to joins in [since, until)
+    getJoinEvents(guildId, { since = null, until = null } = {}) {
+      return driver.entries(JOIN_EVENTS)
+        .filter(([key]) => key.startsWith(`${guildId}-`))
+        .map(([, event]) => event)
+        .filter(event => (since === null || event.joinedAt >= since) && (until === null || event.joinedAt < until));
+    },
+
+    // Human labels attached to invite codes, e.g. "partner: XYZ"
+
+    getInviteLabels(guildId) {
+      const prefix = `${guildId}-`;
+      return new Map(driver.entries(INVITE_LABELS)
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([key, label]) => [key.slice(prefix.length), label]));
+    },
+
+    setInviteLabel(guildId, code, label) {
+      if (label) {
+        driver.set(INVITE_LABELS, guildKey(guildId, code), label);
+      } else {
+        driver.delete(INVITE_LABELS, guildKey(guildId, code));
+      }
+    },
+
+    // Invite usage snapshot used to work out which invite a new member used
+
+    getInviteCache(guildId) {
+      return new Map(Object.entries(driver.get(INVITES_CACHE, guildId) || {})
+        .map(([code, value]) => [code, normalizeCachedInvite(value)]));
+    },
+
+    setInviteCache(guildId, invites) {
+      driver.set(INVITES_CACHE, guildId, Object.fromEntries(invites));
+    },
+
+    // Forget the invite snapshot of a guild the bot is no longer in
+    deleteInviteCache(guildId) {
+      driver.delete(INVITES_CACHE, guildId);
+      driver.delete(VANITY_CACHE, guildId);
+    },
+
+    // null when the guild has no vanity URL or its uses were never read
+    getVanityUses(guildId) {
+      return driver.get(VANITY_CACHE, guildId) ?? null;
+    },
+
+    setVanityUses(guildId, uses) {
+      driver.set(VANITY_CACHE, guildId, uses);
+    },
+
+    // Role rewards
+
+    getRewardSettings(guildId) {
+      const settings = driver.get(REWARDS, guildId) || {};
+      return {
+        mode: settings.mode || 'stack',
+        tiers: [...(settings.tiers || [])].sort((a, b) => a.invites - b.invites),
+      };
+    },
+
+    // Each role can only be the reward of a single threshold
+    setRewardTier(guildId, roleId, invites) {
+      const settings = this.getRewardSettings(guildId);
+      settings.tiers = settings.tiers.filter(tier => tier.roleId !== roleId).concat({ invites, roleId });
+      driver.set(REWARDS, guildId, settings);
+      return this.getRewardSettings(guildId);
+    },
+
+    removeRewardTier(guildId, roleId) {
+      const settings = this.getRewardSettings(guildId);
+      const tiers = settings.tiers.filter(tier => tier.roleId !== roleId);
+      if (tiers.length === settings.tiers.length) return false;
+      driver.set(REWARDS, guildId, { ...settings, tiers });
+      return true;
+    },
+
+    setRewardMode(guildId, mode) {
+      driver.set(REWARDS, guildId, { ...this.getRewardSettings(guildId), mode });
+    },
+
+    // Per-guild configuration overrides
+
+    getConfigOverrides(guildId) {
+      return { ...driver.get(GUILD_CONFIG, guildId) };
+    },
+
+    setConfigValue(guildId, field, value) {
+      driver.set(GUILD_CONFIG, guildId, { ...this.getConfigOverrides(guildId), [field]: value });
+    },
+
+    clearConfigValue(guildId, field) {
+      const overrides = this.getConfigOverrides(guildId);
+      delete overrides[field];
+      driver.set(GUILD_CONFIG, guildId, overrides);
+    },
+
+    // Join/leave message templates (null template = default)
+
+    getLogSettings(guildId) {
+      return { joinMessage: null, leaveMessage: null, ...driver.get(LOG_SETTINGS, guildId) };
+    },
+
+    updateLogSettings(guildId, changes) {
+      const settings = { ...this.getLogSettings(guildId), ...changes };
+      driver.set(LOG_SETTINGS, guildId, settings);
+      return settings;
+    },
+
+    // Disboard bumps
+
+    // Count a successful bump and schedule the next reminder
+    recordBump(guildId, userId, { bumpedAt, remindAt }) {
+      const count = (driver.get(BUMP_COUNTS, guildKey(guildId, userId)) || 0) + 1;
+      driver.set(BUMP_COUNTS, guildKey(guildId, userId), count);
+      driver.set(BUMP_STATE, guildId, { lastBumpAt: bumpedAt, lastBumperId: userId, remindAt, reminded: false });
+      return count;
+    },
+
+    // Returns [{ userId, count }], most bumps first
+    getBumpCounts(guildId) {
+      return driver.entries(BUMP_COUNTS)
+        .filter(([key]) => key.startsWith(`${guildId}-`))
+        .map(([key, count]) => ({ userId: key.slice(guildId.length + 1), count }))
+        .sort((a, b) => b.count - a.count || a.userId.localeCompare(b.userId));
+    },
+
+    getBumpState(guildId) {
+      return driver.get(BUMP_STATE, guildId) || null;
+    },
+
+    // Every guild with a bump reminder that has not been sent yet
+    getPendingBumpReminders() {
+      return driver.entries(BUMP_STATE)
+        .filter(([, state]) => !state.reminded)
+        .map(([guildId, state]) => ({ guildId, ...state }));
+    },
+
+    markBumpReminded(guildId) {
+      const state = this.getBumpState(guildId);
+      if (state) driver.set(BUMP_STATE, guildId, { ...state, reminded: true });
+    },
+
+    // API keys. Only a hash of each key is stored.
+
+    addApiKey(guildId, { id, name, hash, createdBy }) {
+      const apiKey = { id, guildId, name, hash, createdBy, createdAt: Date.now() };
+      driver.set(API_KEYS, guildKey(guildId, id), apiKey);
+      return apiKey;
+    },
+
+    getApiKeys(guildId) {
+      return driver.entries(API_KEYS)
+        .filter(([key]) => key.startsWith(`${guildId}-`))
+        .map(([, apiKey]) => apiKey)
+        .sort((a, b) => a.createdAt - b.createdAt);
+    },
+
+    findApiKeyByHash(hash) {
+      return driver.entries(API_KEYS).map(([, apiKey]) => apiKey).find(apiKey => apiKey.hash === hash) || null;
+    },
+
+    removeApiKey(guildId, id) {
+      return driver.delete(API_KEYS, guildKey(guildId, id));
+    },
+
+    // Outgoing webhooks. The secret is kept in clear since payloads are signed with it.
+
+    addWebhook(guildId, { id, url, secret, events, createdBy }) {
+      const webhook = { id, guildId, url, secret, events, createdBy, createdAt: Date.now() };
+      driver.set(WEBHOOKS, guildKey(guildId, id), webhook);
+      return webhook;
+    },
+
+    getWebhook(guildId, id) {
+      return driver.get(WEBHOOKS, guildKey(guildId, id)) || null;
+    },
+
+    getWebhooks(guildId) {
+      return driver.entries(WEBHOOKS)
+        .filter(([key]) => key.startsWith(`${guildId}-`))
+        .map(([, webhook]) => webhook)
+        .sort((a, b) => a.createdAt - b.createdAt);
+    },
+
+    // Removes the webhook along with its delivery log
+    removeWebhook(guildId, id) {
+      driver.clear(WEBHOOK_DELIVERIES, (key, delivery) => key.startsWith(`${guildId}-`) && delivery.webhookId === id);
+      return driver.delete(WEBHOOKS, guildKey(guildId, id));
+    },
+
+    // Record the outcome of a delivery, dropping the oldest ones of the webhook
+    // beyond WEBHOOK_DELIVERIES_KEPT
+    addWebhookDelivery(delivery) {
+      driver.set(WEBHOOK_DELIVERIES, guildKey(delivery.guildId, delivery.id), delivery);
+      for (const old of this.getWebhookDeliveries(delivery.guildId, delivery.webhookId).slice(WEBHOOK_DELIVERIES_KEPT)) {
+        driver.delete(WEBHOOK_DELIVERIES, guildKey(old.guildId, old.id));
+      }
+      return delivery;
+    },
+
+    // Newest first
+    getWebhookDeliveries(guildId, webhookId) {
+      return driver.entries(WEBHOOK_DELIVERIES)
+        .filter(([key, delivery]) => key.startsWith(`${guildId}-`) && delivery.webhookId === webhookId)
+        .map(([, delivery]) => delivery)
+        .sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    // Suspicious joins waiting for (or decided by) a moderator
+
+    saveReview(review) {
+      driver.set(REVIEWS, guildKey(review.guildId, review.id), review);
+      return review;
+    },
+
+    getReview(guildId, id) {
+      return driver.get(REVIEWS, guildKey(guildId, id)) || null;
+    },
+
+    // Oldest first
+    getPendingReviews(guildId) {
+      return driver.entries(REVIEWS)
+        .filter(([key, review]) => key.startsWith(`${guildId}-`) && review.status === 'pending')
+        .map(([, review]) => review)
+        .sort((a, b) => a.createdAt - b.createdAt);
+    },
+
+    // Audit log backfill progress, saved after every step so it can resume
+
+    getBackfill(guildId) {
+      return driver.get(BACKFILLS, guildId) || null;
+    },
+
+    saveBackfill(guildId, backfill) {
+      driver.set(BACKFILLS, guildId, { ...backfill, updatedAt: Date.now() });
+    },
+
+    // Guilds whose backfill was interrupted before it completed
+    getUnfinishedBackfills() {
+      return driver.entries(BACKFILLS)
+        .filter(([, backfill]) => backfill.status === 'running')
+        .map(([guildId]) => guildId);
+    },
+
+    // Competitions (one active per guild, ended ones are kept as an archive)
+
+    saveCompetition(competition) {
+      driver.set(COMPETITIONS, guildKey(competition.guildId, competition.id), competition);
+      return competition;
+    },
+
+    // Newest first
+    getCompetitions(guildId) {
+      return driver.entries(COMPETITIONS)
+        .filter(([key]) => key.startsWith(`${guildId}-`))
+        .map(([, competition]) => competition)
+        .sort((a, b) => b.startedAt - a.startedAt);
+    },
+
+    getActiveCompetition(guildId) {
+      return this.getCompetitions(guildId).find(competition => competition.status === 'active') || null;
+    },
+
+    // Active competitions of every guild, for the scheduler that ends them
+    getAllActiveCompetitions() {
+      return driver.entries(COMPETITIONS)
+        .map(([, competition]) => competition)
+        .filter(competition => competition.status === 'active');
+    },
+
+    getLastResetAt(guildId) {
+      return driver.get(GUILD_RESETS, guildId) ?? null;
+    },
+
+    // Removes the given sections of a guild's invite data (members: counts,
+    // joins: join records, events: join events) before an import replaces
+    // them. Backfill estimates live in counts and join records, so replacing
+    // either drops the backfill too. Unlike resetGuild, no reset time is recorded.
+    clearInviteData(guildId, sections = ['members', 'joins', 'events']) {
+      const cleared = {};
+      if (sections.includes('members')) cleared.counts = driver.clear(INVITE_COUNTS, inGuild(guildId));
+      if (sections.includes('joins')) cleared.joins = driver.clear(USER_INVITER, inGuild(guildId));
+      if (sections.includes('events')) cleared.events = driver.clear(JOIN_EVENTS, inGuild(guildId));
+      if (sections.includes('members') || sections.includes('joins')) cleared.backfill = driver.delete(BACKFILLS, guildId);
+      return cleared;
+    },
+
+    // Wipes counts and inviter mappings for a guild. The invite cache is kept
+    // since it still reflects the current invite uses on Discord. Join events
+    // are kept for invite code analytics; the reset time is recorded so period
+    // stats ignore everything before it.
+    resetGuild(guildId) {
+      const counts = driver.clear(INVITE_COUNTS, inGuild(guildId));
+      const inviters = driver.clear(USER_INVITER, inGuild(guildId));
+      driver.delete(BACKFILLS, guildId);
+      driver.set(GUILD_RESETS, guildId, Date.now());
+      return { counts, inviters };
+    },
+
+    // The shard this data belongs to, see src/sharding.js
+
+    getShardLayout() {
+      return driver.get(META, 'shardLayout') || null;
+    },
+
+    setShardLayout({ shardId, shardCount }) {
+      driver.set(META, 'shardLayout', { shardId, shardCount });
+    },
+
+    flush() {
+      return driver.flush();
+    },
+
+    close() {
+      return driver.close();
+    },
+  };
+}
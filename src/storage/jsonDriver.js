@@ -0,0 +1,128 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { logger } from '../logger.js';
+
+// File-backed storage driver. All tables are kept in memory and written to a
+// single JSON file shortly after each change. Writes go to a temporary file
+// first and are renamed into place so a crash never leaves a half-written file.
+export function createJsonDriver(filePath, { flushDelay = 1000 } = {}) {
+  const tables = new Map();
+  let flushTimer = null;
+  let writing = Promise.resolve();
+
+  if (fs.existsSync(filePath)) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read storage file ${filePath}: ${error.message}`);
+    }
+    for (const [name, rows] of Object.entries(data.tables || {})) {
+      tables.set(name, new Map(Object.entries(rows)));
+    }
+  }
+
+  const tableFor = (name) => {
+    if (!tables.has(name)) tables.set(name, new Map());
+    return tables.get(name);
+  };
+
+  const serialize = () => {
+    const out = { version: 1, savedAt: new Date().toISOString(), tables: {} };
+    for (const [name, rows] of tables) {
+      out.tables[name] = Object.fromEntries(rows);
+    }
+    return JSON.stringify(out);
+  };
+
+  const write = () => {
+    flushTimer = null;
+    const contents = serialize();
+    writing = writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, contents, 'utf8');
+        await fs.promises.rename(tmpPath, filePath);
+      })
+      .catch(error => {
+        logger.error('Error writing storage file', { module: 'storage', file: filePath, error });
+      });
+    return writing;
+  };
+
+  const scheduleWrite = () => {
+    if (flushTimer) return;
+    flushTimer = setTimeout(write, flushDelay);
+  };
+
+  return {
+    name: 'json',
+
+    get(table, key) {
+      return tableFor(table).get(key);
+    },
+
+    set(table, key, value) {
+      tableFor(table).set(key, value);
+      scheduleWrite();
+    },
+
+    delete(table, key) {
+      const deleted = tableFor(table).delete(key);
+      if (deleted) scheduleWrite();
+      return deleted;
+    },
+
+    entries(table) {
+      return [...tableFor(table).entries()];
+    },
+
+    clear(table, predicate = () => true) {
+      const rows = tableFor(table);
+      let removed = 0;
+      for (const [key, value] of rows) {
+        if (predicate(key, value)) {
+          rows.delete(key);
+          removed++;
+        }
+      }
+      if (removed > 0) scheduleWrite();
+      return removed;
+    },
+
+    // Write any pending changes immediately
+    async flush() {
+      if (flushTimer) {
+        clearTimeout(flushTimer);
+        return write();
+      }
+      return writing;
+    },
+
+    async close() {
+      await this.flush();
+    },
+  };
+}
+
+// Write the rows of a storage file for which keep(table, key) is true to a new
+// file, as when the data of a single process is divided between shards
+export function splitJsonFile(sourcePath, targetPath, keep) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(sourcePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read storage file ${sourcePath}: ${error.message}`);
+  }
+
+  const tables = {};
+  for (const [name, rows] of Object.entries(data.tables || {})) {
+    tables[name] = Object.fromEntries(Object.entries(rows).filter(([key]) => keep(name, key)));
+  }
+
+  fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+  const tmpPath = `${targetPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ ...data, savedAt: new Date().toISOString(), tables }), 'utf8');
+  fs.renameSync(tmpPath, targetPath);
+}
@@ -0,0 +1,49 @@
+// In-memory storage driver. Nothing is persisted; useful for local experiments
+// and as the reference implementation of the driver interface:
+//   get(table, key), set(table, key, value), delete(table, key),
+//   entries(table), clear(table, predicate), flush(), close()
+export function createMemoryDriver() {
+  const tables = new Map();
+
+  const tableFor = (name) => {
+    if (!tables.has(name)) tables.set(name, new Map());
+    return tables.get(name);
+  };
+
+  return {
+    name: 'memory',
+
+    get(table, key) {
+      return tableFor(table).get(key);
+    },
+
+    set(table, key, value) {
+      tableFor(table).set(key, value);
+    },
+
+    delete(table, key) {
+      return tableFor(table).delete(key);
+    },
+
+    entries(table) {
+      return [...tableFor(table).entries()];
+    },
+
+    // Remove every entry of a table for which predicate(key, value) is true
+    clear(table, predicate = () => true) {
+      const rows = tableFor(table);
+      let removed = 0;
+      for (const [key, value] of rows) {
+        if (predicate(key, value)) {
+          rows.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async flush() {},
+
+    async close() {},
+  };
+}
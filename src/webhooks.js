@@ -0,0 +1,290 @@
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'node:crypto';
+import dns from 'node:dns/promises';
+import { BlockList, isIP } from 'node:net';
+import { Agent, fetch as undiciFetch } from 'undici';
+import { logger } from './logger.js';
+
+// Outgoing webhooks: guilds register URLs with /webhook and receive a POST for
+// every invite event they subscribed to. The JSON body is
+//   { id, event, guildId, createdAt, data }
+// and is signed with the webhook's secret:
+//   X-InviteBot-Timestamp: unix seconds
+//   X-InviteBot-Signature: sha256=HMAC-SHA256(secret, `${timestamp}.${body}`) in hex
+// Failed deliveries are retried with backoff; the outcome of each one is kept
+// in the webhook's delivery log (/webhook deliveries).
+//
+// Any guild admin can pick the URL, so the bot must not become a way to reach
+// its own network: the host is resolved before every delivery, private,
+// loopback and link-local addresses are refused, and the request connects to
+// the address that was checked (a second lookup could be answered differently,
+// which is DNS rebinding). For testing with a local
+// receiver, WEBHOOKS_ALLOW_LOCALHOST=true allows http://localhost and loopback
+// addresses on a development machine.
+
+const log = logger.child({ module: 'webhooks' });
+
+// Events a webhook can subscribe to. "ping" is only sent by /webhook test.
+export const WEBHOOK_EVENTS = {
+  'member.joined': 'A member joined, with the invite and inviter when known (held joins once reviewed)',
+  'member.left': 'A member left',
+  'invites.adjusted': 'An admin changed invite counts with /invites',
+  'invites.milestone': 'A member reached the invite count of a reward tier',
+  'invites.reset': 'Invite counts were reset with /resetinvites',
+};
+
+export const MAX_WEBHOOKS = 5; // per guild
+
+const REQUEST_TIMEOUT = 10 * 1000;
+
+// Waits before each retry of a failed delivery, so four attempts in all
+const RETRY_DELAYS = [10 * 1000, 60 * 1000, 5 * 60 * 1000];
+
+// Deliveries older than this are refused by verifySignature (replays)
+const SIGNATURE_TOLERANCE = 5 * 60; // seconds
+
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+const LOOPBACK = new BlockList();
+LOOPBACK.addSubnet('127.0.0.0', 8, 'ipv4');
+LOOPBACK.addAddress('::1', 'ipv6');
+
+// Addresses that are not on the public internet
+const NON_PUBLIC = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+  NON_PUBLIC.addSubnet(network, prefix, 'ipv4');
+}
+// NAT64 (64:ff9b::/96) and 6to4 (2002::/16) addresses can wrap any IPv4 address
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+  NON_PUBLIC.addSubnet(network, prefix, 'ipv6');
+}
+
+// Read on every check so tests can change it at runtime
+function localhostAllowed() {
+  return process.env.WEBHOOKS_ALLOW_LOCALHOST === 'true';
+}
+
+// Whether a delivery may be sent to an address
+function isAllowedAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  const [ip, type] = mapped ? [mapped[1], 'ipv4'] : [address, isIP(address) === 6 ? 'ipv6' : 'ipv4'];
+  if (localhostAllowed() && LOOPBACK.check(ip, type)) return true;
+  return !NON_PUBLIC.check(ip, type);
+}
+
+const hostOf = (url) => new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+
+// A connection pool that reaches the host at the given address only. TLS still
+// verifies the certificate for the host name of the URL.
+function pinnedAgent({ address, family }) {
+  return new Agent({
+    connect: {
+      lookup: (hostname, options, callback) => (options.all ? callback(null, [{ address, family }]) : callback(null, address, family)),
+    },
+  });
+}
+
+export function generateWebhookSecret() {
+  return `whsec_${randomBytes(24).toString('base64url')}`;
+}
+
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// For receivers: whether a delivery was signed with the secret and is recent
+export function verifySignature(secret, { timestamp, body, signature }, now = Date.now()) {
+  if (!signature || !/^\d+$/.test(timestamp || '')) return false;
+  if (Math.abs(now / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+// Webhooks must use https. Plain http is only accepted for this machine when
+// WEBHOOKS_ALLOW_LOCALHOST is set. Hosts given as a private address are
+// refused here already; names are checked when they are resolved for each
+// delivery. Returns the normalized URL or null.
+export function parseWebhookUrl(input) {
+  let url;
+  try {
+    url = new URL(input);
+  } catch {
+    return null;
+  }
+  if (url.username || url.password) return null;
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && localhostAllowed() && LOOPBACK_HOSTS.has(url.hostname))) return null;
+
+  const host = hostOf(url.href);
+  if (isIP(host) && !isAllowedAddress(host)) return null;
+  if (host === 'localhost' && !localhostAllowed()) return null;
+  return url.href;
+}
+
+// Network errors, timeouts, rate limits and server errors may pass on a retry;
+// a host resolving to a private address will not
+function isRetryable({ statusCode, blocked }) {
+  return !blocked && (statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500);
+}
+
+// Delivers events to the webhooks of a guild. emit() returns at once; the
+// deliveries run in the background and idle() resolves when all are done.
+export function createWebhookDispatcher(storage, { metrics, fetch = undiciFetch, lookup = (host) => dns.lookup(host, { all: true }), retryDelays = RETRY_DELAYS } = {}) {
+  const inFlight = new Set();
+  const waits = new Map(); // timer -> resolve, for retries waiting their turn
+  let closed = false;
+
+  function wait(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        waits.delete(timer);
+        resolve();
+      }, ms);
+      timer.unref?.();
+      waits.set(timer, resolve);
+    });
+  }
+
+  // One POST; resolves with its outcome and never throws. Errors are kept
+  // generic, since admins see them in /webhook test and /webhook deliveries;
+  // the details are only logged.
+  async function send(webhook, payload) {
+    const body = JSON.stringify(payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    let addresses;
+    try {
+      addresses = await lookup(hostOf(webhook.url));
+      if (addresses.length === 0) throw new Error('No addresses');
+    } catch (error) {
+      log.warn('Could not resolve webhook host', { guildId: webhook.guildId, webhookId: webhook.id, error: error.message });
+      return { ok: false, statusCode: null, error: 'Could not resolve the host' };
+    }
+    if (!addresses.every(({ address }) => isAllowedAddress(address))) {
+      log.warn('Refused webhook delivery to a private address', { guildId: webhook.guildId, webhookId: webhook.id, addresses: addresses.map(({ address }) => address) });
+      return { ok: false, statusCode: null, blocked: true, error: 'Refused: the host is not a public address' };
+    }
+
+    const agent = pinnedAgent(addresses[0]);
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'user-agent': 'InviteBot-Webhooks/1.0',
+          'x-invitebot-event': payload.event,
+          'x-invitebot-delivery': payload.id,
+          'x-invitebot-timestamp': timestamp,
+          'x-invitebot-signature': signPayload(webhook.secret, timestamp, body),
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+        dispatcher: agent,
+      });
+      return { ok: response.ok, statusCode: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+    } catch (error) {
+      if (error.name === 'TimeoutError') return { ok: false, statusCode: null, error: 'Timed out' };
+      log.warn('Webhook request failed', { guildId: webhook.guildId, webhookId: webhook.id, error: error.cause?.message || error.message });
+      return { ok: false, statusCode: null, error: 'Could not connect' };
+    } finally {
+      agent.destroy().catch(() => {});
+    }
+  }
+
+  async function deliver(webhook, payload, delays) {
+    let attempts = 0;
+    let result;
+    for (;;) {
+      attempts++;
+      result = await send(webhook, payload);
+      if (result.ok || attempts > delays.length || !isRetryable(result)) break;
+
+      log.warn('Webhook delivery failed, retrying', { guildId: webhook.guildId, webhookId: webhook.id, event: payload.event, attempts, error: result.error });
+      await wait(delays[attempts - 1]);
+      if (closed) {
+        result = { ...result, error: `${result.error}, not retried as the bot shut down` };
+        break;
+      }
+      // The webhook may have been removed in the meantime
+      if (!storage.getWebhook(webhook.guildId, webhook.id)) break;
+    }
+
+    const status = result.ok ? 'delivered' : 'failed';
+    metrics?.webhookDeliveries.inc({ event: payload.event, status });
+    if (!result.ok) {
+      log.warn('Webhook delivery failed', { guildId: webhook.guildId, webhookId: webhook.id, event: payload.event, attempts, error: result.error });
+    }
+
+    return storage.addWebhookDelivery({
+      id: payload.id,
+      guildId: webhook.guildId,
+      webhookId: webhook.id,
+      event: payload.event,
+      status,
+      attempts,
+      statusCode: result.statusCode,
+      error: result.error,
+      createdAt: Date.parse(payload.createdAt),
+      completedAt: Date.now(),
+    });
+  }
+
+  function track(promise) {
+    const tracked = promise
+      .catch(error => log.error('Error delivering webhook', { error }))
+      .finally(() => inFlight.delete(tracked));
+    inFlight.add(tracked);
+    return tracked;
+  }
+
+  function payloadFor(guildId, event, data) {
+    return { id: randomUUID(), event, guildId, createdAt: new Date().toISOString(), data };
+  }
+
+  return {
+    // Send an event to every webhook of the guild subscribed to it
+    emit(guildId, event, data) {
+      if (closed) return;
+      for (const webhook of storage.getWebhooks(guildId)) {
+        if (webhook.events.includes(event)) track(deliver(webhook, payloadFor(guildId, event, data), retryDelays));
+      }
+    },
+
+    // Send invites.milestone for every reward tier a member's total just reached
+    emitMilestones(guildId, userId, previousTotal, total) {
+      for (const tier of storage.getRewardSettings(guildId).tiers) {
+        if (previousTotal < tier.invites && total >= tier.invites) {
+          this.emit(guildId, 'invites.milestone', { userId, milestone: tier.invites, roleId: tier.roleId, total });
+        }
+      }
+    },
+
+    // A single ping without retries, for /webhook test. Resolves with the delivery.
+    test(webhook, data) {
+      return track(deliver(webhook, payloadFor(webhook.guildId, 'ping', data), []));
+    },
+
+    // Resolves once every delivery in progress is done, retries included
+    async idle() {
+      while (inFlight.size > 0) await Promise.all(inFlight);
+    },
+
+    // For a shutdown: send nothing new, give up on retries still waiting and
+    // wait for the requests already sent
+    async close() {
+      closed = true;
+      for (const [timer, resolve] of waits) {
+        clearTimeout(timer);
+        resolve();
+      }
+      waits.clear();
+      await this.idle();
+    },
+  };
+}
@@ -0,0 +1,249 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeChannel, createFakeUser, createTestBot } from './fakes.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('guildMemberAdd', () => {
+  it('credits the inviter whose invite gained a use', async () => {
+    const bot = await createTestBot();
+    const alice = bot.addMember({ username: 'alice' });
+    const bob = bot.addMember({ username: 'bob' });
+    await bot.createInvite({ code: 'alice1', inviter: alice.user, uses: 4 });
+    await bot.createInvite({ code: 'bob1', inviter: bob.user, uses: 2 });
+
+    const member = bot.guild.join(createFakeUser(), { code: 'bob1' });
+    await bot.memberJoins(member);
+
+    assert.equal(bot.storage.getInviteStats(bot.guild.id, bob.id).total, 1);
+    assert.equal(bot.storage.getInviteStats(bot.guild.id, alice.id).total, 0);
+    const join = bot.storage.getMemberJoin(bot.guild.id, member.id);
+    assert.deepEqual({ inviterId: join.inviterId, code: join.code, source: join.source }, { inviterId: bob.id, code: 'bob1', source: 'invite' });
+    assert.equal(bot.storage.getInviteCache(bot.guild.id).get('bob1').uses, 3);
+  });
+
+  it('infers an invite that was used up and deleted by Discord', async () => {
+    const bot = await createTestBot();
+    const alice = bot.addMember({ username: 'alice' });
+    await bot.createInvite({ code: 'once', inviter: alice.user, maxUses: 1 });
+
+    const member = bot.guild.join(createFakeUser(), { code: 'once' });
+    assert.equal(bot.guild.invites.cache.has('once'), false);
+    await bot.memberJoins(member);
+
+    const join = bot.storage.getMemberJoin(bot.guild.id, member.id);
+    assert.equal(join.source, 'inferred');
+    assert.equal(join.inviterId, alice.id);
+    assert.equal(bot.storage.getInviteStats(bot.guild.id, alice.id).total, 1);
+  });
+
+  it('attributes joins through the vanity URL without crediting anyone', async () => {
+    const bot = await createTestBot({ guild: { vanityURLCode: 'cool', vanityUses: 10 } });
+
+    const member = bot.guild.join(createFakeUser(), { code: 'cool' });
+    await bot.memberJoins(member);
+
+    const join = bot.storage.getMemberJoin(bot.guild.id, member.id);
+    assert.equal(join.source, 'vanity');
+    assert.equal(join.inviterId, null);
+    assert.equal(bot.storage.getVanityUses(bot.guild.id), 11);
+  });
+
+  it('records a join it cannot trace as unknown', async () => {
+    const bot = await createTestBot();
+    const alice = bot.addMember({ username: 'alice' });
+    await bot.createInvite({ code: 'alice1', inviter: alice.user });
+
+    const member = bot.guild.join(createFakeUser());
+    await bot.memberJoins(member);
+
+    const join = bot.storage.getMemberJoin(bot.guild.id, member.id);
+    assert.equal(join.source, 'unknown');
+    assert.equal(join.inviterId, null);
+    assert.equal(bot.storage.getInviteStats(bot.guild.id, alice.id).total, 0);
+    assert.equal(bot.bot.metrics.joins.get({ source: 'unknown' }), 1);
+  });
+
+  it('still records the join when invites cannot be fetched', async () => {
+    const bot = await createTestBot();
+    const alice = bot.addMember({ username: 'alice' });
+    await bot.createInvite({ code: 'alice1', inviter: alice.user });
+    bot.guild.inviteFetchError = new Error('Missing Permissions');
+
+    const member = bot.guild.join(createFakeUser(), { code: 'alice1' });
+    await bot.memberJoins(member);
+
+    assert.equal(bot.storage.getMemberJoin(bot.guild.id, member.id).source, 'unknown');
+    assert.equal(bot.storage.getInviteStats(bot.guild.id, alice.id).total, 0);
+    assert.equal(bot.bot.metrics.inviteFetchFailures.get({ operation: 'join' }), 1);
+  });
+
+  it('counts invites of young accounts as fake', async () => {
+    const bot = await createTestBot();
+    const alice = bot.addMember({ username: 'alice' });
+    await bot.createInvite({ code: 'alice1', inviter: alice.user });
+
+    const member = bot.guild.join(createFakeUser({ createdTimestamp: Date.now() - DAY }), { code: 'alice1' });
+    await bot.memberJoins(member);
+
+    const stats = bot.storage.getInviteStats(bot.guild.id, alice.id);
+    assert.deepEqual({ regular: stats.regular, fake: stats.fake, total: stats.total }, { regular: 1, fake: 1, total: 0 });
+    assert.equal(bot.storage.getMemberJoin(bot.guild.id, member.id).fake, true);
+  });
+
+  it('posts a join log in the configured channel', async () => {
+    const bot = await createTestBot();
+    const alice = bot.addMember({ username: 'alice' });
+    await bot.createInvite({ code: 'alice1', inviter: alice.user });
+    const logs = createFakeChannel(bot.guild, { name: 'logs' });
+    await bot.interact({ commandName: 'logs', subcommand: 'channel', options: { channel: logs } });
+
+    const member = bot.guild.join(createFakeUser(), { code: 'alice1' });
+    await bot.memberJoins(member);
+
+    assert.equal(logs.sent.length, 1);
+    assert.equal(logs.sent[0].embeds[0].toJSON().description, `<@${member.id}> joined the server, invited by <@${alice.id}> (1 invites).`);
+  });
+});
+
+describe('concurrent joins', () => {
+  it('gives each of several simultaneous joins through different invites to its own inviter', async () => {
+    const bot = await createTestBot();
+    const alice = bot.addMember({ username: 'alice' });
+    const bob = bot.addMember({ username: 'bob' });
+    await bot.createInvite({ code: 'alice1', inviter: alice.user });
+    await bot.createInvite({ code: 'bob1', inviter: bob.user });
+
+    // Both members are in before the bot handles either join, so the first
+    // fetch already shows both uses
+    const first = bot.guild.join(createFakeUser(), { code: 'alice1' });
+    const second = bot.guild.join(createFakeUser(), { code: 'bob1' });
+    await Promise.all([bot.memberJoins(first), bot.memberJoins(second)]);
+
+    assert.equal(bot.storage.getMemberJoin(bot.guild.id, first.id).inviterId, alice.id);
+    assert.equal(bot.storage.getMemberJoin(bot.guild.id, second.id).inviterId, bob.id);
+    assert.equal(bot.storage.getInviteStats(bot.guild.id, alice.id).total, 1);
+    assert.equal(bot.storage.getInviteStats(bot.guild.id, bob.id).total, 1);
+  });
+
+  it('credits every use when simultaneous joins share one invite', async () => {
+    const bot = await createTestBot();
+    const alice = bot.addMember({ username: 'alice' });
+    await bot.createInvite({ code: 'alice1', inviter: alice.user });
+
+    const members = [1, 2, 3].map(() => bot.guild.join(createFakeUser(), { code: 'alice1' }));
+    await Promise.all(members.map(member => bot.memberJoins(member)));
+
+    assert.equal(bot.storage.getInviteStats(bot.guild.id, alice.id).total, 3);
+    for (const member of members) {
+      assert.equal(bot.storage.getMemberJoin(bot.guild.id, member.id).inviterId, alice.id);
+    }
+    assert.equal(bot.storage.getInviteCache(bot.guild.id).get('alice1').uses, 3);
+  });
+
+  it('does not give an untraceable join the use of a join still waiting in the queue', async () => {
+    const bot = await createTestBot();
+    const alice = bot.addMember({ username: 'alice' });
+    await bot.createInvite({ code: 'alice1', inviter: alice.user });
+
+    const viaInvite = bot.guild.join(createFakeUser(), { code: 'alice1' });
+    const untraced = bot.guild.join(createFakeUser());
+    await Promise.all([bot.memberJoins(viaInvite), bot.memberJoins(untraced)]);
+
+    assert.equal(bot.storage.getMemberJoin(bot.guild.id, viaInvite.id).inviterId, alice.id);
+    assert.equal(bot.storage.getMemberJoin(bot.guild.id, untraced.id).inviterId, null);
+    assert.equal(bot.storage.getInviteStats(bot.guild.id, alice.id).total, 1);
+  });
+});
+
+describe('guildMemberRemove', () => {
+  it('counts a leave against the inviter', async () => {
+    const bot = await createTestBot();
+    const alice = bot.addMember({ username: 'alice' });
+    await bot.createInvite({ code: 'alice1', inviter: alice.user });
+    const member = bot.guild.join(createFakeUser(), { code: 'alice1' });
+    await bot.memberJoins(member);
+
+    await bot.memberLeaves(member);
+
+    const stats = bot.storage.getInviteStats(bot.guild.id, alice.id);
+    assert.deepEqual({ regular: stats.regular, left: stats.left, total: stats.total }, { regular: 1, left: 1, total: 0 });
+    assert.equal(bot.storage.getMemberJoin(bot.guild.id, member.id).left, true);
+  });
+
+  it('does not count a fake invitee leaving twice', async () => {
+    const bot = await createTestBot();
+    const alice = bot.addMember({ username: 'alice' });
+    await bot.createInvite({ code: 'alice1', inviter: alice.user });
+    const member = bot.guild.join(createFakeUser({ createdTimestamp: Date.now() - DAY }), { code: 'alice1' });
+    await bot.memberJoins(member);
+
+    await bot.memberLeaves(member);
+
+    const stats = bot.storage.getInviteStats(bot.guild.id, alice.id);
+    assert.deepEqual({ left: stats.left, fake: stats.fake, total: stats.total }, { left: 0, fake: 1, total: 0 });
+  });
+
+  it('restores the first inviter when a member comes back, and counts the rejoin as fake', async () => {
+    const bot = await createTestBot();
+    const alice = bot.addMember({ username: 'alice' });
+    const bob = bot.addMember({ username: 'bob' });
+    await bot.createInvite({ code: 'alice1', inviter: alice.user });
+    await bot.createInvite({ code: 'bob1', inviter: bob.user });
+
+    const user = createFakeUser();
+    const member = bot.guild.join(user, { code: 'alice1' });
+    await bot.memberJoins(member);
+    await bot.memberLeaves(member);
+    await bot.memberJoins(bot.guild.join(user, { code: 'bob1' }));
+
+    assert.equal(bot.storage.getInviteStats(bot.guild.id, alice.id).total, 1);
+    const bobStats = bot.storage.getInviteStats(bot.guild.id, bob.id);
+    assert.deepEqual({ regular: bobStats.regular, fake: bobStats.fake, total: bobStats.total }, { regular: 1, fake: 1, total: 0 });
+
+    const join = bot.storage.getMemberJoin(bot.guild.id, member.id);
+    assert.deepEqual({ inviterId: join.inviterId, left: join.left }, { inviterId: alice.id, left: false });
+  });
+
+  it('ignores members who joined before the bot tracked them', async () => {
+    const bot = await createTestBot();
+    const member = bot.addMember({ username: 'oldtimer' });
+
+    await bot.memberLeaves(member);
+
+    assert.equal(bot.storage.getMemberJoin(bot.guild.id, member.id), null);
+  });
+});
+
+describe('resets', () => {
+  it('clears counts and inviters but keeps attributing joins from the current invite uses', async () => {
+    const bot = await createTestBot();
+    const alice = bot.addMember({ username: 'alice' });
+    await bot.createInvite({ code: 'alice1', inviter: alice.user });
+    const before = bot.guild.join(createFakeUser(), { code: 'alice1' });
+    await bot.memberJoins(before);
+
+    const [reply] = await bot.interact({ commandName: 'resetinvites' });
+    assert.equal(reply.ephemeral, true);
+    assert.equal(bot.storage.getInviteStats(bot.guild.id, alice.id).total, 0);
+    assert.equal(bot.storage.getMemberJoin(bot.guild.id, before.id), null);
+
+    const after = bot.guild.join(createFakeUser(), { code: 'alice1' });
+    await bot.memberJoins(after);
+    assert.equal(bot.storage.getInviteStats(bot.guild.id, alice.id).total, 1);
+    assert.equal(bot.storage.getMemberJoin(bot.guild.id, after.id).inviterId, alice.id);
+  });
+
+  it('does not count a leave for a member who joined before the reset', async () => {
+    const bot = await createTestBot();
+    const alice = bot.addMember({ username: 'alice' });
+    await bot.createInvite({ code: 'alice1', inviter: alice.user });
+    const member = bot.guild.join(createFakeUser(), { code: 'alice1' });
+    await bot.memberJoins(member);
+
+    await bot.interact({ commandName: 'resetinvites' });
+    await bot.memberLeaves(member);
+
+    assert.equal(bot.storage.getInviteStats(bot.guild.id, alice.id).left, 0);
+  });
+});
@@ -0,0 +1,607 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AuditLogEvent, Collection, InteractionContextType } from 'discord.js';
+import { createFakeChannel, createFakeUser, createTestBot, embedOf } from './fakes.js';
+import { createBackfill, runBackfill } from '../src/backfill.js';
+import { rankInviters } from '../src/leaderboard.js';
+
+// A guild where alice invited two members through her invite, one of whom left
+async function botWithInvites() {
+  const bot = await createTestBot();
+  const alice = bot.addMember({ username: 'alice' });
+  const bob = bot.addMember({ username: 'bob' });
+  await bot.createInvite({ code: 'alice1', inviter: alice.user });
+
+  const stays = bot.guild.join(createFakeUser(), { code: 'alice1' });
+  await bot.memberJoins(stays);
+  const leaves = bot.guild.join(createFakeUser(), { code: 'alice1' });
+  await bot.memberJoins(leaves);
+  await bot.memberLeaves(leaves);
+
+  return { ...bot, alice, bob, stays, leaves };
+}
+
+describe('command registry', () => {
+  it('only offers commands in servers and refuses them in DMs', async () => {
+    const bot = await createTestBot();
+    assert.ok(bot.bot.commands.every(command => command.contexts?.length === 1 && command.contexts[0] === InteractionContextType.Guild));
+
+    const [reply] = await bot.interact({ commandName: 'invites', guild: null, member: { user: createFakeUser() } });
+
+    assert.equal(embedOf(reply).description, '❌ This command can only be used in a server.');
+  });
+
+  it('refuses members without the command permission', async () => {
+    const bot = await createTestBot();
+    const member = bot.addMember({ username: 'member' });
+
+    const [reply] = await bot.interact({ commandName: 'resetinvites', member });
+
+    assert.equal(reply.ephemeral, true);
+    assert.equal(embedOf(reply).description, '❌ You need the Administrator permission to use `/resetinvites`.');
+    assert.equal(bot.bot.metrics.commandErrors.get({ command: 'resetinvites', kind: 'user' }), 1);
+  });
+
+  it('puts users on cooldown', async () => {
+    const bot = await createTestBot();
+
+    await bot.interact({ commandName: 'invite', member: bot.admin });
+    const [reply] = await bot.interact({ commandName: 'invite', member: bot.admin });
+
+    assert.match(embedOf(reply).description, /^❌ You are using `\/invite` too quickly\. Try again in 3 seconds\.$/);
+  });
+
+  it('replies in the language of the user', async () => {
+    const bot = await createTestBot();
+
+    const [reply] = await bot.interact({ commandName: 'invite', locale: 'fr' });
+
+    assert.equal(embedOf(reply).description, 'Vous avez **0** invitation sur ce serveur !');
+  });
+
+  it('answers a failing command with a generic error', async () => {
+    const bot = await createTestBot();
+    bot.storage.getInviteStats = () => {
+      throw new Error('disk on fire');
+    };
+
+    const [reply] = await bot.interact({ commandName: 'invite' });
+
+    assert.equal(embedOf(reply).description, '❌ An error occurred while processing this command.');
+    assert.equal(bot.bot.metrics.commandErrors.get({ command: 'invite', kind: 'internal' }), 1);
+  });
+});
+
+describe('/invite', () => {
+  it('shows the breakdown of the caller', async () => {
+    const bot = await botWithInvites();
+
+    const [reply] = await bot.interact({ commandName: 'invite', member: bot.alice });
+
+    const embed = embedOf(reply);
+    assert.equal(reply.ephemeral, true);
+    assert.equal(embed.description, 'You have **1** invite on this server!');
+    assert.deepEqual(embed.fields.map(field => field.value), ['2', '1', '0', '0']);
+  });
+
+  it('reports invalid periods', async () => {
+    const bot = await createTestBot();
+
+    const [reply] = await bot.interact({ commandName: 'invite', options: { period: 'custom', from: '2024-13-45' } });
+
+    assert.equal(embedOf(reply).description, '❌ `from` must be a date formatted as YYYY-MM-DD.');
+  });
+});
+
+describe('/checkinvites', () => {
+  it('looks members up by name, mention or ID', async () => {
+    const bot = await botWithInvites();
+
+    for (const user of ['alice', `<@${bot.alice.id}>`, bot.alice.id]) {
+      const [reply] = await bot.interact({ commandName: 'checkinvites', options: { user } });
+      const embed = embedOf(reply);
+      assert.equal(embed.description, '**alice** has **1** invite on this server!');
+      assert.equal(embed.fields.find(field => field.name === '🏆 Rank').value, '**#1** of 1 inviter');
+    }
+  });
+
+  it('shows who invited the member', async () => {
+    const bot = await botWithInvites();
+    bot.client.users.cache.set(bot.stays.id, bot.stays.user);
+
+    const [reply] = await bot.interact({ commandName: 'checkinvites', options: { user: bot.stays.id } });
+
+    assert.equal(embedOf(reply).fields.find(field => field.name === '🤝 Invited By').value, `<@${bot.alice.id}>`);
+  });
+
+  it('reports names that match nobody', async () => {
+    const bot = await createTestBot();
+
+    const [reply] = await bot.interact({ commandName: 'checkinvites', options: { user: 'nobody' } });
+
+    assert.equal(embedOf(reply).description, '❌ No member matches `nobody`. Pick one from the list, or paste the User ID of someone who left.');
+  });
+
+  it('suggests members while typing', async () => {
+    const bot = await botWithInvites();
+
+    const [response] = await bot.interact({ kind: 'autocomplete', commandName: 'checkinvites', focused: 'user', options: { user: 'al' } });
+
+    assert.deepEqual(response.choices, [{ name: '@alice', value: bot.alice.id }]);
+  });
+
+  it('is available from the View invites context menu', async () => {
+    const bot = await botWithInvites();
+
+    const [reply] = await bot.interact({ kind: 'userContextMenu', commandName: 'View invites', targetUser: bot.alice.user });
+
+    assert.equal(embedOf(reply).description, '**alice** has **1** invite on this server!');
+  });
+});
+
+describe('/resetinvites', () => {
+  it('confirms the reset', async () => {
+    const bot = await botWithInvites();
+
+    const [reply] = await bot.interact({ commandName: 'resetinvites' });
+
+    assert.equal(embedOf(reply).description, 'All invite counts for **Test Server** have been reset to 0.');
+    assert.equal(bot.storage.getInviteStats(bot.guild.id, bot.alice.id).total, 0);
+  });
+});
+
+describe('/invites', () => {
+  it('adds, removes and sets bonus invites', async () => {
+    const bot = await botWithInvites();
+    const user = bot.alice.user;
+
+    let [reply] = await bot.interact({ commandName: 'invites', subcommand: 'add', options: { user, amount: 5, reason: 'event winner' } });
+    assert.equal(embedOf(reply).description, `Added **5** invites to <@${user.id}>. New total: **6**.`);
+
+    [reply] = await bot.interact({ commandName: 'invites', subcommand: 'remove', options: { user, amount: 2 } });
+    assert.equal(embedOf(reply).description, `Removed **2** invites from <@${user.id}>. New total: **4**.`);
+
+    [reply] = await bot.interact({ commandName: 'invites', subcommand: 'set', options: { user, amount: 10 } });
+    assert.equal(embedOf(reply).description, `Set the invite total of <@${user.id}> to **10** (+6).`);
+
+    [reply] = await bot.interact({ commandName: 'invites', subcommand: 'history', options: { user } });
+    assert.equal(embedOf(reply).description.split('\n').length, 3);
+  });
+
+  it('transfers invites between members', async () => {
+    const bot = await botWithInvites();
+
+    const [reply] = await bot.interact({ commandName: 'invites', subcommand: 'transfer', options: { user: bot.alice.user, to: bot.bob.user, amount: 1 } });
+
+    assert.equal(embedOf(reply).description, `Moved **1** invite from <@${bot.alice.id}> (now **0**) to <@${bot.bob.id}> (now **1**).`);
+  });
+
+  it('refuses to transfer more invites than the member has', async () => {
+    const bot = await botWithInvites();
+
+    const [reply] = await bot.interact({ commandName: 'invites', subcommand: 'transfer', options: { user: bot.alice.user, to: bot.bob.user, amount: 5 } });
+
+    assert.equal(embedOf(reply).description, `❌ <@${bot.alice.id}> only has **1** invite to transfer.`);
+  });
+});
+
+describe('/rewards', () => {
+  it('manages reward tiers and grants roles on sync', async () => {
+    const bot = await botWithInvites();
+    const role = bot.guild.createRole({ name: 'Recruiter' });
+
+    let [reply] = await bot.interact({ commandName: 'rewards', subcommand: 'add', options: { invites: 1, role } });
+    assert.equal(reply.content, `✅ Members will now receive <@&${role.id}> at **1** invite. Use \`/rewards sync\` to apply it to existing members.`);
+
+    [reply] = await bot.interact({ commandName: 'rewards', subcommand: 'list' });
+    assert.equal(embedOf(reply).description, `**1** invite → <@&${role.id}>`);
+
+    const responses = await bot.interact({ commandName: 'rewards', subcommand: 'sync' });
+    assert.deepEqual(responses.map(response => response.type), ['deferReply', 'editReply']);
+    assert.match(responses[1].content, /1 role added, 0 removed\.$/);
+    assert.ok(bot.alice.roles.cache.has(role.id));
+
+    [reply] = await bot.interact({ commandName: 'rewards', subcommand: 'remove', options: { role } });
+    assert.equal(reply.content, `✅ <@&${role.id}> is no longer an invite reward. Members who already have it keep it.`);
+  });
+
+  it('refuses roles the bot cannot manage', async () => {
+    const bot = await createTestBot();
+    const role = bot.guild.createRole({ editable: false });
+
+    const [reply] = await bot.interact({ commandName: 'rewards', subcommand: 'add', options: { invites: 3, role } });
+
+    assert.match(embedOf(reply).description, /^❌ I cannot manage <@&\d+>\./);
+  });
+
+  it('switches the reward mode', async () => {
+    const bot = await createTestBot();
+
+    const [reply] = await bot.interact({ commandName: 'rewards', subcommand: 'mode', options: { mode: 'highest' } });
+
+    assert.match(reply.content, /keep only their highest reward/);
+    assert.equal(bot.storage.getRewardSettings(bot.guild.id).mode, 'highest');
+  });
+});
+
+describe('/config', () => {
+  it('sets, shows and resets settings', async () => {
+    const bot = await createTestBot();
+
+    let [reply] = await bot.interact({ commandName: 'config', group: 'set', subcommand: 'fake_account_age', options: { value: 30 } });
+    assert.match(reply.content, /^✅ \*\*.+\*\* set to 30/);
+
+    [reply] = await bot.interact({ commandName: 'config', subcommand: 'view' });
+    const field = embedOf(reply).fields.find(entry => entry.value.startsWith('30'));
+    assert.ok(field && !field.value.includes('(default)'));
+
+    [reply] = await bot.interact({ commandName: 'config', subcommand: 'reset', options: { key: 'fake_account_age' } });
+    assert.match(reply.content, /reset to the default/);
+  });
+
+  it('refuses channels the bot cannot post in', async () => {
+    const bot = await createTestBot();
+    const channel = createFakeChannel(bot.guild, { canPost: false });
+
+    const [reply] = await bot.interact({ commandName: 'config', group: 'set', subcommand: 'bump_channel', options: { channel } });
+
+    assert.equal(embedOf(reply).description, `❌ I need View Channel, Send Messages and Embed Links permissions in <#${channel.id}>.`);
+  });
+
+  it('changes the default language of replies', async () => {
+    const bot = await createTestBot();
+
+    await bot.interact({ commandName: 'config', group: 'set', subcommand: 'language', options: { value: 'fr' } });
+    const [reply] = await bot.interact({ commandName: 'invite', locale: 'ja' });
+
+    assert.equal(embedOf(reply).description, 'Vous avez **0** invitation sur ce serveur !');
+  });
+});
+
+describe('/logs', () => {
+  it('configures the log channel and messages', async () => {
+    const bot = await createTestBot();
+    const channel = createFakeChannel(bot.guild, { name: 'logs' });
+
+    let [reply] = await bot.interact({ commandName: 'logs', subcommand: 'channel', options: { channel } });
+    assert.equal(reply.content, `✅ Join and leave logs will be posted in <#${channel.id}>.`);
+
+    [reply] = await bot.interact({ commandName: 'logs', subcommand: 'message', options: { type: 'join', template: 'Welcome {member}!' } });
+    assert.equal(reply.content, '✅ The join message is now:\n>>> Welcome {member}!');
+
+    [reply] = await bot.interact({ commandName: 'logs', subcommand: 'view' });
+    assert.deepEqual(embedOf(reply).fields.slice(0, 2).map(field => field.value), [`<#${channel.id}>`, 'Welcome {member}!']);
+
+    [reply] = await bot.interact({ commandName: 'logs', subcommand: 'disable' });
+    assert.equal(reply.content, '✅ Join and leave logs are disabled.');
+  });
+});
+
+describe('/apikey', () => {
+  it('creates, lists and revokes keys', async () => {
+    const bot = await createTestBot();
+
+    let [reply] = await bot.interact({ commandName: 'apikey', subcommand: 'create', options: { name: 'website' } });
+    const id = embedOf(reply).fields[0].value.replace(/`/g, '');
+    assert.match(embedOf(reply).description, /```ib_[0-9a-f]{8}_/);
+
+    [reply] = await bot.interact({ commandName: 'apikey', subcommand: 'list' });
+    assert.match(embedOf(reply).description, new RegExp(`^\`${id}\` \\*\\*website\\*\\*`));
+
+    [reply] = await bot.interact({ commandName: 'apikey', subcommand: 'revoke', options: { id } });
+    assert.equal(reply.content, `✅ API key \`${id}\` has been revoked.`);
+
+    [reply] = await bot.interact({ commandName: 'apikey', subcommand: 'revoke', options: { id } });
+    assert.equal(embedOf(reply).description, `❌ No API key with ID \`${id}\` exists on this server.`);
+  });
+});
+
+describe('/leaderboard', () => {
+  it('ranks by the counts each sort names', async () => {
+    const bot = await createTestBot();
+    const [a, b, c] = ['a', 'b', 'c'].map(username => bot.addMember({ username }));
+    bot.storage.updateInviteStats(bot.guild.id, a.id, { regular: 10, left: 5 });
+    bot.storage.updateInviteStats(bot.guild.id, b.id, { regular: 8, fake: 4 });
+    bot.storage.updateInviteStats(bot.guild.id, c.id, { regular: 6, bonus: 1 });
+
+    const ranks = (sort) => rankInviters(bot.storage, bot.guild.id, sort).map(entry => [entry.userId, entry.score]);
+
+    assert.deepEqual(ranks('total'), [[c.id, 7], [a.id, 5], [b.id, 4]]);
+    assert.deepEqual(ranks('net'), [[b.id, 8], [c.id, 7], [a.id, 5]]);
+    assert.deepEqual(ranks('real'), [[a.id, 10], [c.id, 7], [b.id, 4]]);
+  });
+
+  it('ranks inviters and pages with buttons', async () => {
+    const bot = await botWithInvites();
+
+    const [reply] = await bot.interact({ commandName: 'leaderboard', member: bot.alice });
+    assert.equal(embedOf(reply).description, `➡️ **1.** <@${bot.alice.id}> — **1** invite ⬅️`);
+    const next = reply.components[0].toJSON().components[1];
+    assert.equal(next.custom_id, `leaderboard:total::::${bot.alice.id}:2`);
+    assert.equal(next.disabled, true);
+
+    const [update] = await bot.interact({ kind: 'button', customId: `leaderboard:net::::${bot.bob.id}:1`, member: bot.bob });
+    assert.equal(update.type, 'update');
+    assert.equal(embedOf(update).fields[0].value, 'You are not ranked yet.');
+  });
+
+  it('keeps showing the rank of the requester when someone else turns the page', async () => {
+    const bot = await botWithInvites();
+
+    const [update] = await bot.interact({ kind: 'button', customId: `leaderboard:total::::${bot.alice.id}:1`, member: bot.bob });
+
+    assert.equal(embedOf(update).description, `➡️ **1.** <@${bot.alice.id}> — **1** invite ⬅️`);
+    assert.equal(embedOf(update).fields, undefined);
+  });
+
+  it('shows the page and its buttons in the language of the user', async () => {
+    const bot = await botWithInvites();
+
+    const [reply] = await bot.interact({ commandName: 'leaderboard', member: bot.alice, locale: 'fr', options: { period: '7d' } });
+
+    assert.equal(embedOf(reply).description, `➡️ **1.** <@${bot.alice.id}> — **1** invitation ⬅️`);
+    assert.equal(embedOf(reply).footer.text, 'Page 1/1 • Trié par invitations moins les départs et les fausses • 7 derniers jours');
+    assert.deepEqual(reply.components[0].toJSON().components.map(button => button.label), ['Précédent', 'Suivant']);
+  });
+});
+
+describe('/competition', () => {
+  it('runs a competition from start to history', async () => {
+    const bot = await createTestBot();
+    const channel = createFakeChannel(bot.guild, { name: 'events' });
+
+    let [reply] = await bot.interact({ commandName: 'competition', subcommand: 'start', options: { name: 'October', channel } });
+    assert.equal(reply.ephemeral, false);
+    assert.equal(embedOf(reply).title, '🏁 October has started!');
+
+    [reply] = await bot.interact({ commandName: 'competition', subcommand: 'start', options: { name: 'Again', channel } });
+    assert.equal(embedOf(reply).description, '❌ **October** is still running. End it with `/competition end` first.');
+
+    [reply] = await bot.interact({ commandName: 'competition', subcommand: 'status' });
+    assert.equal(embedOf(reply).title, '🏆 October — Current Standings');
+    assert.match(embedOf(reply).fields[0].value, /→ runs until ended with `\/competition end`$/);
+
+    [reply] = await bot.interact({ commandName: 'competition', subcommand: 'end' });
+    assert.equal(reply.content, '✅ **October** has ended.');
+    assert.equal(embedOf(channel.sent[0]).title, '🏁 October — Final Results');
+    assert.match(embedOf(channel.sent[0]).fields[0].value, /→ <t:\d+:f> \(ended manually\)$/);
+
+    [reply] = await bot.interact({ commandName: 'competition', subcommand: 'history' });
+    assert.match(embedOf(reply).description, /^\*\*October\*\*/);
+  });
+
+  it('reports that no competition is running', async () => {
+    const bot = await createTestBot();
+
+    const [reply] = await bot.interact({ commandName: 'competition', subcommand: 'end' });
+
+    assert.equal(embedOf(reply).description, '❌ There is no competition running.');
+  });
+});
+
+describe('/inviter', () => {
+  it('shows who invited a member', async () => {
+    const bot = await botWithInvites();
+
+    const [reply] = await bot.interact({ commandName: 'inviter', options: { user: bot.stays.user } });
+
+    const embed = embedOf(reply);
+    assert.equal(embed.description, `<@${bot.stays.id}> was invited by <@${bot.alice.id}>.`);
+    assert.equal(embed.fields[0].value, 'Invite `alice1`');
+  });
+
+  it('says when no join was recorded', async () => {
+    const bot = await botWithInvites();
+
+    const [reply] = await bot.interact({ commandName: 'inviter', options: { user: bot.bob.user } });
+
+    assert.equal(embedOf(reply).description, `No join has been recorded for <@${bot.bob.id}> on this server.`);
+  });
+});
+
+describe('/invitees', () => {
+  it('lists the members someone invited', async () => {
+    const bot = await botWithInvites();
+
+    const [reply] = await bot.interact({ commandName: 'invitees', options: { user: bot.alice.user } });
+    assert.equal(embedOf(reply).footer.text, 'Page 1/1 • 1 in server, 1 left, 0 fake');
+
+    const [update] = await bot.interact({ kind: 'button', customId: `invitees:${bot.alice.id}:1` });
+    assert.equal(embedOf(update).title, '👥 Members invited by alice');
+  });
+});
+
+describe('/invitecodes', () => {
+  it('lists and labels invite codes', async () => {
+    const bot = await botWithInvites();
+
+    let [reply] = await bot.interact({ commandName: 'invitecodes', subcommand: 'label', options: { code: 'https://discord.gg/alice1', label: 'twitter' } });
+    assert.equal(reply.content, '✅ Invite `alice1` is now labelled **twitter**.');
+
+    [reply] = await bot.interact({ commandName: 'invitecodes', subcommand: 'list' });
+    const [field] = embedOf(reply).fields;
+    assert.equal(field.name, '`alice1` — twitter');
+    assert.match(field.value, /Uses: \*\*2\*\* · Tracked joins: \*\*2\*\* · Still members: \*\*1\*\*/);
+
+    [reply] = await bot.interact({ commandName: 'invitecodes', subcommand: 'label', options: { code: 'nope' } });
+    assert.equal(embedOf(reply).description, '❌ Invite `nope` is not tracked on this server.');
+  });
+});
+
+describe('/invitedata', () => {
+  it('exports and imports the invite data', async () => {
+    const bot = await botWithInvites();
+
+    const [exported] = await bot.interact({ commandName: 'invitedata', subcommand: 'export', options: { format: 'json' } });
+    assert.equal(exported.content, '📦 Exported **1** member counts, **2** inviter mappings and **2** join events.');
+    const json = exported.files[0].attachment.toString();
+
+    const other = await createTestBot();
+    const file = { name: 'invites.json', size: json.length, url: `data:application/json,${encodeURIComponent(json.replaceAll(bot.guild.id, other.guild.id))}` };
+    const responses = await other.interact({ commandName: 'invitedata', subcommand: 'import', options: { file } });
+
+    assert.equal(embedOf(responses[1]).title, '✅ Invite Data Imported');
+    assert.equal(other.storage.getInviteStats(other.guild.id, bot.alice.id).total, 1);
+  });
+
+  it('only replaces the sections in the file', async () => {
+    const bot = await botWithInvites();
+    const csv = `user_id,regular,left,fake,bonus\n${bot.bob.id},4,0,0,0`;
+    const file = { name: 'members.csv', size: csv.length, url: `data:text/csv,${encodeURIComponent(csv)}` };
+
+    await bot.interact({ commandName: 'invitedata', subcommand: 'import', options: { file, mode: 'replace' } });
+
+    assert.equal(bot.storage.getInviteStats(bot.guild.id, bot.bob.id).total, 4);
+    assert.equal(bot.storage.getInviteStats(bot.guild.id, bot.alice.id).total, 0);
+    assert.equal(bot.storage.getMemberJoin(bot.guild.id, bot.stays.id).inviterId, bot.alice.id);
+    assert.equal(bot.storage.getJoinEvents(bot.guild.id).length, 2);
+  });
+
+  it('rejects files with invalid rows', async () => {
+    const bot = await createTestBot();
+    const file = { name: 'members.csv', size: 40, url: 'data:text/csv,user_id,regular,left,fake,bonus%0Anot-an-id,1,0,0,0' };
+
+    const responses = await bot.interact({ commandName: 'invitedata', subcommand: 'import', options: { file } });
+
+    assert.equal(embedOf(responses[1]).title, '❌ Import Failed');
+    assert.equal(responses[1].files[0].name, 'import-errors.txt');
+  });
+});
+
+describe('/backfill', () => {
+  it('reports that no backfill ran yet', async () => {
+    const bot = await createTestBot();
+
+    const [reply] = await bot.interact({ commandName: 'backfill', subcommand: 'status' });
+
+    assert.equal(reply.content, 'No backfill has been run on this server. Start one with `/backfill start`.');
+  });
+
+  it('stops without the View Audit Log permission', async () => {
+    const bot = await createTestBot();
+    bot.guild.members.me.permissions = bot.guild.members.me.permissions.remove('Administrator');
+
+    const responses = await bot.interact({ commandName: 'backfill', subcommand: 'start' });
+
+    assert.equal(responses[0].content, '⏳ Starting the backfill. This can take a while on large servers; check it with `/backfill status`.');
+    assert.equal(embedOf(responses[1]).title, '❌ Backfill Stopped');
+  });
+
+  it('only credits invites to their creator, never to whoever deleted them', async () => {
+    const bot = await createTestBot();
+    const entry = (id, code, executorId, changes = []) => [id, { id, executorId, createdTimestamp: Date.now(), changes: [{ key: 'code', old: code }, ...changes] }];
+    const entries = {
+      [AuditLogEvent.InviteCreate]: [entry('1', 'made', 'creator')],
+      [AuditLogEvent.InviteDelete]: [
+        entry('2', 'made', 'moderator'),
+        entry('3', 'unknown', 'moderator'),
+        entry('4', 'named', 'moderator', [{ key: 'inviter_id', old: 'owner' }]),
+      ],
+    };
+    const guild = {
+      id: bot.guild.id,
+      members: { me: bot.guild.members.me, fetch: async () => new Collection() },
+      invites: { fetch: async () => new Collection() },
+      fetchAuditLogs: async ({ type }) => ({ entries: new Collection(entries[type]) }),
+    };
+    bot.storage.saveBackfill(guild.id, createBackfill(bot.admin.id));
+
+    const backfill = await runBackfill(guild, bot.storage, { run: step => step() });
+
+    assert.deepEqual(Object.fromEntries(Object.entries(backfill.invites).map(([code, invite]) => [code, invite.inviterId])), {
+      made: 'creator',
+      unknown: null,
+      named: 'owner',
+    });
+  });
+});
+
+describe('/bumpleaderboard', () => {
+  it('ranks bumpers', async () => {
+    const bot = await createTestBot();
+    bot.storage.recordBump(bot.guild.id, bot.admin.id, { bumpedAt: Date.now(), remindAt: Date.now() + 1000 });
+
+    const [reply] = await bot.interact({ commandName: 'bumpleaderboard', member: bot.admin });
+
+    assert.equal(embedOf(reply).description, `➡️ **1.** <@${bot.admin.id}> — **1** bump ⬅️`);
+  });
+});
+
+describe('review buttons', () => {
+  it('credits a held join once approved', async () => {
+    const bot = await createTestBot();
+    const alice = bot.addMember({ username: 'alice' });
+    const reviews = createFakeChannel(bot.guild, { name: 'reviews' });
+    await bot.createInvite({ code: 'alice1', inviter: alice.user });
+    await bot.interact({ commandName: 'config', group: 'set', subcommand: 'review_channel', options: { channel: reviews } });
+
+    await bot.memberJoins(bot.guild.join(createFakeUser({ avatar: null }), { code: 'alice1' }));
+    assert.equal(bot.storage.getInviteStats(bot.guild.id, alice.id).total, 0);
+
+    const approve = reviews.sent[0].components[0].toJSON().components[0].custom_id;
+    const moderator = bot.addMember({ username: 'mod', permissions: ['ModerateMembers'] });
+    const [update] = await bot.interact({ kind: 'button', customId: approve, member: moderator });
+
+    assert.equal(update.type, 'update');
+    assert.equal(bot.storage.getInviteStats(bot.guild.id, alice.id).total, 1);
+  });
+
+  it('keeps an approved rejoin credited to the first inviter only', async () => {
+    const bot = await createTestBot();
+    const [alice, bob] = ['alice', 'bob'].map(username => bot.addMember({ username }));
+    const reviews = createFakeChannel(bot.guild, { name: 'reviews' });
+    await bot.createInvite({ code: 'alice1', inviter: alice.user });
+    await bot.createInvite({ code: 'bob1', inviter: bob.user });
+    await bot.interact({ commandName: 'config', group: 'set', subcommand: 'review_channel', options: { channel: reviews } });
+    bot.storage.setConfigValue(bot.guild.id, 'reviewQuickLeaveHours', 0);
+    const ranks = () => ({
+      allTime: rankInviters(bot.storage, bot.guild.id, 'total').map(entry => [entry.userId, entry.score]),
+      events: rankInviters(bot.storage, bot.guild.id, 'total', { since: 0, until: null }).map(entry => [entry.userId, entry.score]),
+    });
+
+    const user = createFakeUser();
+    const member = bot.guild.join(user, { code: 'alice1' });
+    await bot.memberJoins(member);
+    await bot.memberLeaves(member);
+    const rejoined = bot.guild.join(user, { code: 'bob1' });
+    await bot.memberJoins(rejoined);
+    const approve = reviews.sent[0].components[0].toJSON().components[0].custom_id;
+    await bot.interact({ kind: 'button', customId: approve, member: bot.addMember({ username: 'mod', permissions: ['ModerateMembers'] }) });
+
+    assert.deepEqual(ranks(), { allTime: [[alice.id, 1]], events: [[alice.id, 1]] });
+    const bobStats = bot.storage.getInviteStats(bot.guild.id, bob.id);
+    assert.deepEqual({ regular: bobStats.regular, fake: bobStats.fake }, { regular: 1, fake: 1 });
+
+    await bot.memberLeaves(rejoined);
+
+    assert.deepEqual(ranks(), { allTime: [], events: [] });
+  });
+
+  it('writes the review message in the language of the server', async () => {
+    const bot = await createTestBot();
+    const alice = bot.addMember({ username: 'alice' });
+    const reviews = createFakeChannel(bot.guild, { name: 'reviews' });
+    await bot.createInvite({ code: 'alice1', inviter: alice.user });
+    await bot.interact({ commandName: 'config', group: 'set', subcommand: 'review_channel', options: { channel: reviews } });
+    await bot.interact({ commandName: 'config', group: 'set', subcommand: 'language', options: { value: 'fr' } });
+
+    await bot.memberJoins(bot.guild.join(createFakeUser({ avatar: null }), { code: 'alice1' }));
+    assert.equal(embedOf(reviews.sent[0]).title, '🛡️ Arrivée suspecte');
+    assert.deepEqual(reviews.sent[0].components[0].toJSON().components.map(button => button.label), ['Approuver', 'Rejeter']);
+
+    const approve = reviews.sent[0].components[0].toJSON().components[0].custom_id;
+    const moderator = bot.addMember({ username: 'mod', permissions: ['ModerateMembers'] });
+    const [update] = await bot.interact({ kind: 'button', customId: approve, member: moderator, locale: 'en-US' });
+
+    assert.equal(embedOf(update).title, '🛡️ Arrivée suspecte — Approuvé');
+  });
+
+  it('refuses members who cannot moderate', async () => {
+    const bot = await createTestBot();
+    const member = bot.addMember({ username: 'member' });
+
+    const [reply] = await bot.interact({ kind: 'button', customId: 'review:approve:x', member });
+
+    assert.equal(embedOf(reply).description, '❌ You need the Manage Server or Timeout Members permission to use this button.');
+  });
+});
@@ -0,0 +1,402 @@
+import { EventEmitter } from 'node:events';
+import { Collection, Events, PermissionsBitField } from 'discord.js';
+import { createStorage } from '../src/storage/index.js';
+import { createBot } from '../src/bot.js';
+
+// Offline stand-ins for the parts of discord.js the bot uses. They keep just
+// enough state (invites with uses, members, roles, channels, replies) for the
+// handlers to run without a gateway connection.
+
+// The bot's JSON logs would drown the test output
+process.env.LOG_LEVEL ??= 'silent';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let nextId = 100000000000000000n;
+
+// Unique snowflake-shaped IDs, so mentions and raw ID options parse as in Discord
+export function snowflake() {
+  nextId += 1n;
+  return String(nextId);
+}
+
+export function createFakeUser({ id = snowflake(), username = `user${id.slice(-4)}`, bot = false, avatar = 'avatar', createdTimestamp = Date.now() - 365 * DAY } = {}) {
+  return {
+    id,
+    username,
+    tag: username,
+    bot,
+    avatar,
+    createdTimestamp,
+    displayAvatarURL: () => `https://cdn.discordapp.test/avatars/${id}.png`,
+    toString: () => `<@${id}>`,
+  };
+}
+
+// A text channel that records what the bot sends in it
+export function createFakeChannel(guild, { id = snowflake(), name = 'general', canPost = true } = {}) {
+  const messages = new Collection();
+
+  const channel = {
+    id,
+    name,
+    guild,
+    sent: [],
+    isTextBased: () => true,
+    permissionsFor: () => ({ has: () => canPost }),
+    messages: {
+      fetch: async (messageId) => {
+        const message = messages.get(messageId);
+        if (!message) throw new Error('Unknown Message');
+        return message;
+      },
+    },
+    async send(payload) {
+      const message = {
+        id: snowflake(),
+        channel,
+        ...payload,
+        async edit(update) {
+          Object.assign(message, update);
+          return message;
+        },
+      };
+      messages.set(message.id, message);
+      channel.sent.push(message);
+      return message;
+    },
+    toString: () => `<#${id}>`,
+  };
+  guild.channels.cache.set(id, channel);
+  return channel;
+}
+
+export function createFakeMember(guild, user = createFakeUser(), { permissions = [], displayName = user.username } = {}) {
+  const roles = new Collection();
+  const member = {
+    id: user.id,
+    user,
+    guild,
+    displayName,
+    joinedTimestamp: Date.now(),
+    permissions: new PermissionsBitField(permissions),
+    roles: {
+      cache: roles,
+      async add(role) {
+        roles.set(role.id, role);
+      },
+      async remove(role) {
+        roles.delete(role.id);
+      },
+    },
+    toString: () => `<@${user.id}>`,
+  };
+  guild.members.cache.set(member.id, member);
+  return member;
+}
+
+// A guild whose invites behave like Discord's: joining through one adds a use,
+// and an invite reaching its max uses is deleted
+export function createFakeGuild(client, { id = snowflake(), name = 'Test Server', vanityURLCode = null, vanityUses = 0 } = {}) {
+  const invites = new Collection();
+
+  const guild = {
+    id,
+    name,
+    vanityURLCode,
+    vanityUses,
+    // Set to make invite fetches fail like a missing Manage Server permission
+    inviteFetchError: null,
+    iconURL: () => null,
+    channels: {
+      cache: new Collection(),
+      fetch: async (channelId) => {
+        const channel = guild.channels.cache.get(channelId);
+        if (!channel) throw new Error('Unknown Channel');
+        return channel;
+      },
+    },
+    roles: { cache: new Collection() },
+    members: {
+      cache: new Collection(),
+      me: null,
+      fetch: async (userId) => {
+        if (!userId) return guild.members.cache.clone();
+        const member = guild.members.cache.get(userId);
+        if (!member) throw new Error('Unknown Member');
+        return member;
+      },
+      search: async ({ query, limit = 1 }) => guild.members.cache
+        .filter(member => member.user.username.toLowerCase().startsWith(query.toLowerCase()))
+        .first(limit)
+        .reduce((found, member) => found.set(member.id, member), new Collection()),
+    },
+    invites: {
+      cache: invites,
+      // Copies, so later uses do not change a snapshot the bot already took
+      fetch: async () => {
+        if (guild.inviteFetchError) throw guild.inviteFetchError;
+        return invites.mapValues(invite => ({ ...invite }));
+      },
+    },
+    fetchVanityData: async () => ({ code: guild.vanityURLCode, uses: guild.vanityUses }),
+
+    createInvite({ code = snowflake().slice(-8), inviter = null, uses = 0, maxUses = 0, channel = null } = {}) {
+      const invite = {
+        code,
+        guild,
+        uses,
+        maxUses,
+        inviter,
+        inviterId: inviter?.id ?? null,
+        channelId: channel?.id ?? null,
+        createdTimestamp: Date.now(),
+        expiresTimestamp: null,
+      };
+      invites.set(code, invite);
+      return invite;
+    },
+
+    deleteInvite(code) {
+      const invite = invites.get(code);
+      invites.delete(code);
+      return invite;
+    },
+
+    createRole({ id: roleId = snowflake(), name: roleName = 'role', editable = true, managed = false } = {}) {
+      const role = { id: roleId, name: roleName, editable, managed, toString: () => `<@&${roleId}>` };
+      guild.roles.cache.set(roleId, role);
+      return role;
+    },
+
+    // A user arriving through an invite code (or the vanity URL, or nothing
+    // traceable when code is null). Returns the new member; the caller emits
+    // guildMemberAdd so several joins can be made before any is handled.
+    join(user = createFakeUser(), { code = null } = {}) {
+      if (code && code === guild.vanityURLCode) {
+        guild.vanityUses++;
+      } else if (code) {
+        const invite = invites.get(code);
+        invite.uses++;
+        if (invite.maxUses > 0 && invite.uses >= invite.maxUses) invites.delete(code);
+      }
+      return createFakeMember(guild, user);
+    },
+
+    leave(member) {
+      guild.members.cache.delete(member.id);
+      return member;
+    },
+  };
+
+  guild.members.me = createFakeMember(guild, client.user, { permissions: [PermissionsBitField.Flags.Administrator] });
+  return guild;
+}
+
+export class FakeClient extends EventEmitter {
+  constructor() {
+    super();
+    this.user = createFakeUser({ username: 'InviteBot', bot: true });
+    this.readyAt = null;
+    this.ws = { ping: -1 };
+    this.guilds = { cache: new Collection() };
+    this.users = {
+      cache: new Collection(),
+      fetch: async (userId) => {
+        const user = this.users.cache.get(userId);
+        if (!user) throw new Error('Unknown User');
+        return user;
+      },
+    };
+    this.channels = {
+      fetch: async (channelId) => {
+        for (const guild of this.guilds.cache.values()) {
+          const channel = guild.channels.cache.get(channelId);
+          if (channel) return channel;
+        }
+        throw new Error('Unknown Channel');
+      },
+    };
+  }
+
+  isReady() {
+    return this.readyAt !== null;
+  }
+
+  async destroy() {
+    this.readyAt = null;
+  }
+
+  // Emit an event and wait for every listener, as the handlers return their
+  // promises. Raw listeners are called so once() handlers are removed.
+  async dispatch(event, ...args) {
+    await Promise.all(this.rawListeners(event).map(listener => listener(...args)));
+  }
+
+  addGuild(options) {
+    const guild = createFakeGuild(this, options);
+    this.guilds.cache.set(guild.id, guild);
+    return guild;
+  }
+
+  // Users the bot can look up by ID, like the client's user cache
+  addUser(options) {
+    const user = createFakeUser(options);
+    this.users.cache.set(user.id, user);
+    return user;
+  }
+}
+
+// Option getters over a plain { name: value } object
+function fakeOptions({ subcommand = null, group = null, focused = null, values = {} }) {
+  const get = (name) => values[name] ?? null;
+  return {
+    getSubcommand: () => subcommand,
+    getSubcommandGroup: () => group,
+    getFocused: () => values[focused] ?? '',
+    getString: get,
+    getInteger: get,
+    getNumber: get,
+    getBoolean: get,
+    getUser: get,
+    getRole: get,
+    getChannel: get,
+    getAttachment: get,
+  };
+}
+
+// A command, button, autocomplete or user context menu interaction that
+// records every response in `responses` as { type, ...payload }
+export function createFakeInteraction({
+  guild,
+  member,
+  kind = 'command',
+  commandName = null,
+  customId = null,
+  subcommand = null,
+  group = null,
+  focused = null,
+  options = {},
+  targetUser = null,
+  locale = 'en-US',
+  channel = null,
+}) {
+  const responses = [];
+  const interaction = {
+    guild,
+    guildId: guild?.id ?? null,
+    guildLocale: 'en-US',
+    locale,
+    member,
+    user: member.user,
+    channel,
+    commandName,
+    customId,
+    targetUser,
+    options: fakeOptions({ subcommand, group, focused, values: options }),
+    replied: false,
+    deferred: false,
+    responded: false,
+    responses,
+
+    inGuild: () => guild !== null,
+    isButton: () => kind === 'button',
+    isAutocomplete: () => kind === 'autocomplete',
+    isChatInputCommand: () => kind === 'command',
+    isContextMenuCommand: () => kind === 'userContextMenu',
+
+    async reply(payload) {
+      if (interaction.replied || interaction.deferred) throw new Error('The reply to this interaction has already been sent or deferred.');
+      interaction.replied = true;
+      responses.push({ type: 'reply', ...payload });
+    },
+    async deferReply(payload = {}) {
+      if (interaction.replied || interaction.deferred) throw new Error('The reply to this interaction has already been sent or deferred.');
+      interaction.deferred = true;
+      responses.push({ type: 'deferReply', ...payload });
+    },
+    async editReply(payload) {
+      if (!interaction.replied && !interaction.deferred) throw new Error('The reply to this interaction has not been sent or deferred.');
+      interaction.replied = true;
+      responses.push({ type: 'editReply', ...payload });
+    },
+    async followUp(payload) {
+      responses.push({ type: 'followUp', ...payload });
+    },
+    async update(payload) {
+      interaction.replied = true;
+      responses.push({ type: 'update', ...payload });
+    },
+    async respond(choices) {
+      interaction.responded = true;
+      responses.push({ type: 'respond', choices });
+    },
+    async deleteReply() {
+      responses.push({ type: 'deleteReply' });
+    },
+  };
+  return interaction;
+}
+
+// The data of the first embed of a response
+export function embedOf(response) {
+  return response.embeds[0].toJSON();
+}
+
+// A bot wired to a fake client and in-memory storage, with one guild whose
+// invite snapshot is taken as on startup
+export async function createTestBot({ guild: guildOptions } = {}) {
+  const client = new FakeClient();
+  const storage = createStorage({ driver: 'memory' });
+  const bot = createBot(client, storage);
+  const guild = client.addGuild(guildOptions);
+  const admin = createFakeMember(guild, client.addUser({ username: 'admin' }), { permissions: [PermissionsBitField.Flags.Administrator] });
+
+  client.emit('guildCreate', guild);
+  await bot.joinQueue.run(guild.id, async () => {});
+
+  return {
+    client,
+    storage,
+    bot,
+    guild,
+    admin,
+
+    // Log in: the client becomes ready and the startup handlers run
+    async login() {
+      client.readyAt = new Date();
+      await client.dispatch(Events.ClientReady, client);
+    },
+
+    // A member already in the guild, whose user the client can fetch
+    addMember({ permissions, ...userOptions } = {}) {
+      return createFakeMember(guild, client.addUser(userOptions), { permissions });
+    },
+
+    // Create an invite and let the bot cache it through inviteCreate
+    async createInvite(options) {
+      const invite = guild.createInvite(options);
+      client.emit('inviteCreate', invite);
+      await bot.joinQueue.run(guild.id, async () => {});
+      return invite;
+    },
+
+    // Emit a join and wait until it was attributed
+    memberJoins(member) {
+      return client.dispatch('guildMemberAdd', member);
+    },
+
+    memberLeaves(member) {
+      return client.dispatch('guildMemberRemove', guild.leave(member));
+    },
+
+    // Dispatch an interaction like the gateway would and return its responses.
+    // Without a member, each call comes from a new administrator so command
+    // cooldowns do not get in the way.
+    async interact({ member = createFakeMember(guild, client.addUser({ username: 'admin' }), { permissions: [PermissionsBitField.Flags.Administrator] }), ...options }) {
+      const interaction = createFakeInteraction({ guild, member, ...options });
+      await client.dispatch('interactionCreate', interaction);
+      return interaction.responses;
+    },
+  };
+}
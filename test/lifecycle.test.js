@@ -0,0 +1,203 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createStorage } from '../src/storage/index.js';
+import { createServer } from '../src/server.js';
+import { endExpiredCompetitions } from '../src/competitions.js';
+import { prefetchInviteCaches } from '../src/inviteCache.js';
+import { createWebhookDispatcher } from '../src/webhooks.js';
+import { checkShardLayout, currentShard, shardPort } from '../src/sharding.js';
+import { createShutdown } from '../src/shutdown.js';
+import { createTestBot, embedOf } from './fakes.js';
+
+describe('shutdown', () => {
+  it('turns interactions away and reports unready', async () => {
+    const bot = await createTestBot();
+    await bot.login();
+    assert.equal(bot.bot.readiness().ready, true);
+
+    await bot.bot.shutdown();
+
+    assert.equal(bot.bot.readiness().ready, false);
+    const [reply] = await bot.interact({ commandName: 'invites' });
+    assert.match(embedOf(reply).description, /The bot is restarting\. Try again in a moment\./);
+    const [response] = await bot.interact({ kind: 'autocomplete', commandName: 'webhook', subcommand: 'test', focused: 'id', options: { id: '' } });
+    assert.deepEqual(response.choices, []);
+  });
+
+  it('flushes storage once when a second signal arrives during shutdown', async () => {
+    let closes = 0;
+    const exits = [];
+    const storage = {
+      async close() {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        closes++;
+      },
+    };
+    const shutdown = createShutdown({ bot: { shutdown: async () => {} }, server: null, storage, exit: code => exits.push(code) });
+
+    const first = shutdown('SIGINT');
+    const second = shutdown('SIGINT');
+    await Promise.all([first, second]);
+
+    assert.equal(first, second);
+    assert.equal(closes, 1);
+    assert.deepEqual(exits, [0]);
+  });
+
+  it('gives up on webhook retries still waiting', async () => {
+    const storage = createStorage({ driver: 'memory' });
+    storage.addWebhook('1', { id: 'hook1', url: 'https://example.com/hook', secret: 'whsec_test', events: ['member.joined'], createdBy: '2' });
+    let requests = 0;
+    const fetch = async () => {
+      requests++;
+      return { ok: false, status: 503 };
+    };
+    const webhooks = createWebhookDispatcher(storage, { fetch, lookup: async () => [{ address: '203.0.113.7', family: 4 }], retryDelays: [60 * 1000] });
+
+    webhooks.emit('1', 'member.joined', {});
+    await new Promise(resolve => setImmediate(resolve));
+    await webhooks.close();
+    webhooks.emit('1', 'member.joined', {});
+    await webhooks.idle();
+
+    assert.equal(requests, 1);
+    const deliveries = storage.getWebhookDeliveries('1', 'hook1');
+    assert.equal(deliveries.length, 1);
+    assert.deepEqual({ status: deliveries[0].status, attempts: deliveries[0].attempts, error: deliveries[0].error }, { status: 'failed', attempts: 1, error: 'HTTP 503, not retried as the bot shut down' });
+  });
+});
+
+describe('invite prefetch', () => {
+  it('fetches a few guilds at a time', async () => {
+    let active = 0;
+    let most = 0;
+    const done = [];
+
+    await prefetchInviteCaches([1, 2, 3, 4, 5, 6, 7], async (guild) => {
+      most = Math.max(most, ++active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      done.push(guild);
+    }, { concurrency: 3 });
+
+    assert.equal(most, 3);
+    assert.deepEqual(done.sort(), [1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  it('starts no new fetch while invite routes are rate limited', async () => {
+    const rest = new EventEmitter();
+    const started = [];
+
+    await prefetchInviteCaches([1, 2, 3], async (guild) => {
+      started.push({ guild, at: Date.now() });
+      if (guild === 1) rest.emit('rateLimited', { global: false, route: '/guilds/:id/invites', retryAfter: 50 });
+      if (guild === 2) rest.emit('rateLimited', { global: false, route: '/channels/:id/messages', retryAfter: 1000 });
+    }, { rest, concurrency: 1 });
+
+    assert.ok(started[1].at - started[0].at >= 45);
+    assert.ok(started[2].at - started[1].at < 500);
+    assert.equal(rest.listenerCount('rateLimited'), 0);
+  });
+
+  it('stops when aborted', async () => {
+    const controller = new AbortController();
+    const started = [];
+
+    await prefetchInviteCaches([1, 2, 3], async (guild) => {
+      started.push(guild);
+      controller.abort();
+    }, { signal: controller.signal, concurrency: 1 });
+
+    assert.deepEqual(started, [1]);
+  });
+});
+
+describe('sharding', () => {
+  it('reads the shard from the ShardingManager environment', () => {
+    assert.equal(currentShard({}), null);
+    const shard = currentShard({ SHARDING_MANAGER: 'true', SHARDS: '2', SHARD_COUNT: '4' });
+    assert.deepEqual(shard, { shardId: 2, shardCount: 4 });
+    assert.equal(shardPort('3000', shard), 3002);
+    assert.equal(shardPort('3000', null), 3000);
+  });
+
+  it('refuses to start a shard under a different shard count', () => {
+    const storage = createStorage({ driver: 'memory' });
+
+    checkShardLayout(storage, { shardId: 1, shardCount: 2 });
+    checkShardLayout(storage, { shardId: 1, shardCount: 2 });
+
+    assert.throws(() => checkShardLayout(storage, { shardId: 1, shardCount: 4 }), /Set TOTAL_SHARDS=2\./);
+  });
+
+  it('gives each shard the rows of its own guilds from the unsharded file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'invitebot-'));
+    const file = path.join(dir, 'invitebot.json');
+    // Shards are assigned from the timestamp bits of the guild ID
+    const [shard0Guild, shard1Guild] = [String(2n << 22n), String(3n << 22n)];
+    try {
+      const unsharded = createStorage({ driver: 'json', file });
+      unsharded.updateInviteStats(shard0Guild, '2', { regular: 3 });
+      unsharded.updateInviteStats(shard1Guild, '2', { regular: 5 });
+      await unsharded.close();
+
+      const shard = createStorage({ driver: 'json', file, shard: { shardId: 1, shardCount: 2 } });
+      await shard.close();
+
+      assert.ok(fs.existsSync(path.join(dir, 'invitebot.shard-1.json')));
+      assert.equal(shard.getInviteStats(shard1Guild, '2').regular, 5);
+      assert.equal(shard.getInviteStats(shard0Guild, '2').regular, 0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('only ends the competitions of its own guilds', async () => {
+    const bot = await createTestBot();
+    const competition = (guildId) => bot.storage.saveCompetition({ id: 'c1', guildId, name: 'October', status: 'active', channelId: null, startedAt: Date.now() - 2000, endsAt: Date.now() - 1000 });
+    competition(bot.guild.id);
+    competition('123456789012345678');
+
+    await endExpiredCompetitions(bot.client, bot.storage);
+
+    assert.equal(bot.storage.getActiveCompetition(bot.guild.id), null);
+    assert.equal(bot.storage.getActiveCompetition('123456789012345678').name, 'October');
+  });
+
+  it('ends a competition at its end time, leaving out later joins', async () => {
+    const bot = await createTestBot();
+    const endsAt = Date.now() - 60 * 1000;
+    bot.storage.saveCompetition({ id: 'c1', guildId: bot.guild.id, name: 'October', status: 'active', channelId: null, startedAt: endsAt - 60 * 1000, endsAt, winners: [], standings: [] });
+    const join = (memberId, inviterId, joinedAt) => bot.storage.addJoinEvent(bot.guild.id, { memberId, inviterId, code: 'abc', source: 'invite', fake: false, rejoin: false, joinedAt });
+    join('10', '2', endsAt - 1000);
+    join('11', '3', endsAt + 1000);
+    join('12', '3', endsAt + 2000);
+
+    await endExpiredCompetitions(bot.client, bot.storage);
+
+    const [ended] = bot.storage.getCompetitions(bot.guild.id);
+    assert.equal(ended.endedAt, endsAt);
+    assert.deepEqual(ended.standings, [{ userId: '2', score: 1 }]);
+  });
+
+  it('sends API requests for guilds of other shards away', async () => {
+    const bot = await createTestBot();
+    bot.client.shard = { ids: [0], count: 2 };
+    const server = createServer(bot.storage, { client: bot.client, bot: bot.bot }).listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    try {
+      // Shards are assigned from the timestamp bits of the guild ID
+      const otherShardGuild = String(((2n ** 40n) + 1n) << 22n);
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/api/guilds/${otherShardGuild}/leaderboard`);
+
+      assert.equal(response.status, 421);
+      assert.equal((await response.json()).error.code, 'wrong_shard');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,142 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from '../src/server.js';
+import { createFakeUser, createTestBot } from './fakes.js';
+
+describe('HTTP server', () => {
+  let bot;
+  let server;
+  let baseUrl;
+  let key;
+
+  before(async () => {
+    bot = await createTestBot();
+    const alice = bot.addMember({ username: 'alice' });
+    await bot.createInvite({ code: 'alice1', inviter: alice.user });
+    await bot.memberJoins(bot.guild.join(createFakeUser(), { code: 'alice1' }));
+
+    const [reply] = await bot.interact({ commandName: 'apikey', subcommand: 'create', options: { name: 'tests' } });
+    key = reply.embeds[0].toJSON().description.match(/```(.+)```/)[1];
+
+    server = createServer(bot.storage, { client: bot.client, bot: bot.bot }).listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const get = (path, headers = { authorization: `Bearer ${key}` }) => fetch(`${baseUrl}${path}`, { headers });
+
+  it('answers the liveness route', async () => {
+    const root = await get('/', {});
+    assert.equal(root.status, 200);
+    assert.deepEqual(await root.json(), { message: 'Bot is alive' });
+  });
+
+  it('reports readiness once logged in with invite caches loaded', async () => {
+    const before = await get('/health', {});
+    assert.equal(before.status, 503);
+    assert.deepEqual(await before.json(), { status: 'UNAVAILABLE', checks: { gateway: false, inviteCaches: false } });
+
+    await bot.login();
+
+    const after = await get('/health', {});
+    assert.equal(after.status, 200);
+    assert.deepEqual(await after.json(), { status: 'OK', checks: { gateway: true, inviteCaches: true } });
+  });
+
+  it('exposes Prometheus metrics', async () => {
+    const response = await get('/metrics', {});
+    const text = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    assert.match(text, /^invitebot_member_joins_total\{source="invite"\} 1$/m);
+    assert.match(text, /^invitebot_command_duration_seconds_count\{command="apikey"\} 1$/m);
+    assert.match(text, /^invitebot_gateway_connected 1$/m);
+    assert.match(text, /^invitebot_gateway_ping_seconds NaN$/m);
+    assert.match(text, /^invitebot_guilds 1$/m);
+  });
+
+  it('rate limits each client behind a trusted proxy on its own', async () => {
+    const proxied = createServer(bot.storage, { client: bot.client, bot: bot.bot, trustProxy: 'loopback' }).listen(0, '127.0.0.1');
+    await new Promise(resolve => proxied.once('listening', resolve));
+    const request = (forwardedFor) => fetch(`http://127.0.0.1:${proxied.address().port}/api/guilds/${bot.guild.id}/leaderboard`, { headers: { 'x-forwarded-for': forwardedFor } });
+    try {
+      await request('198.51.100.1');
+      const first = await request('198.51.100.1');
+      const second = await request('198.51.100.2');
+
+      assert.equal(first.headers.get('x-ratelimit-remaining'), '118');
+      assert.equal(second.headers.get('x-ratelimit-remaining'), '119');
+    } finally {
+      await new Promise(resolve => proxied.close(resolve));
+    }
+  });
+
+  it('requires a valid API key', async () => {
+    const missing = await get(`/api/guilds/${bot.guild.id}/leaderboard`, {});
+    assert.equal(missing.status, 401);
+    assert.deepEqual(await missing.json(), { error: { code: 'unauthorized', message: 'An API key is required.' } });
+
+    const invalid = await get(`/api/guilds/${bot.guild.id}/leaderboard`, { 'x-api-key': 'ib_nope' });
+    assert.equal(invalid.status, 401);
+  });
+
+  it('keeps keys to their own guild', async () => {
+    const response = await get('/api/guilds/123456789012345678/leaderboard');
+
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).error.code, 'forbidden');
+  });
+
+  it('serves the leaderboard', async () => {
+    const response = await get(`/api/guilds/${bot.guild.id}/leaderboard?limit=10`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-ratelimit-limit'), '60');
+    assert.equal(body.sort, 'total');
+    assert.deepEqual(body.data.map(entry => ({ rank: entry.rank, total: entry.total })), [{ rank: 1, total: 1 }]);
+    assert.deepEqual(body.pagination, { page: 1, limit: 10, total: 1, totalPages: 1 });
+  });
+
+  it('validates query parameters', async () => {
+    const sort = await get(`/api/guilds/${bot.guild.id}/leaderboard?sort=best`);
+    assert.equal(sort.status, 400);
+
+    const limit = await get(`/api/guilds/${bot.guild.id}/leaderboard?limit=1000`);
+    assert.equal(limit.status, 400);
+    assert.equal((await limit.json()).error.code, 'invalid_request');
+  });
+
+  it('serves members and their invitees', async () => {
+    const [{ userId }] = (await (await get(`/api/guilds/${bot.guild.id}/leaderboard`)).json()).data;
+
+    const member = await (await get(`/api/guilds/${bot.guild.id}/members/${userId}`)).json();
+    assert.equal(member.data.rank, 1);
+    assert.equal(member.data.regular, 1);
+
+    const invitees = await (await get(`/api/guilds/${bot.guild.id}/members/${userId}/invitees`)).json();
+    assert.equal(invitees.data.length, 1);
+    assert.equal(invitees.data[0].code, 'alice1');
+  });
+
+  it('serves invite codes', async () => {
+    const list = await (await get(`/api/guilds/${bot.guild.id}/invites`)).json();
+    assert.deepEqual(list.data.map(invite => [invite.code, invite.uses]), [['alice1', 1]]);
+
+    const code = await get(`/api/guilds/${bot.guild.id}/invites/alice1`);
+    assert.equal((await code.json()).data.joins, 1);
+
+    const unknown = await get(`/api/guilds/${bot.guild.id}/invites/nope`);
+    assert.equal(unknown.status, 404);
+  });
+
+  it('answers unknown API routes with a JSON 404', async () => {
+    const response = await get('/api/nothing');
+
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).error.code, 'not_found');
+  });
+});